@@ -0,0 +1,255 @@
+/**
+ * Declarative bot commands. Each command declares its name, aliases, typed arguments,
+ * permission level and description; the registry matches a command line against them,
+ * parses the arguments and builds the help text, so adding a command is one register() call.
+ *
+ * A command is { name, aliases, description, emoji, permission, args, subcommands, details, run }:
+ * - permission: 'everyone' (default), 'admin' (group admins and owners) or 'owner'.
+ *   Subcommands inherit their command's permission unless they set their own.
+ * - args: [{ name, type, label, optional, choices }] in the order they are typed. Types:
+ *   number, date (YYYY-MM-DD), dateRange (two dates), mention (@player), game (a game name),
+ *   choice (one of choices), word (any single word) and text (the rest of the line).
+ *   Optional arguments are skipped when the next word isn't of their type.
+ * - subcommands: commands of the same shape selected by the first word after the name.
+ * - run(context, args): called with parsed args keyed by name; commands without run show their help.
+ */
+export class CommandRegistry {
+    constructor(games) {
+        this.games = games;
+        this.commands = new Map();
+    }
+
+    register(command) {
+        this.commands.set(command.name, this.normalize(command, null));
+    }
+
+    normalize(command, parent) {
+        const normalized = {
+            aliases: [],
+            args: [],
+            details: [],
+            ...command,
+            permission: command.permission || parent?.permission || 'everyone',
+            path: parent ? `${parent.path} ${command.name}` : command.name
+        };
+        normalized.subcommands = (command.subcommands || []).map(subcommand => this.normalize(subcommand, normalized));
+        return normalized;
+    }
+
+    /**
+     * Find a command by its name or one of its aliases (case-insensitive)
+     */
+    get(name) {
+        return this.find(this.list(), name);
+    }
+
+    list() {
+        return Array.from(this.commands.values());
+    }
+
+    find(commands, name) {
+        if (!name) return null;
+        const key = name.toLowerCase();
+        return commands.find(command => command.name === key || command.aliases.includes(key)) || null;
+    }
+
+    /**
+     * The closest command (or subcommand of parent) to a mistyped name, or null if nothing is close
+     */
+    suggest(name, parent = null) {
+        if (!name) return null;
+        const commands = parent ? parent.subcommands : this.list();
+        const key = name.toLowerCase();
+        let best = null;
+        let bestDistance = Infinity;
+
+        for (const command of commands) {
+            for (const candidate of [command.name, ...command.aliases]) {
+                const distance = this.distance(key, candidate);
+                if (distance < bestDistance) {
+                    best = command;
+                    bestDistance = distance;
+                }
+            }
+        }
+
+        // Allow about one typo per three letters
+        return bestDistance <= Math.max(1, Math.floor(key.length / 3)) ? best : null;
+    }
+
+    /**
+     * Levenshtein edit distance between two words
+     */
+    distance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * Match the words after the prefix to a command. Returns { command, words } with the words
+     * left for its arguments, or { unknown, suggestion } when the first word isn't a command.
+     */
+    resolve(words) {
+        const command = this.get(words[0]);
+        if (!command) {
+            return { unknown: words[0], suggestion: this.suggest(words[0]) };
+        }
+
+        const subcommand = this.find(command.subcommands, words[1]);
+        if (subcommand) {
+            return { command: subcommand, words: words.slice(2) };
+        }
+        return { command, words: words.slice(1) };
+    }
+
+    /**
+     * Parse words against a command's arguments. mentions are the IDs tagged in the message,
+     * in order. Returns { args } or { error } describing the first problem.
+     */
+    parseArgs(command, words, mentions = []) {
+        const args = {};
+        let index = 0;
+        let mentionIndex = 0;
+
+        for (const arg of command.args) {
+            const word = words[index];
+
+            if (arg.type === 'text') {
+                const text = words.slice(index).join(' ').trim();
+                if (!text && !arg.optional) return { error: `Missing ${this.formatArg(arg)}` };
+                args[arg.name] = text || undefined;
+                index = words.length;
+                continue;
+            }
+
+            if (arg.type === 'dateRange') {
+                const start = this.parseValue({ type: 'date' }, words[index]);
+                const end = this.parseValue({ type: 'date' }, words[index + 1]);
+                if (start !== undefined && end !== undefined) {
+                    if (start > end) return { error: `The start date ${start} is after the end date ${end}` };
+                    args[arg.name] = { start, end };
+                    index += 2;
+                } else if (!arg.optional) {
+                    return { error: `${this.formatArg(arg)} must be two dates like 2024-12-20 2024-12-31` };
+                }
+                continue;
+            }
+
+            if (arg.type === 'mention') {
+                if (word?.startsWith('@') && mentionIndex < mentions.length) {
+                    args[arg.name] = mentions[mentionIndex++];
+                    index++;
+                } else if (!arg.optional) {
+                    return { error: `Tag a player with @ for ${this.formatArg(arg)}` };
+                }
+                continue;
+            }
+
+            const value = this.parseValue(arg, word);
+            if (value !== undefined) {
+                args[arg.name] = value;
+                index++;
+            } else if (word === undefined && !arg.optional) {
+                return { error: `Missing ${this.formatArg(arg)}` };
+            } else if (!arg.optional) {
+                return { error: `"${word}" isn't a valid ${this.formatArg(arg)}${arg.choices ? ` (options: ${arg.choices.join(', ')})` : ''}` };
+            }
+        }
+
+        if (index < words.length) {
+            return { error: `Unexpected "${words.slice(index).join(' ')}"` };
+        }
+        return { args };
+    }
+
+    /**
+     * Convert one word to an argument's type, or undefined if it isn't of that type
+     */
+    parseValue(arg, word) {
+        if (word === undefined) return undefined;
+
+        switch (arg.type) {
+            case 'number':
+                return /^[+-]?\d+$/.test(word) ? parseInt(word) : undefined;
+            case 'date': {
+                // Round-trip through a Date so days like 2024-02-30 are rejected
+                const date = new Date(`${word}T00:00:00Z`);
+                return /^\d{4}-\d{2}-\d{2}$/.test(word) && !isNaN(date) && date.toISOString().startsWith(word) ? word : undefined;
+            }
+            case 'game':
+                return this.games.findByName(word)?.id;
+            case 'choice':
+                return arg.choices.includes(word.toLowerCase()) ? word.toLowerCase() : undefined;
+            default:
+                return word;
+        }
+    }
+
+    formatArg(arg) {
+        const label = arg.label || (arg.type === 'mention' ? `@${arg.name}` : arg.name);
+        return arg.optional ? `[${label}]` : `<${label}>`;
+    }
+
+    /**
+     * How a command is typed, e.g. "!wordle daily [game] [puzzle#]"
+     */
+    formatUsage(prefix, command) {
+        return [prefix, command.path, ...command.args.map(arg => this.formatArg(arg))].join(' ');
+    }
+
+    formatPermission(command) {
+        switch (command.permission) {
+            case 'admin': return ' (admins only)';
+            case 'owner': return ' (owner only)';
+            default: return '';
+        }
+    }
+
+    /**
+     * One line per command for the help overview
+     */
+    describeAll(prefix) {
+        return this.list().map(command => {
+            const subcommands = command.subcommands.length > 0 ?
+                ` · ${command.subcommands.map(subcommand => subcommand.name).join(', ')}` : '';
+            const usage = command.run ? this.formatUsage(prefix, command) : `${prefix} ${command.name} ...`;
+            return `${command.emoji} \`${usage}\` - ${command.description}${this.formatPermission(command)}${subcommands}`;
+        });
+    }
+
+    /**
+     * Detailed help for one command and its subcommands
+     */
+    describe(prefix, command) {
+        let text = `${command.emoji} *${prefix} ${command.name}*\n${command.description}${this.formatPermission(command)}\n`;
+        if (command.aliases.length > 0) {
+            text += `Also: ${command.aliases.map(alias => `\`${prefix} ${alias}\``).join(', ')}\n`;
+        }
+
+        text += `\n*Usage:*\n`;
+        if (command.run) {
+            text += `\`${this.formatUsage(prefix, command)}\`\n`;
+        }
+        for (const subcommand of command.subcommands) {
+            const aliases = subcommand.aliases.length > 0 ? ` (or ${subcommand.aliases.join(', ')})` : '';
+            text += `\`${this.formatUsage(prefix, subcommand)}\` - ${subcommand.description}${aliases}` +
+                (subcommand.permission !== command.permission ? this.formatPermission(subcommand) : '') + '\n';
+        }
+
+        for (const line of [command, ...command.subcommands].flatMap(entry => entry.details)) {
+            text += `\n${line}`;
+        }
+        return text.trim();
+    }
+}
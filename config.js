@@ -0,0 +1,263 @@
+import fs from 'fs';
+import { Scheduler } from './scheduler.js';
+import { ScoringStrategies } from './scoringStrategies.js';
+
+/**
+ * Thrown when the config file or an environment override is invalid.
+ * The message lists every problem found, one per line.
+ */
+export class ConfigError extends Error {
+    constructor(problems, source) {
+        super(`Invalid configuration${source ? ` in ${source}` : ''}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Bot-wide settings. Values come from these defaults, then the JSON config file
+ * (WORDLE_CONFIG, ./config.json by default), then the environment variables in envOverrides.
+ */
+export class Config {
+    static defaults = {
+        storage: 'sheets', // 'sheets' or 'json'
+        spreadsheetId: '1ve-FHb5UUwlkpz6yY0UxZzeA0fw45VOTET6npSirvlc',
+        credentialsPath: './wordlebotdb-12e609807b14.json', // Google service account JSON
+        localDbPath: './data/wordlebot-db.json', // Used by the local JSON backend
+        authFolder: 'auth_info_baileys', // WhatsApp session files
+        commandPrefix: '!wordle',
+        targetGroupNames: ['Wordlepaglu'], // Groups served automatically; others can join with the register command
+        ownerIds: [], // Player IDs (e.g. '447700900000@s.whatsapp.net') with owner and admin rights in every group
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone, // Default timezone for new groups
+        lateSubmissionGraceHours: 2, // Yesterday's puzzle is still accepted until 02:00
+        puzzleDateCheck: 'reject', // Results for other days' puzzles: 'reject' or 'flag' (counted with a warning)
+        analysisVerbosity: 'normal', // Detail in result replies: 'minimal', 'normal' or 'detailed'
+        streakReminderMinimum: 3, // Only nudge players with a play streak at least this long
+        relativeLeaderboardMinGames: 5, // Games needed to appear on the relative leaderboard
+        scoringStrategy: 'classic', // How results are scored unless a group picks another
+        leaderboardImages: false, // Send leaderboards and profiles as PNG images
+        duplicatePolicy: 'reject', // Repeat posts of the same game: 'reject' keeps the first, 'replace' keeps the latest
+        schedule: { // Cron times in each group's timezone; set an entry to null to turn it off
+            reminder: '0 20 * * *', // Mention members who haven't posted today's Wordle yet
+            dailyLeaderboard: '0 23 * * *', // Post the day's leaderboard even if not everyone has played
+            streakReminder: '0 22 * * *', // Nudge players whose streak breaks if they don't play today
+            rollover: '0 0 * * *', // Reset per-day state for the new puzzle
+            ratingUpdate: '15 * * * *', // Rate finished puzzles once late submissions have closed
+            tournamentClose: '0 * * * *' // Check hourly for a tournament that has ended, then announce and archive it
+        },
+        sendQueue: { // Outbound messages (see sendQueue.js)
+            path: './data/send-queue.json', // Unsent messages are kept here across reconnects and restarts
+            minIntervalMs: 1000, // Shortest gap between two messages to the same chat
+            maxPerMinute: 20, // Most messages sent to one chat in any minute
+            maxAttempts: 5, // Tries before a failing message is dropped
+            retryDelayMs: 2000 // Wait before the first retry, doubled for each one after
+        }
+    };
+
+    // Environment variable -> setting. List settings take comma-separated values.
+    static envOverrides = {
+        WORDLE_STORAGE: 'storage',
+        WORDLE_SPREADSHEET_ID: 'spreadsheetId',
+        WORDLE_CREDENTIALS: 'credentialsPath',
+        WORDLE_LOCAL_DB: 'localDbPath',
+        WORDLE_AUTH_FOLDER: 'authFolder',
+        WORDLE_PREFIX: 'commandPrefix',
+        WORDLE_GROUPS: 'targetGroupNames',
+        WORDLE_OWNERS: 'ownerIds',
+        WORDLE_TIMEZONE: 'timezone'
+    };
+
+    static choices = {
+        storage: ['sheets', 'json'],
+        puzzleDateCheck: ['reject', 'flag'],
+        analysisVerbosity: ['minimal', 'normal', 'detailed'],
+        duplicatePolicy: ['reject', 'replace'],
+        scoringStrategy: new ScoringStrategies().list()
+    };
+
+    /**
+     * Settings a group can override with the config command: name shown to users ->
+     * { setting: key in the group's saved settings, config: bot-wide default, description }
+     */
+    static groupSettings = {
+        timezone: { setting: 'timezone', config: 'timezone', description: 'IANA timezone for the group\'s day and schedule' },
+        analysis: { setting: 'analysisVerbosity', config: 'analysisVerbosity', description: 'Detail in result replies' },
+        images: { setting: 'images', config: 'leaderboardImages', description: 'Send leaderboards as images (on/off)' },
+        scoring: { setting: 'scoringStrategy', config: 'scoringStrategy', description: 'Scoring strategy (rescores history)' },
+        datecheck: { setting: 'puzzleDateCheck', config: 'puzzleDateCheck', description: 'Results for other days\' puzzles' },
+        duplicates: { setting: 'duplicatePolicy', config: 'duplicatePolicy', description: 'Repeat posts of the same puzzle' },
+        grace: { setting: 'lateSubmissionGraceHours', config: 'lateSubmissionGraceHours', description: 'Hours after midnight yesterday\'s puzzle still counts' },
+        streakmin: { setting: 'streakReminderMinimum', config: 'streakReminderMinimum', description: 'Shortest streak that gets a reminder' },
+        relativemin: { setting: 'relativeLeaderboardMinGames', config: 'relativeLeaderboardMinGames', description: 'Games needed for the relative leaderboard' }
+    };
+
+    /**
+     * Load and validate the settings. Throws a ConfigError listing every invalid value.
+     */
+    static load(env = process.env) {
+        const filePath = env.WORDLE_CONFIG || './config.json';
+        const config = structuredClone(Config.defaults);
+
+        if (fs.existsSync(filePath)) {
+            let fileConfig;
+            try {
+                fileConfig = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            } catch (error) {
+                throw new ConfigError([`could not be read as JSON: ${error.message}`], filePath);
+            }
+            if (typeof fileConfig !== 'object' || fileConfig === null || Array.isArray(fileConfig)) {
+                throw new ConfigError(['the file must contain a JSON object'], filePath);
+            }
+
+            const unknown = Object.keys(fileConfig).filter(key => !Object.hasOwn(Config.defaults, key));
+            if (unknown.length > 0) {
+                throw new ConfigError(unknown.map(key => `unknown setting "${key}"`), filePath);
+            }
+            Object.assign(config, fileConfig, {
+                schedule: { ...config.schedule, ...fileConfig.schedule },
+                sendQueue: { ...config.sendQueue, ...fileConfig.sendQueue }
+            });
+            console.log(`⚙️  Loaded configuration from ${filePath}`);
+        } else if (env.WORDLE_CONFIG) {
+            throw new ConfigError([`file not found (set by WORDLE_CONFIG)`], filePath);
+        }
+
+        for (const [variable, key] of Object.entries(Config.envOverrides)) {
+            if (env[variable] === undefined) continue;
+            config[key] = Array.isArray(Config.defaults[key]) ?
+                env[variable].split(',').map(value => value.trim()).filter(Boolean) :
+                env[variable].trim();
+        }
+
+        const problems = Config.validate(config);
+        if (problems.length > 0) {
+            throw new ConfigError(problems);
+        }
+        return config;
+    }
+
+    /**
+     * List the problems with a set of settings; an empty list means they are valid
+     */
+    static validate(config) {
+        const problems = [];
+        const isText = value => typeof value === 'string' && value.trim().length > 0;
+
+        for (const key of ['spreadsheetId', 'credentialsPath', 'localDbPath', 'authFolder']) {
+            if (!isText(config[key])) problems.push(`${key} must be a non-empty string`);
+        }
+        if (!isText(config.commandPrefix) || /\s/.test(config.commandPrefix)) {
+            problems.push(`commandPrefix must be a single word, e.g. "!wordle" or "/w" (got ${JSON.stringify(config.commandPrefix)})`);
+        }
+        if (!Array.isArray(config.targetGroupNames) || !config.targetGroupNames.every(isText)) {
+            problems.push('targetGroupNames must be a list of group names');
+        }
+        if (!Array.isArray(config.ownerIds) || !config.ownerIds.every(id => isText(id) && id.includes('@'))) {
+            problems.push('ownerIds must be a list of WhatsApp IDs like "447700900000@s.whatsapp.net"');
+        }
+        if (typeof config.leaderboardImages !== 'boolean') {
+            problems.push('leaderboardImages must be true or false');
+        }
+
+        for (const key of Object.keys(Config.choices)) {
+            const problem = Config.checkChoice(key, config[key]);
+            if (problem) problems.push(problem);
+        }
+        for (const key of ['timezone', 'lateSubmissionGraceHours', 'streakReminderMinimum', 'relativeLeaderboardMinGames']) {
+            const problem = Config.checkValue(key, config[key]);
+            if (problem) problems.push(problem);
+        }
+
+        if (typeof config.schedule !== 'object' || config.schedule === null) {
+            problems.push('schedule must be an object of job names and cron times');
+        } else {
+            const scheduler = new Scheduler();
+            for (const [job, cron] of Object.entries(config.schedule)) {
+                if (!Object.hasOwn(Config.defaults.schedule, job)) {
+                    problems.push(`schedule.${job} is not a known job (${Object.keys(Config.defaults.schedule).join(', ')})`);
+                } else if (cron !== null) {
+                    try {
+                        scheduler.parseCron(String(cron));
+                    } catch (error) {
+                        problems.push(`schedule.${job}: ${error.message}`);
+                    }
+                }
+            }
+        }
+
+        if (typeof config.sendQueue !== 'object' || config.sendQueue === null) {
+            problems.push('sendQueue must be an object');
+        } else {
+            for (const [key, value] of Object.entries(config.sendQueue)) {
+                if (!Object.hasOwn(Config.defaults.sendQueue, key)) {
+                    problems.push(`sendQueue.${key} is not a known setting (${Object.keys(Config.defaults.sendQueue).join(', ')})`);
+                } else if (key === 'path') {
+                    if (!isText(value)) problems.push('sendQueue.path must be a non-empty string');
+                } else if (!Number.isInteger(value) || value < (key === 'minIntervalMs' ? 0 : 1)) {
+                    problems.push(`sendQueue.${key} must be a whole number of at least ${key === 'minIntervalMs' ? 0 : 1} (got ${JSON.stringify(value)})`);
+                }
+            }
+        }
+
+        return problems;
+    }
+
+    static checkChoice(key, value) {
+        return Config.choices[key].includes(value) ?
+            null :
+            `${key} must be one of ${Config.choices[key].join(', ')} (got ${JSON.stringify(value)})`;
+    }
+
+    /**
+     * Check a timezone or numeric setting, returning a problem description or null
+     */
+    static checkValue(key, value) {
+        switch (key) {
+            case 'timezone':
+                try {
+                    if (typeof value !== 'string' || !value) throw new RangeError('missing timezone');
+                    new Intl.DateTimeFormat('en-US', { timeZone: value });
+                    return null;
+                } catch {
+                    return `timezone must be an IANA timezone like "Europe/London" (got ${JSON.stringify(value)})`;
+                }
+            case 'lateSubmissionGraceHours':
+                return Number.isInteger(value) && value >= 0 && value <= 23 ?
+                    null : `${key} must be a whole number from 0 to 23 (got ${JSON.stringify(value)})`;
+            default:
+                return Number.isInteger(value) && value >= 1 ?
+                    null : `${key} must be a whole number of at least 1 (got ${JSON.stringify(value)})`;
+        }
+    }
+
+    /**
+     * Parse a value typed in the config command for a group setting. Returns { value } or { error }.
+     */
+    static parseGroupSetting(name, text) {
+        const { config: key } = Config.groupSettings[name];
+        let value = text;
+
+        if (key === 'leaderboardImages') {
+            if (!['on', 'off'].includes(text.toLowerCase())) return { error: `${name} must be on or off` };
+            return { value: text.toLowerCase() === 'on' };
+        }
+        if (Object.hasOwn(Config.choices, key)) {
+            value = text.toLowerCase();
+            const problem = Config.checkChoice(key, value);
+            return problem ? { error: `${name} must be one of ${Config.choices[key].join(', ')}` } : { value };
+        }
+        if (key !== 'timezone') {
+            value = /^\d+$/.test(text) ? parseInt(text) : NaN;
+        }
+
+        const problem = Config.checkValue(key, value);
+        return problem ? { error: problem.replace(key, name).replace(/ \(got .*\)$/, '') } : { value };
+    }
+
+    /**
+     * Show a setting value the way it is typed in the config command
+     */
+    static formatGroupSetting(name, value) {
+        return Config.groupSettings[name].config === 'leaderboardImages' ? (value ? 'on' : 'off') : String(value);
+    }
+}
@@ -0,0 +1,46 @@
+import { WordleGame } from './games/wordleGame.js';
+import { ConnectionsGame } from './games/connectionsGame.js';
+import { StrandsGame } from './games/strandsGame.js';
+import { QuordleGame } from './games/quordleGame.js';
+import { NerdleGame } from './games/nerdleGame.js';
+
+export class GameRegistry {
+    constructor(analyzer) {
+        this.games = new Map();
+
+        this.register(new WordleGame(analyzer));
+        this.register(new ConnectionsGame());
+        this.register(new StrandsGame());
+        this.register(new QuordleGame());
+        this.register(new NerdleGame());
+    }
+
+    register(game) {
+        this.games.set(game.id, game);
+    }
+
+    get(id) {
+        return this.games.get(id);
+    }
+
+    list() {
+        return Array.from(this.games.values());
+    }
+
+    /**
+     * Find the game a shared result belongs to, or null if it isn't a known game
+     */
+    detect(text) {
+        return this.list().find(game => game.detect(text)) || null;
+    }
+
+    /**
+     * Find a game by its id, name or one of its aliases (case-insensitive)
+     */
+    findByName(name) {
+        if (!name) return null;
+        const key = name.toLowerCase();
+        return this.list().find(game =>
+            game.id === key || game.name.toLowerCase() === key || game.aliases.includes(key)) || null;
+    }
+}
@@ -0,0 +1,51 @@
+import { PuzzleGame } from './puzzleGame.js';
+
+/**
+ * NYT Connections. Each row of four squares is one guess; a single-colour row
+ * is a group found, anything else is a mistake. Four mistakes end the game.
+ *
+ * Connections
+ * Puzzle #512
+ * 🟨🟨🟨🟨
+ * 🟩🟦🟩🟩
+ * 🟩🟩🟩🟩
+ * 🟦🟦🟦🟦
+ * 🟪🟪🟪🟪
+ */
+export class ConnectionsGame extends PuzzleGame {
+    constructor() {
+        super({ id: 'connections', name: 'Connections', emoji: '🟪', aliases: ['conn'] });
+        this.headerPattern = /Connections\s*\n\s*Puzzle\s*#\s*([\d,.]+)/i;
+        this.squarePattern = /(🟨|🟩|🟦|🟪)/gu;
+    }
+
+    detect(text) {
+        return this.headerPattern.test(text);
+    }
+
+    parse(text) {
+        const match = text.match(this.headerPattern);
+        if (!match) return null;
+
+        const pattern = text.split('\n')
+            .map(line => [...line.matchAll(this.squarePattern)].map(m => m[0]))
+            .filter(squares => squares.length === 4)
+            .map(squares => squares.join(''));
+        if (pattern.length === 0) return null;
+
+        const groupsFound = pattern.filter(row => new Set([...row]).size === 1).length;
+        const mistakes = pattern.length - groupsFound;
+        const solved = groupsFound === 4;
+
+        // A clean solve is worth 600, each mistake costs 100; a failed game earns 50 per group found
+        const baseScore = solved ? 600 - mistakes * 100 : groupsFound * 50;
+
+        return {
+            gameNumber: this.parseNumber(match[1]),
+            actualAttempts: solved ? `${mistakes} mistake${mistakes === 1 ? '' : 's'}` : `${groupsFound}/4 groups`,
+            solved,
+            pattern,
+            score: { baseScore, emojiPoints: 0, totalScore: baseScore }
+        };
+    }
+}
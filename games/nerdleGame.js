@@ -0,0 +1,42 @@
+import { PuzzleGame } from './puzzleGame.js';
+
+/**
+ * Nerdle: guess an 8-character equation in six tries. Scored like Wordle's base score.
+ *
+ * nerdlegame 728 3/6
+ * ⬛🟪⬛🟪🟪⬛⬛🟪
+ * 🟩🟩⬛🟪🟩⬛🟪🟩
+ * 🟩🟩🟩🟩🟩🟩🟩🟩
+ */
+export class NerdleGame extends PuzzleGame {
+    constructor() {
+        super({ id: 'nerdle', name: 'Nerdle', emoji: '🧮' });
+        this.headerPattern = /nerdlegame\s+([\d,.]+)\s+([1-6X])\/6/i;
+        this.squarePattern = /(⬛|🟩|🟪)/gu;
+        this.baseScores = { 1: 600, 2: 500, 3: 400, 4: 300, 5: 200, 6: 100, 'X': 0 };
+    }
+
+    detect(text) {
+        return this.headerPattern.test(text);
+    }
+
+    parse(text) {
+        const match = text.match(this.headerPattern);
+        if (!match) return null;
+
+        const attemptsStr = match[2].toUpperCase();
+        const pattern = text.split('\n')
+            .map(line => [...line.matchAll(this.squarePattern)].map(m => m[0]))
+            .filter(squares => squares.length === 8)
+            .map(squares => squares.join(''));
+        const baseScore = this.baseScores[attemptsStr];
+
+        return {
+            gameNumber: this.parseNumber(match[1]),
+            actualAttempts: `${attemptsStr}/6`,
+            solved: attemptsStr !== 'X',
+            pattern,
+            score: { baseScore, emojiPoints: 0, totalScore: baseScore }
+        };
+    }
+}
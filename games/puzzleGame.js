@@ -0,0 +1,65 @@
+/**
+ * Base class for every daily puzzle the bot understands.
+ * A game supplies a detector, a parser that also scores the result, and
+ * formatters used by the daily and all-time leaderboards.
+ */
+export class PuzzleGame {
+    constructor({ id, name, emoji, aliases = [] }) {
+        this.id = id;
+        this.name = name;
+        this.emoji = emoji;
+        this.aliases = aliases;
+    }
+
+    /**
+     * Check if a message contains a result for this game
+     */
+    detect(text) {
+        throw new Error(`${this.name}: detect() not implemented`);
+    }
+
+    /**
+     * Parse and score a result. Returns null if the text can't be parsed, otherwise
+     * { gameNumber, actualAttempts, solved, pattern, score: { baseScore, emojiPoints, totalScore } }
+     * where actualAttempts is a short summary of the result that is stored with it.
+     */
+    parse(text) {
+        throw new Error(`${this.name}: parse() not implemented`);
+    }
+
+    /**
+     * Parse a puzzle number that may contain thousands separators
+     */
+    parseNumber(value) {
+        return parseInt(value.replace(/[,.\s]/g, ''));
+    }
+
+    /**
+     * Short description of a freshly parsed result, used in the reply to the player
+     */
+    formatSummary(result) {
+        return `${result.actualAttempts} - ${result.score.totalScore} points`;
+    }
+
+    /**
+     * Detail lines for one stored result on the daily leaderboard
+     */
+    formatLeaderboardEntry(result) {
+        return `   ${result.attempts} - ${result.totalScore} points\n`;
+    }
+
+    /**
+     * One-line label for a stored result, used where there's no room for the full entry (leaderboard images)
+     */
+    formatResultLabel(result) {
+        return result.attempts;
+    }
+
+    /**
+     * Detail lines for one player on the all-time leaderboard
+     */
+    formatTotalEntry(stats) {
+        return `   🏆 ${stats.totalScore} total points\n` +
+               `   🎯 ${stats.solvedGames}/${stats.totalGames} solved\n`;
+    }
+}
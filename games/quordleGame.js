@@ -0,0 +1,46 @@
+import { PuzzleGame } from './puzzleGame.js';
+
+/**
+ * Quordle: four Wordle boards solved at once in at most nine guesses.
+ * Each board shows the guess it was solved on, or 🟥 if it wasn't solved.
+ *
+ * Daily Quordle 1012
+ * 6️⃣4️⃣
+ * 5️⃣🟥
+ */
+export class QuordleGame extends PuzzleGame {
+    constructor() {
+        super({ id: 'quordle', name: 'Quordle', emoji: '🔢' });
+        this.headerPattern = /Daily\s+Quordle\s+#?\s*([\d,.]+)/i;
+        this.boardPattern = /([1-9])️?⃣|🟥/gu;
+    }
+
+    detect(text) {
+        return this.headerPattern.test(text);
+    }
+
+    parse(text) {
+        const match = text.match(this.headerPattern);
+        if (!match) return null;
+
+        // Only look after the header so the puzzle number isn't mistaken for a board
+        const body = text.slice(match.index + match[0].length);
+        const boards = [...body.matchAll(this.boardPattern)]
+            .slice(0, 4)
+            .map(m => (m[1] ? parseInt(m[1]) : null));
+        if (boards.length !== 4) return null;
+
+        const solved = boards.every(board => board !== null);
+
+        // Each board is worth 20 points per unused guess out of nine
+        const baseScore = boards.reduce((sum, board) => sum + (board === null ? 0 : (10 - board) * 20), 0);
+
+        return {
+            gameNumber: this.parseNumber(match[1]),
+            actualAttempts: boards.map(board => board === null ? 'X' : board).join('-'),
+            solved,
+            pattern: [boards.map(board => board === null ? 'X' : board).join('')],
+            score: { baseScore, emojiPoints: 0, totalScore: baseScore }
+        };
+    }
+}
@@ -0,0 +1,48 @@
+import { PuzzleGame } from './puzzleGame.js';
+
+/**
+ * NYT Strands. 🔵 is a theme word, 🟡 the spangram and 💡 a hint used.
+ * Every game ends solved, so fewer hints means a better score.
+ *
+ * Strands #123
+ * “Hit the books”
+ * 🔵🔵🟡🔵
+ * 💡🔵🔵
+ */
+export class StrandsGame extends PuzzleGame {
+    constructor() {
+        super({ id: 'strands', name: 'Strands', emoji: '🔵' });
+        this.headerPattern = /Strands\s+#\s*([\d,.]+)/i;
+        this.symbolPattern = /(🔵|🟡|💡)/gu;
+    }
+
+    detect(text) {
+        this.symbolPattern.lastIndex = 0; // Reset regex
+        return this.headerPattern.test(text) && this.symbolPattern.test(text);
+    }
+
+    parse(text) {
+        const match = text.match(this.headerPattern);
+        if (!match) return null;
+
+        this.symbolPattern.lastIndex = 0; // Reset regex
+        const pattern = text.split('\n')
+            .map(line => [...line.matchAll(this.symbolPattern)].map(m => m[0]).join(''))
+            .filter(line => line.length > 0);
+        if (pattern.length === 0) return null;
+
+        const symbols = [...pattern.join('')];
+        const hints = symbols.filter(symbol => symbol === '💡').length;
+
+        // 600 for a hint-free solve, 100 less per hint, never below 100
+        const baseScore = Math.max(100, 600 - hints * 100);
+
+        return {
+            gameNumber: this.parseNumber(match[1]),
+            actualAttempts: `${hints} hint${hints === 1 ? '' : 's'}`,
+            solved: true,
+            pattern,
+            score: { baseScore, emojiPoints: 0, totalScore: baseScore }
+        };
+    }
+}
@@ -0,0 +1,43 @@
+import { PuzzleGame } from './puzzleGame.js';
+
+/**
+ * Wordle, backed by the WordleAnalyzer so parsing and scoring stay in one place
+ */
+export class WordleGame extends PuzzleGame {
+    constructor(analyzer) {
+        super({ id: 'wordle', name: 'Wordle', emoji: '🟩' });
+        this.analyzer = analyzer;
+    }
+
+    detect(text) {
+        return this.analyzer.isWordleResult(text);
+    }
+
+    parse(text) {
+        return this.analyzer.parseWordleResult(text);
+    }
+
+    formatSummary(result) {
+        const attempts = result.solved ? `${result.actualAttempts}/6` : 'X/6';
+        return `${attempts}${result.hardMode ? '*' : ''} - ${result.score.totalScore} points`;
+    }
+
+    formatLeaderboardEntry(result) {
+        const attempts = (result.solved ? `${result.attempts}/6` : 'X/6') + (result.hardMode ? '*' : '');
+        const hardModeBonus = result.totalScore - result.baseScore - result.emojiPoints;
+
+        return `   ${attempts} - ${result.totalScore} points\n` +
+               `   (${result.baseScore} base + ${result.emojiPoints} emoji` +
+               (hardModeBonus > 0 ? ` + ${hardModeBonus} hard mode)\n` : `)\n`);
+    }
+
+    formatResultLabel(result) {
+        return (result.solved ? `${result.attempts}/6` : 'X/6') + (result.hardMode ? '*' : '');
+    }
+
+    formatTotalEntry(stats) {
+        return `   🏆 ${stats.totalScore} total points\n` +
+               `   📊 ${stats.solveRate}% solve rate (${stats.solvedGames}/${stats.totalGames})\n` +
+               `   ⚡ ${stats.avgAttempts} avg attempts\n`;
+    }
+}
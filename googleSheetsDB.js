@@ -1,15 +1,33 @@
 import { google } from 'googleapis';
 import fs from 'fs';
+import { StorageBackend } from './storageBackend.js';
+import { TournamentFormats } from './tournamentFormats.js';
+import { ScoringStrategies } from './scoringStrategies.js';
 
-export class GoogleSheetsDB {
+export class GoogleSheetsDB extends StorageBackend {
     constructor(credentialsPath) {
+        super('GoogleSheetsDB');
         this.credentialsPath = credentialsPath;
         this.sheets = null;
         this.spreadsheetId = null;
         this.auth = null;
+        this.scoring = new ScoringStrategies(); // Rescores results for tournaments with their own strategy
+        // Every sheet is kept in memory: reads never call the API, and writes change the cache and
+        // mark their rows dirty until the next flush sends them all in one batch
+        this.cache = new Map(); // Sheet title -> rows of cell values
+        this.dirtyRows = new Map(); // Sheet title -> Set of zero-based row indexes to write
+        this.sheetWidths = new Map(); // Sheet title -> widest row, so blanked rows are cleared fully
+        this.flushing = Promise.resolve();
+        this.flushTimer = null;
+        this.flushIntervalMs = 5000;
+        this.maxAttempts = 6; // Requests hitting the quota are retried for about a minute (1+2+4+8+16+32s)
+        this.retryDelayMs = 1000;
     }
 
     async initialize(spreadsheetId) {
+        // Initializing again would replace the cache and lose writes that haven't been flushed
+        if (this.isAvailable()) return;
+
         try {
             // Load service account credentials
             const credentials = JSON.parse(fs.readFileSync(this.credentialsPath, 'utf8'));
@@ -42,6 +60,11 @@ export class GoogleSheetsDB {
             
             // Create necessary sheets if they don't exist
             await this.createSheetsIfNeeded();
+
+            await this.flush();
+            clearInterval(this.flushTimer);
+            this.flushTimer = setInterval(() => this.flush(), this.flushIntervalMs);
+            this.flushTimer.unref();
             
         } catch (error) {
             console.error('❌ Error initializing Google Sheets DB:', error);
@@ -73,9 +96,9 @@ export class GoogleSheetsDB {
     async testSpreadsheetAccess() {
         try {
             console.log('🔍 Testing spreadsheet access...');
-            const response = await this.sheets.spreadsheets.get({
+            const response = await this.withRetry('opening the spreadsheet', () => this.sheets.spreadsheets.get({
                 spreadsheetId: this.spreadsheetId
-            });
+            }));
             console.log(`✅ Successfully accessed spreadsheet: "${response.data.properties.title}"`);
             return true;
         } catch (error) {
@@ -87,15 +110,15 @@ export class GoogleSheetsDB {
     async createSheetsIfNeeded() {
         try {
             // Get existing sheets
-            const response = await this.sheets.spreadsheets.get({
+            const response = await this.withRetry('listing sheets', () => this.sheets.spreadsheets.get({
                 spreadsheetId: this.spreadsheetId
-            });
+            }));
 
             const existingSheets = response.data.sheets.map(sheet => sheet.properties.title);
             console.log(`📋 Existing sheets: ${existingSheets.join(', ')}`);
             
             // Create sheets if they don't exist
-            const requiredSheets = ['DailyResults', 'TotalScores', 'GroupMembers', 'TournamentResults'];
+            const requiredSheets = ['DailyResults', 'TotalScores', 'GroupMembers', 'TournamentResults', 'Players', 'Tournaments', 'RatingHistory', 'ScoreAdjustments', 'AuditLog'];
             
             for (const sheetName of requiredSheets) {
                 if (!existingSheets.includes(sheetName)) {
@@ -105,6 +128,8 @@ export class GoogleSheetsDB {
                 }
             }
 
+            await this.loadCache(requiredSheets);
+
             // Initialize headers if needed
             await this.initializeHeaders();
 
@@ -137,39 +162,35 @@ export class GoogleSheetsDB {
 
     async initializeHeaders() {
         try {
-            // Check if headers already exist before initializing
-            const dailyHeaders = await this.getRange('DailyResults!A1:H1');
-            if (dailyHeaders.length === 0) {
-                await this.updateRange('DailyResults!A1:H1', [[
-                    'Date', 'GameNumber', 'Player', 'Attempts', 'Solved', 'BaseScore', 'EmojiPoints', 'TotalScore'
-                ]]);
-                console.log('✅ Initialized DailyResults headers');
-            }
-
-            const totalHeaders = await this.getRange('TotalScores!A1:F1');
-            if (totalHeaders.length === 0) {
-                await this.updateRange('TotalScores!A1:F1', [[
-                    'Player', 'TotalScore', 'GamesPlayed', 'AverageScore', 'BestScore', 'LastUpdated'
-                ]]);
-                console.log('✅ Initialized TotalScores headers');
-            }
-
-            const groupHeaders = await this.getRange('GroupMembers!A1:D1');
-            if (groupHeaders.length === 0) {
-                await this.updateRange('GroupMembers!A1:D1', [[
-                    'GroupId', 'GroupName', 'MemberCount', 'LastUpdated'
-                ]]);
-                console.log('✅ Initialized GroupMembers headers');
-            }
-            
-            // Initialize tournament headers
-            const tournamentHeaders = await this.getRange('TournamentResults!A1:G1');
-            if (tournamentHeaders.length === 0) {
-                await this.updateRange('TournamentResults!A1:G1', [[
-                    'TournamentId', 'Player', 'TotalScore', 'GamesPlayed', 'AverageScore', 'StartDate', 'EndDate'
-                ]]);
-                console.log('✅ Initialized TournamentResults headers');
-            }
+            // Check if headers already exist before initializing. Existing sheets
+            // created before a column was added get the missing header appended.
+            await this.ensureHeaders('DailyResults', [
+                'Date', 'GameNumber', 'Player', 'Attempts', 'Solved', 'BaseScore', 'EmojiPoints', 'TotalScore', 'GroupId', 'PlayerId', 'HardMode', 'Pattern', 'Game'
+            ]);
+            await this.ensureHeaders('TotalScores', [
+                'Player', 'TotalScore', 'GamesPlayed', 'AverageScore', 'BestScore', 'LastUpdated', 'GroupId', 'PlayerId', 'Game'
+            ]);
+            await this.ensureHeaders('GroupMembers', [
+                'GroupId', 'GroupName', 'MemberCount', 'LastUpdated', 'Settings'
+            ]);
+            await this.ensureHeaders('TournamentResults', [
+                'TournamentId', 'Player', 'TotalScore', 'GamesPlayed', 'AverageScore', 'StartDate', 'EndDate', 'GroupId', 'PlayerId', 'FinalizedAt', 'Score', 'Qualified'
+            ]);
+            await this.ensureHeaders('Players', [
+                'PlayerId', 'DisplayName', 'Nickname', 'Aliases', 'LastUpdated'
+            ]);
+            await this.ensureHeaders('RatingHistory', [
+                'GroupId', 'GameNumber', 'PlayerId', 'Player', 'RatingBefore', 'RatingAfter', 'Delta', 'Opponents', 'UpdatedAt'
+            ]);
+            await this.ensureHeaders('ScoreAdjustments', [
+                'GroupId', 'TournamentId', 'PlayerId', 'Player', 'Points', 'Reason', 'AdminId', 'CreatedAt'
+            ]);
+            await this.ensureHeaders('AuditLog', [
+                'CreatedAt', 'GroupId', 'AdminId', 'Admin', 'Action', 'Details'
+            ]);
+            await this.ensureHeaders('Tournaments', [
+                'Id', 'GroupId', 'Name', 'Format', 'StartDate', 'EndDate', 'Scoring', 'MinGames', 'CreatedBy', 'CreatedAt', 'Strategy'
+            ]);
 
         } catch (error) {
             console.error('❌ Error initializing headers:', error);
@@ -177,6 +198,17 @@ export class GoogleSheetsDB {
         }
     }
 
+    async ensureHeaders(sheetName, headers) {
+        const lastColumn = String.fromCharCode(64 + headers.length);
+        const range = `${sheetName}!A1:${lastColumn}1`;
+        const existing = (await this.getRange(range))[0] || [];
+
+        if (existing.length < headers.length) {
+            await this.updateRange(range, [headers.map((header, i) => existing[i] || header)]);
+            console.log(`✅ Initialized ${sheetName} headers`);
+        }
+    }
+
     // Check if sheets API is available before making calls
     isAvailable() {
         return this.sheets !== null && this.auth !== null;
@@ -189,36 +221,97 @@ export class GoogleSheetsDB {
         }
 
         try {
-            const row = [
-                result.date,
-                result.gameNumber,
-                result.player,
-                result.actualAttempts,
-                result.solved,
-                result.score.baseScore,
-                result.score.emojiPoints,
-                result.score.totalScore
-            ];
+            const row = this.buildDailyResultRow(result, groupId);
 
+            // Once both sheets are cached the writes below can't fail, so a failed save changes nothing
+            await this.loadSheet('DailyResults');
+            await this.loadSheet('TotalScores');
             await this.appendRow('DailyResults', row);
             console.log(`💾 Saved result to Google Sheets: ${result.player} - Game ${result.gameNumber}`);
             
             // Update total scores
-            await this.updateTotalScores(result.player);
+            await this.updateTotalScores(result.playerId, groupId, result.player, result.game);
             
         } catch (error) {
             console.error('❌ Error saving Wordle result:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Overwrite the player's existing result for the same game in the group,
+     * or save it as a new row if there is none
+     */
+    async replaceWordleResult(result, groupId) {
+        if (!this.isAvailable()) {
+            console.log('⚠️  Google Sheets not available, skipping save');
+            return;
+        }
+
+        try {
+            await this.loadSheet('DailyResults');
+            await this.loadSheet('TotalScores');
+            const data = await this.getRange('DailyResults!A:M');
+            const rowIndex = data.findIndex((row, index) => index > 0 &&
+                parseInt(row[1]) === result.gameNumber &&
+                row[8] === groupId &&
+                (row[9] || row[2]) === result.playerId &&
+                (row[12] || 'wordle') === (result.game || 'wordle'));
+
+            if (rowIndex === -1) {
+                await this.saveWordleResult(result, groupId);
+                return;
+            }
+
+            const range = `DailyResults!A${rowIndex + 1}:M${rowIndex + 1}`;
+            await this.updateRange(range, [this.buildDailyResultRow(result, groupId)]);
+            console.log(`♻️  Replaced result in Google Sheets: ${result.player} - Game ${result.gameNumber}`);
+
+            await this.updateTotalScores(result.playerId, groupId, result.player, result.game);
+
+        } catch (error) {
+            console.error('❌ Error replacing Wordle result:', error);
+            throw error;
         }
     }
 
-    async updateTotalScores(player) {
+    buildDailyResultRow(result, groupId) {
+        return [
+            result.date,
+            result.gameNumber,
+            result.player,
+            result.actualAttempts,
+            result.solved,
+            result.score.baseScore,
+            result.score.emojiPoints,
+            result.score.totalScore,
+            groupId,
+            result.playerId,
+            result.hardMode || false,
+            result.pattern.join(' '),
+            result.game || 'wordle'
+        ];
+    }
+
+    async updateTotalScores(playerKey, groupId, displayName, game = 'wordle') {
         if (!this.isAvailable()) return;
 
         try {
-            // Get all results for this player
-            const results = await this.getPlayerResults(player);
-            
-            if (results.length === 0) return;
+            // Get all results for this player in this group and game
+            const results = await this.getPlayerResults(playerKey, groupId, game);
+
+            // Check if player exists in TotalScores for this group and game
+            const existingData = await this.getRange('TotalScores!A:I');
+            const playerRowIndex = existingData.findIndex(row =>
+                (row[7] || row[0]) === playerKey && row[6] === groupId && (row[8] || 'wordle') === game);
+
+            // A player whose last result was deleted drops off the totals
+            if (results.length === 0) {
+                if (playerRowIndex !== -1) {
+                    await this.deleteRows('TotalScores', [playerRowIndex]);
+                }
+                return;
+            }
 
             const solved = results.filter(r => r.solved);
             const totalScore = results.reduce((sum, r) => sum + r.totalScore, 0);
@@ -226,17 +319,16 @@ export class GoogleSheetsDB {
                 solved.reduce((sum, r) => sum + parseInt(r.attempts), 0) / solved.length : 0;
             const solveRate = (solved.length / results.length) * 100;
 
-            // Check if player exists in TotalScores
-            const existingData = await this.getRange('TotalScores!A:F');
-            const playerRowIndex = existingData.findIndex(row => row[0] === player);
-
             const newRow = [
-                player,
+                displayName || results[results.length - 1].player,
                 results.length,
                 solved.length,
                 solveRate.toFixed(1),
                 avgAttempts.toFixed(1),
-                totalScore
+                totalScore,
+                groupId,
+                results[0].playerId || '',
+                game
             ];
 
             if (playerRowIndex === -1) {
@@ -244,69 +336,167 @@ export class GoogleSheetsDB {
                 await this.appendRow('TotalScores', newRow);
             } else {
                 // Update existing player
-                const range = `TotalScores!A${playerRowIndex + 1}:F${playerRowIndex + 1}`;
+                const range = `TotalScores!A${playerRowIndex + 1}:I${playerRowIndex + 1}`;
                 await this.updateRange(range, [newRow]);
             }
 
         } catch (error) {
             console.error('❌ Error updating total scores:', error);
+            throw error;
         }
     }
 
-    async getPlayerResults(player) {
+    parseDailyResultRow(row) {
+        return {
+            date: row[0],
+            gameNumber: parseInt(row[1]),
+            player: row[2],
+            attempts: row[3],
+            solved: row[4] === 'TRUE',
+            baseScore: parseInt(row[5]),
+            emojiPoints: parseInt(row[6]),
+            totalScore: parseInt(row[7]),
+            groupId: row[8] || null,
+            playerId: row[9] || null,
+            hardMode: row[10] === 'TRUE',
+            pattern: row[11] ? row[11].split(' ') : [],
+            game: row[12] || 'wordle'
+        };
+    }
+
+    // Rows recorded before player IDs existed are keyed by display name
+    getPlayerKey(result) {
+        return result.playerId || result.player;
+    }
+
+    // When a group ID is given, only rows recorded for that group match
+    matchesGroup(rowGroupId, groupId) {
+        return groupId === undefined || rowGroupId === groupId;
+    }
+
+    // Rows saved before other games were supported are Wordle results
+    matchesGame(rowGame, game) {
+        return game === undefined || (rowGame || 'wordle') === game;
+    }
+
+    async getPlayerResults(playerKey, groupId, game) {
         if (!this.isAvailable()) return [];
 
         try {
-            const data = await this.getRange('DailyResults!A:H');
+            const data = await this.getRange('DailyResults!A:M');
             return data.slice(1) // Skip header
-                .filter(row => row[2] === player) // Filter by player
-                .map(row => ({
-                    date: row[0],
-                    gameNumber: parseInt(row[1]),
-                    player: row[2],
-                    attempts: row[3],
-                    solved: row[4] === 'TRUE',
-                    baseScore: parseInt(row[5]),
-                    emojiPoints: parseInt(row[6]),
-                    totalScore: parseInt(row[7])
-                }));
+                .map(row => this.parseDailyResultRow(row))
+                .filter(result => this.getPlayerKey(result) === playerKey &&
+                    this.matchesGroup(result.groupId, groupId) &&
+                    this.matchesGame(result.game, game));
         } catch (error) {
             console.error('❌ Error getting player results:', error);
             return [];
         }
     }
 
-    async getDailyResults(gameNumber) {
+    async getDailyResults(gameNumber, groupId, game = 'wordle') {
         if (!this.isAvailable()) return [];
 
         try {
-            const data = await this.getRange('DailyResults!A:H');
+            const data = await this.getRange('DailyResults!A:M');
             return data.slice(1) // Skip header
-                .filter(row => parseInt(row[1]) === gameNumber)
-                .map(row => ({
-                    date: row[0],
-                    gameNumber: parseInt(row[1]),
-                    player: row[2],
-                    attempts: row[3],
-                    solved: row[4] === 'TRUE',
-                    baseScore: parseInt(row[5]),
-                    emojiPoints: parseInt(row[6]),
-                    totalScore: parseInt(row[7])
-                }));
+                .filter(row => parseInt(row[1]) === gameNumber &&
+                    this.matchesGroup(row[8], groupId) &&
+                    this.matchesGame(row[12], game))
+                .map(row => this.parseDailyResultRow(row));
         } catch (error) {
             console.error('❌ Error getting daily results:', error);
             return [];
         }
     }
 
-    async getTotalLeaderboard() {
+    async getGroupResults(groupId, game) {
         if (!this.isAvailable()) return [];
 
         try {
-            const data = await this.getRange('TotalScores!A:F');
+            const data = await this.getRange('DailyResults!A:M');
             return data.slice(1) // Skip header
+                .filter(row => row.length > 0 && this.matchesGroup(row[8], groupId) && this.matchesGame(row[12], game))
+                .map(row => this.parseDailyResultRow(row));
+        } catch (error) {
+            console.error('❌ Error getting group results:', error);
+            return [];
+        }
+    }
+
+    async updateResultScores(groupId, rows) {
+        if (!this.isAvailable() || rows.length === 0) return;
+
+        try {
+            const scores = new Map(rows.map(row => [`${this.getPlayerKey(row)}:${row.gameNumber}`, row]));
+            const data = await this.getRange('DailyResults!A:M');
+            const players = new Map();
+
+            // Rewrite the score columns (F:H) in one call instead of a request per row
+            const values = data.slice(1).map(row => {
+                const result = row.length > 0 ? this.parseDailyResultRow(row) : null;
+                const scored = result && result.groupId === groupId && this.matchesGame(result.game, 'wordle') ?
+                    scores.get(`${this.getPlayerKey(result)}:${result.gameNumber}`) : null;
+                if (!scored) {
+                    return [5, 6, 7].map(i => row[i] === undefined || row[i] === '' ? '' : Number(row[i]));
+                }
+
+                players.set(this.getPlayerKey(result), result.player);
+                return [scored.baseScore, scored.emojiPoints, scored.totalScore];
+            });
+
+            await this.updateRange(`DailyResults!F2:H${values.length + 1}`, values);
+            for (const [playerKey, player] of players) {
+                await this.updateTotalScores(playerKey, groupId, player, 'wordle');
+            }
+            console.log(`♻️  Rescored ${rows.length} results in Google Sheets for group ${groupId}`);
+        } catch (error) {
+            console.error('❌ Error updating result scores:', error);
+            throw error;
+        }
+    }
+
+    async deleteResults(groupId, gameNumber, playerKey, game = 'wordle') {
+        if (!this.isAvailable()) return 0;
+
+        try {
+            const data = await this.getRange('DailyResults!A:M');
+            const players = new Map();
+            const rowIndexes = [];
+            data.forEach((row, index) => {
+                if (index === 0 || row.length === 0) return;
+                const result = this.parseDailyResultRow(row);
+                if (result.groupId === groupId && result.gameNumber === gameNumber && this.matchesGame(result.game, game) &&
+                    (playerKey === undefined || this.getPlayerKey(result) === playerKey)) {
+                    rowIndexes.push(index);
+                    players.set(this.getPlayerKey(result), result.player);
+                }
+            });
+            if (rowIndexes.length === 0) return 0;
+
+            await this.deleteRows('DailyResults', rowIndexes);
+            for (const [key, player] of players) {
+                await this.updateTotalScores(key, groupId, player, game);
+            }
+            console.log(`🗑️  Deleted ${rowIndexes.length} results for game ${gameNumber} from group ${groupId}`);
+            return rowIndexes.length;
+        } catch (error) {
+            console.error('❌ Error deleting results:', error);
+            throw error;
+        }
+    }
+
+    async getTotalLeaderboard(groupId, game = 'wordle') {
+        if (!this.isAvailable()) return [];
+
+        try {
+            const data = await this.getRange('TotalScores!A:I');
+            return data.slice(1) // Skip header
+                .filter(row => this.matchesGroup(row[6], groupId) && this.matchesGame(row[8], game))
                 .map(row => ({
                     player: row[0],
+                    playerId: row[7] || null,
                     totalGames: parseInt(row[1]),
                     solvedGames: parseInt(row[2]),
                     solveRate: parseFloat(row[3]),
@@ -320,6 +510,83 @@ export class GoogleSheetsDB {
         }
     }
 
+    async getGroupSettings(groupId) {
+        if (!this.isAvailable()) return {};
+
+        try {
+            const data = await this.getRange('GroupMembers!A:E');
+            const row = data.slice(1).find(r => r[0] === groupId);
+            return row?.[4] ? JSON.parse(row[4]) : {};
+        } catch (error) {
+            console.error('❌ Error getting group settings:', error);
+            return {};
+        }
+    }
+
+    async saveGroupSettings(groupId, settings) {
+        if (!this.isAvailable()) {
+            console.log('⚠️  Google Sheets not available, skipping settings save');
+            return;
+        }
+
+        try {
+            const existingData = await this.getRange('GroupMembers!A:A');
+            const groupRowIndex = existingData.findIndex(row => row[0] === groupId);
+
+            if (groupRowIndex === -1) {
+                await this.appendRow('GroupMembers', [groupId, '', 0, new Date().toISOString(), JSON.stringify(settings)]);
+            } else {
+                await this.updateRange(`GroupMembers!E${groupRowIndex + 1}`, [[JSON.stringify(settings)]]);
+            }
+            console.log(`⚙️  Saved settings for group ${groupId}`);
+        } catch (error) {
+            console.error('❌ Error saving group settings:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Attribute rows saved before multi-group support (no GroupId) to a group
+     */
+    async assignMissingGroupIds(groupId) {
+        if (!this.isAvailable()) return;
+
+        try {
+            const columns = { DailyResults: 'I', TotalScores: 'G', TournamentResults: 'H' };
+            for (const [sheetName, column] of Object.entries(columns)) {
+                const data = await this.getRange(`${sheetName}!A:${column}`);
+                const columnIndex = column.charCodeAt(0) - 65;
+                const missing = data.slice(1).filter(row => row.length > 0 && !row[columnIndex]).length;
+                if (missing === 0) continue;
+
+                const values = data.slice(1).map(row => [row.length > 0 ? (row[columnIndex] || groupId) : '']);
+                await this.updateRange(`${sheetName}!${column}2:${column}${data.length}`, values);
+                console.log(`🏷️  Assigned ${missing} ${sheetName} rows to group ${groupId}`);
+            }
+        } catch (error) {
+            console.error('❌ Error assigning group IDs:', error);
+            throw error;
+        }
+    }
+
+    async getRegisteredGroups() {
+        if (!this.isAvailable()) return [];
+
+        try {
+            const data = await this.getRange('GroupMembers!A:C');
+            return data.slice(1)
+                .filter(row => row[0])
+                .map(row => ({
+                    groupId: row[0],
+                    groupName: row[1],
+                    memberCount: parseInt(row[2]) || 0
+                }));
+        } catch (error) {
+            console.error('❌ Error getting registered groups:', error);
+            return [];
+        }
+    }
+
     async updateGroupMembers(groupId, groupName, memberCount) {
         if (!this.isAvailable()) {
             console.log('⚠️  Google Sheets not available, skipping group member update');
@@ -342,6 +609,132 @@ export class GoogleSheetsDB {
             console.log(`📊 Updated group members: ${groupName} (${memberCount} members)`);
         } catch (error) {
             console.error('❌ Error updating group members:', error);
+            throw error;
+        }
+    }
+
+    async getPlayers() {
+        if (!this.isAvailable()) return [];
+
+        try {
+            const data = await this.getRange('Players!A:E');
+            return data.slice(1)
+                .filter(row => row[0])
+                .map(row => ({
+                    playerId: row[0],
+                    displayName: row[1],
+                    nickname: row[2] || null,
+                    aliases: row[3] ? JSON.parse(row[3]) : []
+                }));
+        } catch (error) {
+            console.error('❌ Error getting players:', error);
+            return [];
+        }
+    }
+
+    async savePlayer(player) {
+        if (!this.isAvailable()) {
+            console.log('⚠️  Google Sheets not available, skipping player update');
+            return;
+        }
+
+        try {
+            const existingData = await this.getRange('Players!A:A');
+            const playerRowIndex = existingData.findIndex(row => row[0] === player.playerId);
+
+            const newRow = [
+                player.playerId,
+                player.displayName,
+                player.nickname || '',
+                JSON.stringify(player.aliases),
+                new Date().toISOString()
+            ];
+
+            if (playerRowIndex === -1) {
+                await this.appendRow('Players', newRow);
+            } else {
+                const range = `Players!A${playerRowIndex + 1}:E${playerRowIndex + 1}`;
+                await this.updateRange(range, [newRow]);
+            }
+        } catch (error) {
+            console.error('❌ Error saving player:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Attach a player ID to results recorded under a display name without one.
+     * Returns the number of results that were claimed.
+     */
+    async assignPlayerId(playerId, name) {
+        if (!this.isAvailable()) return 0;
+
+        try {
+            const data = await this.getRange('DailyResults!A:M');
+            let claimed = 0;
+            const values = data.slice(1).map(row => {
+                if (row.length > 0 && !row[9] && row[2] === name) {
+                    claimed++;
+                    return [playerId];
+                }
+                return [row[9] || ''];
+            });
+
+            if (claimed > 0) {
+                await this.updateRange(`DailyResults!J2:J${data.length}`, values);
+                await this.rebuildTotalScores();
+                console.log(`🔗 Assigned ${claimed} results recorded as "${name}" to ${playerId}`);
+            }
+            return claimed;
+        } catch (error) {
+            console.error('❌ Error assigning player ID:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Recompute the whole TotalScores sheet from DailyResults
+     */
+    async rebuildTotalScores() {
+        if (!this.isAvailable()) return;
+
+        try {
+            const data = await this.getRange('DailyResults!A:M');
+            const totals = new Map();
+
+            data.slice(1).forEach(row => {
+                const result = this.parseDailyResultRow(row);
+                const key = `${result.groupId}|${result.game}|${this.getPlayerKey(result)}`;
+                if (!totals.has(key)) {
+                    totals.set(key, []);
+                }
+                totals.get(key).push(result);
+            });
+
+            const rows = [['Player', 'TotalScore', 'GamesPlayed', 'AverageScore', 'BestScore', 'LastUpdated', 'GroupId', 'PlayerId', 'Game']];
+            for (const results of totals.values()) {
+                const solved = results.filter(r => r.solved);
+                const avgAttempts = solved.length > 0 ?
+                    solved.reduce((sum, r) => sum + parseInt(r.attempts), 0) / solved.length : 0;
+                rows.push([
+                    results[results.length - 1].player,
+                    results.length,
+                    solved.length,
+                    ((solved.length / results.length) * 100).toFixed(1),
+                    avgAttempts.toFixed(1),
+                    results.reduce((sum, r) => sum + r.totalScore, 0),
+                    results[0].groupId || '',
+                    results[0].playerId || '',
+                    results[0].game
+                ]);
+            }
+
+            await this.clearRange('TotalScores!A:I');
+            await this.updateRange(`TotalScores!A1:I${rows.length}`, rows);
+            console.log('✅ Rebuilt TotalScores');
+        } catch (error) {
+            console.error('❌ Error rebuilding total scores:', error);
+            throw error;
         }
     }
 
@@ -359,23 +752,20 @@ export class GoogleSheetsDB {
     }
 
     async appendRow(sheetName, values) {
+        await this.appendRows(sheetName, [values]);
+    }
+
+    /**
+     * Add rows after the last row of a sheet. Like every write below, this changes the cache
+     * straight away and reaches the spreadsheet on the next flush.
+     */
+    async appendRows(sheetName, rows) {
         if (!this.isAvailable()) {
             throw new Error('Google Sheets not available');
         }
 
-        try {
-            await this.sheets.spreadsheets.values.append({
-                spreadsheetId: this.spreadsheetId,
-                range: `${sheetName}!A:Z`,
-                valueInputOption: 'RAW',
-                requestBody: {
-                    values: [values]
-                }
-            });
-        } catch (error) {
-            console.error(`❌ Error appending row to ${sheetName}:`, error);
-            throw error;
-        }
+        const cached = await this.loadSheet(sheetName);
+        this.setCells(sheetName, cached.length, 0, rows);
     }
 
     async updateRange(range, values) {
@@ -383,32 +773,70 @@ export class GoogleSheetsDB {
             throw new Error('Google Sheets not available');
         }
 
-        try {
-            await this.sheets.spreadsheets.values.update({
-                spreadsheetId: this.spreadsheetId,
-                range: range,
-                valueInputOption: 'RAW',
-                requestBody: {
-                    values: values
-                }
-            });
-        } catch (error) {
-            console.error(`❌ Error updating range ${range}:`, error);
-            throw error;
+        const { sheetName, startRow, startColumn } = this.parseRange(range);
+        await this.loadSheet(sheetName);
+        this.setCells(sheetName, startRow, startColumn, values);
+    }
+
+    /**
+     * Delete rows by their zero-based index in the sheet (0 is the header row).
+     * The rows below move up, so they are rewritten and the freed rows at the bottom blanked.
+     */
+    async deleteRows(sheetName, rowIndexes) {
+        if (!this.isAvailable()) {
+            throw new Error('Google Sheets not available');
+        }
+
+        const cached = await this.loadSheet(sheetName);
+        const oldLength = cached.length;
+        const deleted = new Set(rowIndexes);
+        const remaining = cached.filter((row, index) => !deleted.has(index));
+        this.cache.set(sheetName, remaining);
+        this.markDirty(sheetName, Math.min(...rowIndexes), oldLength);
+    }
+
+    async clearRange(range) {
+        if (!this.isAvailable()) {
+            throw new Error('Google Sheets not available');
         }
+
+        const { sheetName, startRow, endRow, startColumn, endColumn } = this.parseRange(range);
+        const cached = await this.loadSheet(sheetName);
+        const oldLength = cached.length;
+        const lastRow = Math.min(endRow ?? oldLength - 1, oldLength - 1);
+
+        for (let index = startRow; index <= lastRow; index++) {
+            const row = cached[index] || [];
+            for (let column = startColumn; column <= endColumn; column++) {
+                row[column] = '';
+            }
+            cached[index] = row;
+        }
+        while (cached.length > 0 && this.isEmptyRow(cached[cached.length - 1])) {
+            cached.pop();
+        }
+        this.markDirty(sheetName, startRow, lastRow + 1);
     }
 
+    /**
+     * Read a range from the cache in the shape the Sheets API returns it: cells as formatted
+     * strings, trailing empty cells and rows left out
+     */
     async getRange(range) {
         if (!this.isAvailable()) {
             return [];
         }
 
         try {
-            const response = await this.sheets.spreadsheets.values.get({
-                spreadsheetId: this.spreadsheetId,
-                range: range
+            const { sheetName, startRow, endRow, startColumn, endColumn } = this.parseRange(range);
+            const cached = await this.loadSheet(sheetName);
+            const rows = cached.slice(startRow, endRow === null ? undefined : endRow + 1).map(row => {
+                const cells = row.slice(startColumn, endColumn === null ? undefined : endColumn + 1).map(cell => this.formatCell(cell));
+                while (cells.length > 0 && cells[cells.length - 1] === '') cells.pop();
+                return cells;
             });
-            return response.data.values || [];
+            while (rows.length > 0 && rows[rows.length - 1].length === 0) rows.pop();
+            return rows;
         } catch (error) {
             console.error(`❌ Error getting range ${range}:`, error);
             if (error.code === 403) {
@@ -417,68 +845,302 @@ export class GoogleSheetsDB {
             return [];
         }
     }
+
+    /**
+     * Fill the cache with every sheet in one request. Sheets not loaded here are fetched on first use.
+     */
+    async loadCache(sheetNames) {
+        const response = await this.withRetry('loading the spreadsheet', () => this.sheets.spreadsheets.values.batchGet({
+            spreadsheetId: this.spreadsheetId,
+            ranges: sheetNames.map(sheetName => `${sheetName}!A:Z`)
+        }));
+        response.data.valueRanges.forEach((valueRange, i) => this.cacheSheet(sheetNames[i], valueRange.values || []));
+
+        const rowCount = Array.from(this.cache.values()).reduce((total, rows) => total + rows.length, 0);
+        console.log(`📥 Cached ${sheetNames.length} sheets (${rowCount} rows)`);
+    }
+
+    async loadSheet(sheetName) {
+        if (!this.cache.has(sheetName)) {
+            const response = await this.withRetry(`reading ${sheetName}`, () => this.sheets.spreadsheets.values.get({
+                spreadsheetId: this.spreadsheetId,
+                range: `${sheetName}!A:Z`
+            }));
+            // Another read may have filled it while this one waited
+            if (!this.cache.has(sheetName)) {
+                this.cacheSheet(sheetName, response.data.values || []);
+            }
+        }
+        return this.cache.get(sheetName);
+    }
+
+    cacheSheet(sheetName, rows) {
+        this.cache.set(sheetName, rows);
+        this.sheetWidths.set(sheetName, Math.max(0, ...rows.map(row => row.length)));
+    }
+
+    /**
+     * Write a block of values into the cache with its top-left cell at (startRow, startColumn), zero-based
+     */
+    setCells(sheetName, startRow, startColumn, values) {
+        const cached = this.cache.get(sheetName);
+        values.forEach((rowValues, i) => {
+            const row = cached[startRow + i] || [];
+            rowValues.forEach((value, j) => {
+                row[startColumn + j] = value;
+            });
+            // Sheets fills skipped rows with empty ones
+            for (let index = cached.length; index < startRow + i; index++) {
+                cached[index] = [];
+            }
+            cached[startRow + i] = row;
+        });
+        this.markDirty(sheetName, startRow, startRow + values.length);
+    }
+
+    // Rows from start up to (not including) end need writing on the next flush
+    markDirty(sheetName, start, end) {
+        if (!this.dirtyRows.has(sheetName)) {
+            this.dirtyRows.set(sheetName, new Set());
+        }
+        for (let index = start; index < end; index++) {
+            this.dirtyRows.get(sheetName).add(index);
+        }
+    }
+
+    /**
+     * Write every changed row to the spreadsheet in a single values.batchUpdate. Runs on an interval;
+     * call it directly to make sure changes are saved (e.g. before exiting). Rows that fail to
+     * write stay dirty and are tried again on the next flush.
+     */
+    async flush() {
+        this.flushing = this.flushing.then(() => this.writeDirtyRows());
+        return this.flushing;
+    }
+
+    async writeDirtyRows() {
+        if (!this.isAvailable() || this.dirtyRows.size === 0) return;
+
+        const dirty = this.dirtyRows;
+        this.dirtyRows = new Map();
+        const data = [];
+        let rowCount = 0;
+
+        for (const [sheetName, indexes] of dirty) {
+            const cached = this.cache.get(sheetName);
+            const sorted = Array.from(indexes).sort((a, b) => a - b);
+            // Full-width rows, so cells a row no longer has are blanked. Rows past the end were deleted.
+            const width = Math.max(1, ...sorted.map(index => cached[index]?.length || 0), this.sheetWidths.get(sheetName) || 0);
+            this.sheetWidths.set(sheetName, width);
+
+            // One range per run of consecutive rows
+            let runStart = 0;
+            for (let i = 1; i <= sorted.length; i++) {
+                if (i < sorted.length && sorted[i] === sorted[i - 1] + 1) continue;
+
+                const first = sorted[runStart];
+                const last = sorted[i - 1];
+                const values = [];
+                for (let index = first; index <= last; index++) {
+                    const row = cached[index] || [];
+                    values.push(Array.from({ length: width }, (_, column) => row[column] ?? ''));
+                }
+                data.push({ range: `${sheetName}!A${first + 1}:${this.columnName(width - 1)}${last + 1}`, values });
+                rowCount += values.length;
+                runStart = i;
+            }
+        }
+
+        try {
+            await this.withRetry('saving changes', () => this.sheets.spreadsheets.values.batchUpdate({
+                spreadsheetId: this.spreadsheetId,
+                requestBody: { valueInputOption: 'RAW', data }
+            }));
+            console.log(`📤 Wrote ${rowCount} rows to Google Sheets`);
+        } catch (error) {
+            console.error('❌ Error writing to Google Sheets, will retry on the next flush:', error);
+            for (const [sheetName, indexes] of dirty) {
+                for (const index of indexes) this.markDirty(sheetName, index, index + 1);
+            }
+        }
+    }
+
+    /**
+     * Run a Sheets API request, waiting and retrying when the per-minute quota is used up (429)
+     * or the service is briefly unavailable. Honours Retry-After, otherwise backs off exponentially.
+     */
+    async withRetry(description, request) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await request();
+            } catch (error) {
+                const status = Number(error.code ?? error.response?.status);
+                if (![429, 500, 503].includes(status) || attempt >= this.maxAttempts) throw error;
+
+                const retryAfter = parseInt(error.response?.headers?.['retry-after']);
+                const delay = retryAfter > 0 ? retryAfter * 1000 : this.retryDelayMs * 2 ** (attempt - 1);
+                console.log(`⏳ Google Sheets ${status === 429 ? 'quota exceeded' : 'unavailable'} while ${description}, retrying in ${Math.round(delay / 1000)}s`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    /**
+     * Split an A1 range like "DailyResults!F2:H10", "Players!A:E" or "GroupMembers!E3" into
+     * zero-based rows and columns. endRow and endColumn are null when the range is open-ended.
+     */
+    parseRange(range) {
+        const match = range.match(/^(\w+)!([A-Z]+)(\d*)(?::([A-Z]+)(\d*))?$/);
+        if (!match) throw new Error(`Unsupported range ${range}`);
+
+        const [, sheetName, startColumn, startRow, endColumn, endRow] = match;
+        return {
+            sheetName,
+            startRow: startRow ? parseInt(startRow) - 1 : 0,
+            startColumn: this.columnIndex(startColumn),
+            endRow: endColumn === undefined ? (startRow ? parseInt(startRow) - 1 : null) : (endRow ? parseInt(endRow) - 1 : null),
+            endColumn: this.columnIndex(endColumn ?? startColumn)
+        };
+    }
+
+    columnIndex(name) {
+        return name.split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+    }
+
+    columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + (n - 1) % 26) + name;
+        }
+        return name;
+    }
+
+    // Values written from the bot keep their type in the cache; show them as the API would return them
+    formatCell(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+        return String(value);
+    }
+
+    isEmptyRow(row) {
+        return row.every(cell => this.formatCell(cell) === '');
+    }
         // Add these methods before the existing appendRow method
     
-    async getTournamentResults(tournamentId, startDate, endDate) {
+    async getTournamentResults(tournamentId, startDate, endDate, groupId, rules = {}) {
         try {
-            // Get all daily results within the tournament period
-            const data = await this.getRange('DailyResults!A:H');
-            if (data.length <= 1) return [];
-            
-            const tournamentData = new Map();
-            
-            // Filter results by date range
-            data.slice(1).forEach(row => {
-                const [dateStr, gameNumber, player, attempts, solved, baseScore, emojiPoints, totalScore] = row;
-                const resultDate = new Date(dateStr);
-                
-                if (resultDate >= startDate && resultDate <= endDate) {
-                    if (!tournamentData.has(player)) {
-                        tournamentData.set(player, {
-                            player,
-                            totalScore: 0,
-                            gamesPlayed: 0,
-                            scores: []
-                        });
-                    }
-                    
-                    const playerData = tournamentData.get(player);
-                    const score = parseInt(totalScore) || 0;
-                    playerData.totalScore += score;
-                    playerData.gamesPlayed += 1;
-                    playerData.scores.push(score);
-                }
-            });
-            
-            // Convert to array and calculate averages
-            const results = Array.from(tournamentData.values()).map(player => ({
-                ...player,
-                avgScore: player.gamesPlayed > 0 ? player.totalScore / player.gamesPlayed : 0
-            }));
-            
-            // Sort by total score descending
-            results.sort((a, b) => b.totalScore - a.totalScore);
+            // Final standings are frozen and never recomputed
+            const archived = await this.getArchivedStandings(tournamentId, groupId);
+            if (archived) return archived;
+
+            const adjustments = await this.getScoreAdjustments(groupId, tournamentId);
+            return TournamentFormats.rankStandings(await this.computeTournamentStandings(startDate, endDate, groupId, rules.strategy), { ...rules, adjustments });
             
-            // Save tournament results
-            await this.saveTournamentResults(tournamentId, results, startDate, endDate);
+        } catch (error) {
+            console.error('❌ Error getting tournament results:', error);
+            return [];
+        }
+    }
+
+    async finalizeTournament(tournamentId, startDate, endDate, groupId, rules = {}) {
+        try {
+            if (await this.getArchivedStandings(tournamentId, groupId)) return null;
+
+            const adjustments = await this.getScoreAdjustments(groupId, tournamentId);
+            const results = TournamentFormats.rankStandings(await this.computeTournamentStandings(startDate, endDate, groupId, rules.strategy), { ...rules, adjustments });
+            await this.saveTournamentResults(tournamentId, results, startDate, endDate, groupId, new Date().toISOString());
+            if (results.length > 0) {
+                console.log(`🏁 Finalized tournament ${tournamentId} for group ${groupId}`);
+            }
             
             return results;
             
         } catch (error) {
-            console.error('❌ Error getting tournament results:', error);
-            return [];
+            console.error('❌ Error finalizing tournament:', error);
+            throw error;
+        }
+    }
+
+    async computeTournamentStandings(startDate, endDate, groupId, strategy) {
+        // Get all daily results within the tournament period
+        const data = await this.getRange('DailyResults!A:M');
+        if (data.length <= 1) return [];
+
+        // Tournaments are Wordle only
+        const wordleRows = data.slice(1)
+            .filter(row => row.length > 0 && this.matchesGame(row[12], 'wordle'))
+            .map(row => this.parseDailyResultRow(row));
+        let results = wordleRows.filter(result =>
+            TournamentFormats.isInPeriod(result.date, startDate, endDate) && this.matchesGroup(result.groupId, groupId));
+        if (strategy) {
+            const gameNumbers = new Set(results.map(result => result.gameNumber));
+            results = this.scoring.scoreRows(strategy, results, wordleRows.filter(result => gameNumbers.has(result.gameNumber)));
         }
+
+        const tournamentData = new Map();
+        results.forEach(result => {
+            const playerKey = this.getPlayerKey(result);
+            if (!tournamentData.has(playerKey)) {
+                tournamentData.set(playerKey, {
+                    player: result.player,
+                    playerId: result.playerId,
+                    totalScore: 0,
+                    gamesPlayed: 0,
+                    scores: []
+                });
+            }
+
+            const playerData = tournamentData.get(playerKey);
+            const score = result.totalScore || 0;
+            playerData.totalScore += score;
+            playerData.gamesPlayed += 1;
+            playerData.scores.push(score);
+        });
+        
+        // Convert to array and calculate averages
+        return Array.from(tournamentData.values()).map(player => ({
+            ...player,
+            avgScore: player.gamesPlayed > 0 ? player.totalScore / player.gamesPlayed : 0
+        }));
+    }
+
+    /**
+     * Get the frozen standings of a finalized tournament, or null if it is still open
+     */
+    async getArchivedStandings(tournamentId, groupId) {
+        const data = await this.getRange('TournamentResults!A:L');
+        const rows = data.slice(1).filter(row => row[0] === tournamentId && row[7] === groupId && row[9]);
+        if (rows.length === 0) return null;
+
+        return rows.map(row => this.parseStandingRow(row)).sort(TournamentFormats.compareStandings);
+    }
+
+    /**
+     * Parse a TournamentResults row. Rows saved before scoring rules existed
+     * were ranked on total score with no minimum number of games.
+     */
+    parseStandingRow(row) {
+        const totalScore = parseInt(row[2]) || 0;
+        return {
+            player: row[1],
+            playerId: row[8] || null,
+            totalScore,
+            gamesPlayed: parseInt(row[3]) || 0,
+            avgScore: parseFloat(row[4]) || 0,
+            score: row[10] !== undefined && row[10] !== '' ? parseFloat(row[10]) : totalScore,
+            qualified: row[11] !== 'FALSE'
+        };
     }
     
-    async saveTournamentResults(tournamentId, results, startDate, endDate) {
+    async saveTournamentResults(tournamentId, results, startDate, endDate, groupId, finalizedAt) {
         try {
-            // Clear existing tournament results for this tournament
-            const existingData = await this.getRange('TournamentResults!A:G');
-            const filteredData = existingData.filter(row => row[0] !== tournamentId);
+            // Clear existing tournament results for this tournament in this group (older versions saved open standings too)
+            const existingData = await this.getRange('TournamentResults!A:L');
+            const filteredData = existingData.filter(row => !(row[0] === tournamentId && row[7] === groupId));
             
             // Add header back if we cleared everything
             if (filteredData.length === 0) {
-                filteredData.push(['TournamentId', 'Player', 'TotalScore', 'GamesPlayed', 'AverageScore', 'StartDate', 'EndDate']);
+                filteredData.push(['TournamentId', 'Player', 'TotalScore', 'GamesPlayed', 'AverageScore', 'StartDate', 'EndDate', 'GroupId', 'PlayerId', 'FinalizedAt', 'Score', 'Qualified']);
             }
             
             // Add new tournament results
@@ -489,30 +1151,38 @@ export class GoogleSheetsDB {
                     player.totalScore,
                     player.gamesPlayed,
                     player.avgScore.toFixed(2),
-                    startDate.toISOString().split('T')[0],
-                    endDate.toISOString().split('T')[0]
+                    TournamentFormats.formatDate(startDate),
+                    TournamentFormats.formatDate(endDate),
+                    groupId,
+                    player.playerId || '',
+                    finalizedAt,
+                    player.score,
+                    player.qualified ? 'TRUE' : 'FALSE'
                 ]);
             });
             
-            // Update the sheet
-            await this.updateRange('TournamentResults!A:G', filteredData);
+            // Update the sheet, clearing first so removed rows don't linger at the bottom
+            await this.clearRange('TournamentResults!A:L');
+            await this.updateRange('TournamentResults!A:L', filteredData);
             console.log(`✅ Saved tournament results for ${tournamentId}`);
             
         } catch (error) {
             console.error('❌ Error saving tournament results:', error);
+            throw error;
         }
     }
     
-    async getPreviousTournaments() {
+    async getPreviousTournaments(groupId) {
         try {
-            const data = await this.getRange('TournamentResults!A:G');
+            const data = await this.getRange('TournamentResults!A:L');
             if (data.length <= 1) return [];
             
             const tournaments = new Map();
             
             // Group by tournament ID
             data.slice(1).forEach(row => {
-                const [tournamentId, player, totalScore, gamesPlayed, avgScore, startDate, endDate] = row;
+                const [tournamentId, , , , , startDate, endDate, rowGroupId, , finalizedAt] = row;
+                if (!this.matchesGroup(rowGroupId, groupId) || !finalizedAt) return;
                 
                 if (!tournaments.has(tournamentId)) {
                     tournaments.set(tournamentId, {
@@ -523,23 +1193,19 @@ export class GoogleSheetsDB {
                     });
                 }
                 
-                tournaments.get(tournamentId).players.push({
-                    player,
-                    totalScore: parseInt(totalScore) || 0,
-                    gamesPlayed: parseInt(gamesPlayed) || 0,
-                    avgScore: parseFloat(avgScore) || 0
-                });
+                tournaments.get(tournamentId).players.push(this.parseStandingRow(row));
             });
             
             // Convert to array and get tournament summaries
             const tournamentList = Array.from(tournaments.values()).map(tournament => {
-                // Sort players by score
-                tournament.players.sort((a, b) => b.totalScore - a.totalScore);
+                // Sort players by their ranking under the tournament's scoring rule
+                tournament.players.sort(TournamentFormats.compareStandings);
                 
                 return {
                     tournamentId: tournament.tournamentId,
                     winner: tournament.players[0]?.player || 'No participants',
-                    winnerScore: tournament.players[0]?.totalScore || 0,
+                    winnerId: tournament.players[0]?.playerId || null,
+                    winnerScore: tournament.players[0]?.score || 0,
                     participants: tournament.players.length,
                     startDate: tournament.startDate,
                     endDate: tournament.endDate
@@ -556,5 +1222,222 @@ export class GoogleSheetsDB {
             return [];
         }
     }
-}
 
+    async getTournaments(groupId) {
+        if (!this.isAvailable()) return [];
+
+        try {
+            const data = await this.getRange('Tournaments!A:K');
+            return data.slice(1)
+                .filter(row => row[0] && this.matchesGroup(row[1], groupId))
+                .map(row => ({
+                    id: row[0],
+                    groupId: row[1],
+                    name: row[2],
+                    format: row[3],
+                    startDate: row[4] || null,
+                    endDate: row[5] || null,
+                    scoring: row[6] || 'total',
+                    minGames: parseInt(row[7]) || 0,
+                    createdBy: row[8] || null,
+                    createdAt: row[9] || null,
+                    strategy: row[10] || null
+                }));
+        } catch (error) {
+            console.error('❌ Error getting tournaments:', error);
+            return [];
+        }
+    }
+
+    async saveTournament(tournament) {
+        if (!this.isAvailable()) {
+            console.log('⚠️  Google Sheets not available, skipping tournament save');
+            return;
+        }
+
+        try {
+            const existingData = await this.getRange('Tournaments!A:B');
+            const rowIndex = existingData.findIndex(row => row[0] === tournament.id && row[1] === tournament.groupId);
+
+            const newRow = [
+                tournament.id,
+                tournament.groupId,
+                tournament.name,
+                tournament.format,
+                tournament.startDate || '',
+                tournament.endDate || '',
+                tournament.scoring,
+                tournament.minGames,
+                tournament.createdBy || '',
+                tournament.createdAt || '',
+                tournament.strategy || ''
+            ];
+
+            if (rowIndex === -1) {
+                await this.appendRow('Tournaments', newRow);
+            } else {
+                await this.updateRange(`Tournaments!A${rowIndex + 1}:K${rowIndex + 1}`, [newRow]);
+            }
+            console.log(`🏆 Saved tournament ${tournament.id} for group ${tournament.groupId}`);
+        } catch (error) {
+            console.error('❌ Error saving tournament:', error);
+            throw error;
+        }
+    }
+
+    async deleteTournament(id, groupId) {
+        if (!this.isAvailable()) return;
+
+        try {
+            const data = await this.getRange('Tournaments!A:K');
+            const remaining = data.filter(row => !(row[0] === id && row[1] === groupId));
+
+            // Clear first so the removed row doesn't linger at the bottom
+            await this.clearRange('Tournaments!A:K');
+            await this.updateRange('Tournaments!A:K', remaining);
+            console.log(`🗑️  Removed tournament ${id} from group ${groupId}`);
+        } catch (error) {
+            console.error('❌ Error removing tournament:', error);
+            throw error;
+        }
+    }
+
+    async getScoreAdjustments(groupId, tournamentId) {
+        if (!this.isAvailable()) return [];
+
+        try {
+            const data = await this.getRange('ScoreAdjustments!A:H');
+            return data.slice(1)
+                .filter(row => row[0] === groupId && row[1] === tournamentId)
+                .map(row => ({
+                    groupId: row[0],
+                    tournamentId: row[1],
+                    playerKey: row[2],
+                    player: row[3],
+                    points: parseFloat(row[4]) || 0,
+                    reason: row[5] || '',
+                    adminId: row[6] || null,
+                    createdAt: row[7] || null
+                }));
+        } catch (error) {
+            console.error('❌ Error getting score adjustments:', error);
+            return [];
+        }
+    }
+
+    async saveScoreAdjustment(adjustment) {
+        if (!this.isAvailable()) {
+            console.log('⚠️  Google Sheets not available, skipping score adjustment');
+            return;
+        }
+
+        try {
+            await this.appendRow('ScoreAdjustments', [
+                adjustment.groupId,
+                adjustment.tournamentId,
+                adjustment.playerKey,
+                adjustment.player,
+                adjustment.points,
+                adjustment.reason,
+                adjustment.adminId || '',
+                adjustment.createdAt
+            ]);
+            console.log(`⚖️  Adjusted ${adjustment.player} by ${adjustment.points} in ${adjustment.tournamentId}`);
+        } catch (error) {
+            console.error('❌ Error saving score adjustment:', error);
+            throw error;
+        }
+    }
+
+    async getAuditLog(groupId, limit) {
+        if (!this.isAvailable()) return [];
+
+        try {
+            const data = await this.getRange('AuditLog!A:F');
+            const entries = data.slice(1)
+                .filter(row => row[1] === groupId)
+                .map(row => ({
+                    createdAt: row[0],
+                    groupId: row[1],
+                    adminId: row[2] || null,
+                    admin: row[3] || '',
+                    action: row[4],
+                    details: row[5] || ''
+                }))
+                .reverse();
+            return limit ? entries.slice(0, limit) : entries;
+        } catch (error) {
+            console.error('❌ Error getting audit log:', error);
+            return [];
+        }
+    }
+
+    async appendAuditLog(entry) {
+        if (!this.isAvailable()) return;
+
+        try {
+            await this.appendRow('AuditLog', [
+                entry.createdAt,
+                entry.groupId,
+                entry.adminId || '',
+                entry.admin,
+                entry.action,
+                entry.details
+            ]);
+        } catch (error) {
+            console.error('❌ Error writing audit log:', error);
+            throw error;
+        }
+    }
+
+    async getRatingHistory(groupId, playerKey) {
+        if (!this.isAvailable()) return [];
+
+        try {
+            const data = await this.getRange('RatingHistory!A:I');
+            return data.slice(1)
+                .filter(row => row[0] && this.matchesGroup(row[0], groupId) && (playerKey === undefined || row[2] === playerKey))
+                .map(row => ({
+                    groupId: row[0],
+                    gameNumber: parseInt(row[1]),
+                    playerKey: row[2],
+                    player: row[3],
+                    ratingBefore: parseFloat(row[4]),
+                    ratingAfter: parseFloat(row[5]),
+                    delta: parseFloat(row[6]),
+                    opponents: parseInt(row[7]) || 0,
+                    updatedAt: row[8]
+                }))
+                .sort((a, b) => a.gameNumber - b.gameNumber);
+        } catch (error) {
+            console.error('❌ Error getting rating history:', error);
+            return [];
+        }
+    }
+
+    async saveRatingChanges(changes, groupId) {
+        if (!this.isAvailable()) {
+            console.log('⚠️  Google Sheets not available, skipping rating update');
+            return;
+        }
+
+        try {
+            const updatedAt = new Date().toISOString();
+            await this.appendRows('RatingHistory', changes.map(change => [
+                groupId,
+                change.gameNumber,
+                change.playerKey,
+                change.player,
+                change.ratingBefore,
+                change.ratingAfter,
+                change.delta,
+                change.opponents,
+                updatedAt
+            ]));
+            console.log(`📈 Saved ${changes.length} rating changes for group ${groupId}`);
+        } catch (error) {
+            console.error('❌ Error saving rating changes:', error);
+            throw error;
+        }
+    }
+}
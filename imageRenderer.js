@@ -0,0 +1,179 @@
+/**
+ * Draws leaderboards and profile cards as SVG and converts them to PNG with sharp, so long
+ * standings fit in one image message. When sharp can't be loaded every render returns null
+ * and the bot sends its text version instead.
+ */
+export class ImageRenderer {
+    constructor() {
+        this.sharp = undefined; // Loaded on first use
+        this.width = 800;
+        this.font = 'DejaVu Sans, Helvetica, Arial, sans-serif';
+        this.colors = {
+            background: '#121213',
+            panel: '#1f1f21',
+            text: '#ffffff',
+            muted: '#818384',
+            green: '#538d4e',
+            yellow: '#b59f3b',
+            gray: '#3a3a3c',
+            medals: ['#c9b037', '#a8a8a8', '#ad8a56']
+        };
+    }
+
+    async loadSharp() {
+        if (this.sharp === undefined) {
+            try {
+                this.sharp = (await import('sharp')).default;
+            } catch (error) {
+                console.log('⚠️  sharp is not available, leaderboards will be sent as text:', error.message);
+                this.sharp = null;
+            }
+        }
+        return this.sharp;
+    }
+
+    /**
+     * Convert an SVG document to a PNG buffer, or null if it can't be rendered
+     */
+    async toPng(svg) {
+        const sharp = await this.loadSharp();
+        if (!sharp) return null;
+
+        try {
+            return await sharp(Buffer.from(svg)).png().toBuffer();
+        } catch (error) {
+            console.error('❌ Error rendering image:', error);
+            return null;
+        }
+    }
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    text(x, y, content, { size = 20, color = this.colors.text, weight = 'normal', anchor = 'start' } = {}) {
+        return `<text x="${x}" y="${y}" font-family="${this.font}" font-size="${size}" font-weight="${weight}" ` +
+            `fill="${color}" text-anchor="${anchor}">${this.escape(content)}</text>`;
+    }
+
+    document(height, body) {
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${height}" viewBox="0 0 ${this.width} ${height}">` +
+            `<rect width="100%" height="100%" fill="${this.colors.background}"/>${body}</svg>`;
+    }
+
+    /**
+     * Render one or more leaderboard sections as a PNG. A section is { title, subtitle: [lines],
+     * rows: [{ rank, name, value, detail, faded }], empty } where empty is shown when there are no rows.
+     */
+    async renderLeaderboard(sections) {
+        return this.toPng(this.buildLeaderboardSvg(sections));
+    }
+
+    buildLeaderboardSvg(sections) {
+        const rowHeight = 72;
+        let y = 0;
+        let body = '';
+
+        for (const section of sections) {
+            y += 56;
+            body += this.text(40, y, section.title, { size: 34, weight: 'bold' });
+            for (const line of section.subtitle || []) {
+                y += 30;
+                body += this.text(40, y, line, { size: 20, color: this.colors.muted });
+            }
+            y += 24;
+
+            if (section.rows.length === 0 && section.empty) {
+                y += 40;
+                body += this.text(40, y, section.empty, { size: 22, color: this.colors.muted });
+            }
+
+            section.rows.forEach((row, index) => {
+                const top = y + 8;
+                const opacity = row.faded ? ' opacity="0.5"' : '';
+                const rankColor = row.rank && row.rank <= 3 ? this.colors.medals[row.rank - 1] : this.colors.gray;
+
+                body += `<g${opacity}>`;
+                body += `<rect x="24" y="${top}" width="${this.width - 48}" height="${rowHeight - 10}" rx="10" fill="${index % 2 === 0 ? this.colors.panel : this.colors.background}"/>`;
+                body += `<circle cx="64" cy="${top + 31}" r="21" fill="${rankColor}"/>`;
+                body += this.text(64, top + 39, row.rank ?? '–', { size: 22, weight: 'bold', anchor: 'middle' });
+                body += this.text(104, row.detail ? top + 28 : top + 39, row.name, { size: 24, weight: 'bold' });
+                if (row.detail) {
+                    body += this.text(104, top + 52, row.detail, { size: 17, color: this.colors.muted });
+                }
+                body += this.text(this.width - 48, top + 39, row.value, { size: 24, weight: 'bold', color: this.colors.green, anchor: 'end' });
+                body += '</g>';
+                y += rowHeight;
+            });
+
+            y += 24;
+        }
+
+        return this.document(y + 16, body);
+    }
+
+    /**
+     * Bars for a guess distribution ({ 1: count, ..., 6: count, X: count }), drawn from (x, y).
+     * Returns the SVG fragment and the height it takes.
+     */
+    buildDistributionChart(distribution, x, y, width) {
+        const keys = [1, 2, 3, 4, 5, 6];
+        if (distribution.X > 0) keys.push('X');
+        const maxCount = Math.max(1, ...keys.map(key => distribution[key] || 0));
+        const barHeight = 30;
+        let body = '';
+
+        keys.forEach((key, i) => {
+            const count = distribution[key] || 0;
+            const top = y + i * (barHeight + 8);
+            const barWidth = Math.max(36, Math.round((count / maxCount) * (width - 40)));
+            const color = key === 'X' || count === 0 ? this.colors.gray : count === maxCount ? this.colors.green : this.colors.yellow;
+
+            body += this.text(x, top + 22, key, { size: 20, weight: 'bold' });
+            body += `<rect x="${x + 30}" y="${top}" width="${barWidth}" height="${barHeight}" rx="4" fill="${color}"/>`;
+            body += this.text(x + 30 + barWidth - 10, top + 22, count, { size: 18, weight: 'bold', anchor: 'end' });
+        });
+
+        return { svg: body, height: keys.length * (barHeight + 8) };
+    }
+
+    /**
+     * Render a profile card as a PNG: { title, stats: [[label, value]], distribution, footer: [lines] }
+     */
+    async renderProfile(profile) {
+        return this.toPng(this.buildProfileSvg(profile));
+    }
+
+    buildProfileSvg({ title, stats, distribution, footer = [] }) {
+        let y = 60;
+        let body = this.text(40, y, title, { size: 36, weight: 'bold' });
+        y += 20;
+
+        // Stats as tiles, three to a row
+        const tileWidth = (this.width - 80 - 2 * 16) / 3;
+        stats.forEach(([label, value], i) => {
+            const left = 40 + (i % 3) * (tileWidth + 16);
+            const top = y + Math.floor(i / 3) * 96;
+            body += `<rect x="${left}" y="${top}" width="${tileWidth}" height="84" rx="10" fill="${this.colors.panel}"/>`;
+            body += this.text(left + tileWidth / 2, top + 42, value, { size: 28, weight: 'bold', anchor: 'middle' });
+            body += this.text(left + tileWidth / 2, top + 68, label, { size: 16, color: this.colors.muted, anchor: 'middle' });
+        });
+        y += Math.ceil(stats.length / 3) * 96 + 30;
+
+        body += this.text(40, y, 'Guess distribution', { size: 22, weight: 'bold' });
+        const chart = this.buildDistributionChart(distribution, 40, y + 16, this.width - 80);
+        body += chart.svg;
+        y += 16 + chart.height + 16;
+
+        for (const line of footer) {
+            y += 30;
+            body += this.text(40, y, line, { size: 20, color: this.colors.muted });
+        }
+
+        return this.document(y + 40, body);
+    }
+}
@@ -1,28 +1,66 @@
-import { makeWASocket, DisconnectReason, useMultiFileAuthState } from '@whiskeysockets/baileys';
+import { makeWASocket, DisconnectReason, useMultiFileAuthState, jidNormalizedUser } from '@whiskeysockets/baileys';
 import qrcode from 'qrcode-terminal';
 import fs from 'fs';
 import path from 'path';
 import { WordleAnalyzer } from './wordleAnalyzer.js';
 import { GoogleSheetsDB } from './googleSheetsDB.js';
+import { JsonFileDB } from './jsonFileDB.js';
+import { WordleCalendar } from './wordleCalendar.js';
+import { GameRegistry } from './gameRegistry.js';
+import { Scheduler } from './scheduler.js';
+import { TournamentFormats } from './tournamentFormats.js';
+import { RatingSystem } from './ratingSystem.js';
+import { ScoringStrategies } from './scoringStrategies.js';
+import { ImageRenderer } from './imageRenderer.js';
+import { Config, ConfigError } from './config.js';
+import { CommandRegistry } from './commandRegistry.js';
+import { SendQueue } from './sendQueue.js';
 
 class WordleWhatsAppBot {
-    constructor() {
+    constructor(config = Config.load()) {
+        this.config = config; // Bot-wide settings from config.js, the config file and environment variables
         this.sock = null;
-        this.analyzer = new WordleAnalyzer();
-        this.db = new GoogleSheetsDB('./wordlebotdb-12e609807b14.json'); // Path to your service account JSON
+        this.scoring = new ScoringStrategies();
+        this.analyzer = new WordleAnalyzer({ scoring: this.scoring });
+        this.calendar = new WordleCalendar();
+        this.games = new GameRegistry(this.analyzer); // Wordle plus the other daily puzzles we track
+        this.credentialsPath = config.credentialsPath;
+        this.localDbPath = config.localDbPath;
+        this.storageType = config.storage;
+        this.spreadsheetId = config.spreadsheetId;
+        this.authFolder = config.authFolder;
+        this.commandPrefix = config.commandPrefix;
+        this.db = this.createStorage(this.storageType);
         this.groupStats = new Map(); // Store group statistics
-        this.targetGroupName = 'Wordlepaglu'; // Change back to your target group
-        this.targetGroupId = null; // Will be set when group is found
-        this.groupMemberCount = 0; // Track group member count
-        this.dailySubmissions = new Map(); // Track daily submissions per game
-        this.currentTournament = null;
-        this.tournamentStartDate = null;
-        // Configuration
-        this.spreadsheetId = '1ve-FHb5UUwlkpz6yY0UxZzeA0fw45VOTET6npSirvlc'; // Replace with your Google Sheets ID
+        this.targetGroupNames = config.targetGroupNames;
+        this.ownerIds = config.ownerIds;
+        this.groups = new Map(); // groupId -> { id, name, memberCount, timezone, submissions: Map<gameNumber, Set<playerId>> }
+        this.players = new Map(); // playerId (sender JID) -> { playerId, displayName, nickname, aliases }
+        // Defaults for the settings groups can override with `!wordle config set` (see Config.groupSettings)
+        this.timezone = config.timezone;
+        this.lateSubmissionGraceHours = config.lateSubmissionGraceHours;
+        this.puzzleDateCheck = config.puzzleDateCheck;
+        this.analysisVerbosity = config.analysisVerbosity;
+        this.streakReminderMinimum = config.streakReminderMinimum;
+        this.relativeLeaderboardMinGames = config.relativeLeaderboardMinGames;
+        this.scoringStrategy = config.scoringStrategy;
+        this.leaderboardImages = config.leaderboardImages;
+        this.duplicatePolicy = config.duplicatePolicy;
+        this.scheduler = new Scheduler(this.calendar);
+        this.schedule = config.schedule; // Cron times in each group's timezone; null entries are turned off
+        this.ratingSystem = new RatingSystem(); // Elo-style skill rating from each day's results
+        this.tournamentFormats = new TournamentFormats();
+        this.images = new ImageRenderer();
+        this.defaultTournament = { id: '', name: 'Tournament', format: 'half-monthly', scoring: 'total', minGames: 0 }; // 1st-15th and 16th-end, always on
+        this.commands = new CommandRegistry(this.games);
+        this.registerCommands();
+        // Every outgoing message is queued, rate limited per chat and retried (see sendQueue.js)
+        this.sendQueue = new SendQueue((chatId, content, options) => this.sock.sendMessage(chatId, content, options), config.sendQueue);
     }
 
     async start() {
-        const { state, saveCreds } = await useMultiFileAuthState('auth_info_baileys');
+        this.sendQueue.load();
+        const { state, saveCreds } = await useMultiFileAuthState(this.authFolder);
         
         this.sock = makeWASocket({
             auth: state,
@@ -35,14 +73,104 @@ class WordleWhatsAppBot {
 
         console.log('🤖 Wordle WhatsApp Bot started!');
         console.log('📱 Scan the QR code with your WhatsApp to connect');
-        console.log(`🎯 Bot will only monitor the "${this.targetGroupName}" group`);
+        console.log(`🎯 Bot will monitor: ${this.targetGroupNames.map(name => `"${name}"`).join(', ')} and any registered groups`);
         
-        // Initialize Google Sheets DB
+        // Reconnects call start() again; storage keeps its state (and unsaved writes) across them
+        if (!this.storageInitialized) {
+            this.storageInitialized = true;
+            await this.initializeStorage();
+        }
+        this.scheduler.start();
+    }
+
+    createStorage(type) {
+        switch (type) {
+            case 'json':
+                return new JsonFileDB(this.localDbPath);
+            case 'sheets':
+                return new GoogleSheetsDB(this.credentialsPath);
+            default:
+                throw new Error(`Unknown storage backend "${type}" (expected "sheets" or "json")`);
+        }
+    }
+
+    async initializeStorage() {
         try {
             await this.db.initialize(this.spreadsheetId);
         } catch (error) {
-            console.error('❌ Failed to initialize Google Sheets DB:', error);
+            console.error(`❌ Failed to initialize ${this.db.name}:`, error);
+        }
+
+        // Never run without storage: fall back to the local file so results aren't lost
+        if (!this.db.isAvailable() && !(this.db instanceof JsonFileDB)) {
+            console.log(`⚠️  ${this.db.name} not available, falling back to local storage at ${this.localDbPath}`);
+            this.db = this.createStorage('json');
+            await this.db.initialize();
+        }
+
+        await this.loadPlayers();
+    }
+
+    async loadPlayers() {
+        this.players.clear();
+        for (const player of await this.db.getPlayers()) {
+            this.players.set(player.playerId, player);
+        }
+        console.log(`👤 Loaded ${this.players.size} players`);
+    }
+
+    /**
+     * Queue a message for a chat (see SendQueue); takes the same arguments as the socket's sendMessage
+     */
+    async send(chatId, content, options) {
+        await this.sendQueue.enqueue(chatId, content, options);
+    }
+
+    getSenderId(message) {
+        // The owner's own messages carry no participant, so use the bot's own JID
+        if (message.key.fromMe) {
+            return jidNormalizedUser(this.sock.user.id);
+        }
+        return jidNormalizedUser(message.key.participant || message.key.remoteJid);
+    }
+
+    /**
+     * Look up the sender in the player registry, registering them on first sight
+     * and recording any new display name as an alias
+     */
+    async identifyPlayer(message) {
+        const playerId = this.getSenderId(message);
+        const pushName = message.pushName || playerId.split('@')[0];
+        let player = this.players.get(playerId);
+
+        if (!player) {
+            player = { playerId, displayName: pushName, nickname: null, aliases: [pushName] };
+            this.players.set(playerId, player);
+            await this.db.savePlayer(player);
+            // Results saved under a name before players were keyed on their JID aren't claimed
+            // automatically, since two people can share a name; the owner assigns them with merge
+            console.log(`   👤 Registered new player ${pushName} (${playerId})`);
+        } else if (player.displayName !== pushName) {
+            player.displayName = pushName;
+            if (!player.aliases.includes(pushName)) {
+                player.aliases.push(pushName);
+            }
+            await this.db.savePlayer(player);
+        }
+
+        return player;
+    }
+
+    getMentionedIds(message) {
+        return (message.message.extendedTextMessage?.contextInfo?.mentionedJid || []).map(jid => jidNormalizedUser(jid));
+    }
+
+    getPlayerName(playerId, fallbackName) {
+        const player = this.players.get(playerId);
+        if (player) {
+            return player.nickname || player.displayName;
         }
+        return fallbackName || playerId?.split('@')[0] || 'Unknown';
     }
 
     async handleConnectionUpdate(update) {
@@ -54,6 +182,7 @@ class WordleWhatsAppBot {
         }
 
         if (connection === 'close') {
+            this.sendQueue.pause();
             const shouldReconnect = lastDisconnect?.error?.output?.statusCode !== DisconnectReason.loggedOut;
             console.log('Connection closed due to:', lastDisconnect?.error, ', reconnecting:', shouldReconnect);
             
@@ -62,46 +191,372 @@ class WordleWhatsAppBot {
             }
         } else if (connection === 'open') {
             console.log('✅ Connected to WhatsApp successfully!');
-            // Find the target group and get member count
-            await this.findTargetGroup();
+            this.sendQueue.resume();
+            // Find the target groups and get member counts
+            await this.findTargetGroups();
         }
     }
 
-    async findTargetGroup() {
+    async findTargetGroups() {
         try {
             // Get all chats
             const chats = await this.sock.groupFetchAllParticipating();
+            const registeredIds = new Set((await this.db.getRegisteredGroups()).map(group => group.groupId));
             
-            // Find the target group by name
+            // Find the target groups by name, plus any group registered earlier
             for (const [groupId, groupInfo] of Object.entries(chats)) {
-                if (groupInfo.subject === this.targetGroupName) {
-                    this.targetGroupId = groupId;
-                    console.log(`🎯 Found target group "${this.targetGroupName}" with ID: ${groupId}`);
-                    
-                    // Get group metadata to count members
-                    await this.updateGroupMemberCount(groupId);
-                    return;
+                if (this.targetGroupNames.includes(groupInfo.subject) || registeredIds.has(groupId)) {
+                    console.log(`🎯 Found group "${groupInfo.subject}" with ID: ${groupId}`);
+                    await this.registerGroup(groupId, groupInfo.subject);
                 }
             }
             
-            console.log(`⚠️  Group "${this.targetGroupName}" not found. Available groups:`);
-            for (const [groupId, groupInfo] of Object.entries(chats)) {
-                console.log(`   - ${groupInfo.subject} (${groupId})`);
+            const missing = this.targetGroupNames.filter(name =>
+                !Array.from(this.groups.values()).some(group => group.name === name));
+            if (missing.length > 0) {
+                console.log(`⚠️  Groups not found: ${missing.join(', ')}. Available groups:`);
+                for (const [groupId, groupInfo] of Object.entries(chats)) {
+                    console.log(`   - ${groupInfo.subject} (${groupId})`);
+                }
+            }
+        } catch (error) {
+            console.error('Error finding target groups:', error);
+        }
+    }
+
+    async registerGroup(groupId, groupName) {
+        if (!this.groups.has(groupId)) {
+            this.groups.set(groupId, {
+                id: groupId,
+                name: groupName,
+                memberCount: 0,
+                timezone: this.timezone,
+                submissions: new Map(),
+                tournaments: [], // Tournaments created with `!wordle tournament create`
+                settings: {}, // Per-group overrides saved to storage, e.g. analysisVerbosity
+                ratings: new Map(), // playerKey -> { rating, games, player, lastDelta }
+                lastRatedGame: null,
+                leaderboardsSent: new Set() // Game numbers whose daily leaderboard has been posted
+            });
+
+            // Results saved before multi-group support belong to the original group
+            if (groupName === this.targetGroupNames[0]) {
+                await this.db.assignMissingGroupIds(groupId);
+            }
+
+            // Pick up where we left off before the last restart
+            const group = this.groups.get(groupId);
+            group.settings = await this.db.getGroupSettings(groupId);
+            group.timezone = this.getGroupSetting(groupId, 'timezone');
+            await this.loadGroupState(groupId);
+            await this.loadTournaments(groupId);
+            await this.loadRatings(groupId);
+            this.scheduleGroupJobs(groupId);
+        }
+
+        // Get group metadata to count members
+        await this.updateGroupMemberCount(groupId);
+        return this.groups.get(groupId);
+    }
+
+    /**
+     * Rebuild a group's in-memory submissions and player stats from stored Wordle results,
+     * so the bot behaves the same before and after a restart
+     */
+    async loadGroupState(groupId) {
+        try {
+            const group = this.groups.get(groupId);
+            const results = await this.db.getGroupResults(groupId, 'wordle');
+            const groupData = new Map();
+
+            group.submissions.clear();
+            for (const row of results) {
+                const playerKey = row.playerId || row.player;
+
+                if (!group.submissions.has(row.gameNumber)) {
+                    group.submissions.set(row.gameNumber, new Set());
+                }
+                group.submissions.get(row.gameNumber).add(playerKey);
+
+                if (!groupData.has(playerKey)) {
+                    groupData.set(playerKey, []);
+                }
+                groupData.get(playerKey).push(this.toStatsResult(row));
             }
+
+            this.groupStats.set(groupId, groupData);
+            console.log(`🔄 Restored ${results.length} results from ${groupData.size} players for "${group.name}"`);
         } catch (error) {
-            console.error('Error finding target group:', error);
+            console.error('❌ Error restoring group state:', error);
+        }
+    }
+
+    scheduleGroupJobs(groupId) {
+        const group = this.groups.get(groupId);
+        const tasks = {
+            reminder: () => this.sendSubmissionReminder(groupId),
+            dailyLeaderboard: () => this.sendEndOfDayLeaderboard(groupId),
+            streakReminder: () => this.sendStreakReminder(groupId),
+            rollover: () => this.rolloverGroupDay(groupId),
+            ratingUpdate: () => this.updateRatings(groupId),
+            tournamentClose: () => this.closeFinishedTournament(groupId)
+        };
+
+        for (const [job, task] of Object.entries(tasks)) {
+            if (this.schedule[job]) {
+                this.scheduler.addJob(`${groupId}:${job}`, this.schedule[job], group.timezone, task);
+            }
+        }
+    }
+
+    /**
+     * Mention every member who hasn't posted today's Wordle yet
+     */
+    async sendSubmissionReminder(groupId) {
+        const group = this.groups.get(groupId);
+        const gameNumber = this.calendar.getExpectedGameNumber(group.timezone);
+        const submitted = group.submissions.get(gameNumber) || new Set();
+
+        // Members get the player IDs submissions are keyed on, so results saved under a name or by
+        // people who have left aren't counted. The bot's own account only counts once it has played.
+        const groupMetadata = await this.sock.groupMetadata(groupId);
+        const botId = jidNormalizedUser(this.sock.user.id);
+        const members = groupMetadata.participants
+            .map(participant => jidNormalizedUser(participant.id))
+            .filter(playerId => playerId !== botId || submitted.has(playerId));
+        const played = members.filter(playerId => submitted.has(playerId));
+        const missing = members.filter(playerId => !submitted.has(playerId));
+
+        if (missing.length === 0) {
+            console.log(`⏰ Everyone in "${group.name}" has played Wordle ${gameNumber}, no reminder needed`);
+            return;
+        }
+
+        let message = `⏰ *Wordle ${gameNumber} reminder*\n\n`;
+        message += `${played.length}/${members.length} have played so far. Still waiting on:\n`;
+        message += missing.map(playerId => `@${playerId.split('@')[0]}`).join(' ');
+        message += '\n\nPost your result before the day ends! 🟩';
+
+        await this.send(groupId, { text: message, mentions: missing });
+    }
+
+    /**
+     * Mention players with a play streak that breaks if they don't post today's Wordle
+     */
+    async sendStreakReminder(groupId) {
+        const group = this.groups.get(groupId);
+        const gameNumber = this.calendar.getExpectedGameNumber(group.timezone);
+
+        const atRisk = Array.from(this.getGroupStreaks(groupId))
+            // Players from before IDs existed can't be mentioned
+            .filter(([playerKey, streaks]) => playerKey.includes('@') && streaks.atRisk &&
+                streaks.currentPlayStreak >= this.getGroupSetting(groupId, 'streakmin'))
+            .sort((a, b) => b[1].currentPlayStreak - a[1].currentPlayStreak);
+
+        if (atRisk.length === 0) return;
+
+        let message = `🔥 *Streaks at risk!*\n\n`;
+        atRisk.forEach(([playerKey, streaks]) => {
+            message += `@${playerKey.split('@')[0]} - ${streaks.currentPlayStreak} days\n`;
+        });
+        message += `\nPost Wordle ${gameNumber} before midnight to keep your streak going!`;
+
+        await this.send(groupId, { text: message, mentions: atRisk.map(([playerKey]) => playerKey) });
+    }
+
+    /**
+     * Get each player's Wordle streaks in a group as of today's puzzle
+     */
+    getGroupStreaks(groupId) {
+        const group = this.groups.get(groupId);
+        const gameNumber = this.calendar.getExpectedGameNumber(group?.timezone || this.timezone);
+        const streaks = new Map();
+
+        for (const [playerKey, results] of this.groupStats.get(groupId) || []) {
+            streaks.set(playerKey, this.analyzer.getStreaks(results, gameNumber));
+        }
+        return streaks;
+    }
+
+    /**
+     * Post today's leaderboard at the cutoff, unless it already went out when everyone finished
+     */
+    async sendEndOfDayLeaderboard(groupId) {
+        const group = this.groups.get(groupId);
+        const gameNumber = this.calendar.getExpectedGameNumber(group.timezone);
+
+        if (group.leaderboardsSent.has(gameNumber)) return;
+        if (!group.submissions.get(gameNumber)?.size) {
+            console.log(`⏰ Nobody in "${group.name}" played Wordle ${gameNumber}, skipping leaderboard`);
+            return;
+        }
+
+        group.leaderboardsSent.add(gameNumber);
+        await this.sendDailyLeaderboard(groupId, gameNumber);
+    }
+
+    /**
+     * Start a new day: forget which leaderboards were posted and drop submissions
+     * for puzzles that can no longer be played
+     */
+    rolloverGroupDay(groupId) {
+        const group = this.groups.get(groupId);
+        const gameNumber = this.calendar.getExpectedGameNumber(group.timezone);
+
+        group.leaderboardsSent.clear();
+        for (const submittedGame of group.submissions.keys()) {
+            // Yesterday's puzzle is kept for late submissions during the grace period
+            if (submittedGame < gameNumber - 1) {
+                group.submissions.delete(submittedGame);
+            }
+        }
+        console.log(`🌅 New day in "${group.name}": Wordle ${gameNumber}`);
+    }
+
+    /**
+     * Rebuild each player's current rating in a group from the stored rating history
+     */
+    async loadRatings(groupId) {
+        const group = this.groups.get(groupId);
+        group.ratings = new Map();
+        group.lastRatedGame = null;
+
+        for (const change of await this.db.getRatingHistory(groupId)) {
+            const games = group.ratings.get(change.playerKey)?.games || 0;
+            group.ratings.set(change.playerKey, {
+                rating: change.ratingAfter,
+                games: games + 1,
+                player: change.player,
+                lastDelta: change.delta
+            });
+            group.lastRatedGame = Math.max(group.lastRatedGame ?? change.gameNumber, change.gameNumber);
+        }
+    }
+
+    /**
+     * Rate every Wordle that can no longer receive results and hasn't been rated yet,
+     * oldest first, treating each one as a match between everyone who played it
+     */
+    async updateRatings(groupId) {
+        const group = this.groups.get(groupId);
+        const { hour, minute } = this.calendar.getLocalTime(group.timezone);
+        const expected = this.calendar.getExpectedGameNumber(group.timezone);
+
+        // Yesterday's puzzle is still open during the grace period
+        const lastClosedGame = hour * 60 + minute < this.getGroupSetting(groupId, 'grace') * 60 ? expected - 2 : expected - 1;
+        if (group.lastRatedGame !== null && group.lastRatedGame >= lastClosedGame) return;
+
+        let rows = await this.db.getGroupResults(groupId, 'wordle');
+        const isUnrated = row => row.gameNumber <= lastClosedGame && row.gameNumber > (group.lastRatedGame ?? -Infinity);
+
+        // Settle day-dependent scores now that no more results can arrive
+        if (this.scoring.usesDay(this.getScoringStrategy(groupId))) {
+            const closedGames = new Set(rows.filter(isUnrated).map(row => row.gameNumber));
+            if (closedGames.size > 0 && (await this.rescoreGames(groupId, Array.from(closedGames))).changed > 0) {
+                rows = await this.db.getGroupResults(groupId, 'wordle');
+            }
+        }
+
+        const matches = new Map();
+        for (const row of rows) {
+            if (!isUnrated(row)) continue;
+            if (!matches.has(row.gameNumber)) {
+                matches.set(row.gameNumber, new Map());
+            }
+            const playerKey = row.playerId || row.player;
+            if (!matches.get(row.gameNumber).has(playerKey)) {
+                matches.get(row.gameNumber).set(playerKey, { playerKey, player: row.player, totalScore: row.totalScore });
+            }
+        }
+
+        const allChanges = [];
+        for (const gameNumber of Array.from(matches.keys()).sort((a, b) => a - b)) {
+            const changes = this.ratingSystem.rateMatch(Array.from(matches.get(gameNumber).values()), group.ratings);
+            for (const change of changes) {
+                const games = group.ratings.get(change.playerKey)?.games || 0;
+                group.ratings.set(change.playerKey, {
+                    rating: change.ratingAfter,
+                    games: games + 1,
+                    player: change.player,
+                    lastDelta: change.delta
+                });
+                allChanges.push({ ...change, gameNumber });
+            }
+        }
+
+        group.lastRatedGame = lastClosedGame;
+        if (allChanges.length > 0) {
+            await this.db.saveRatingChanges(allChanges, groupId);
+            console.log(`📈 Rated ${matches.size} games for "${group.name}"`);
+        }
+    }
+
+    /**
+     * A group's value for one of Config.groupSettings, falling back to the bot-wide default
+     */
+    getGroupSetting(groupId, name) {
+        const { setting, config } = Config.groupSettings[name];
+        return this.groups.get(groupId)?.settings?.[setting] ?? this[config];
+    }
+
+    getScoringStrategy(groupId) {
+        return this.getGroupSetting(groupId, 'scoring');
+    }
+
+    /**
+     * Rescore a group's stored Wordle results with its scoring strategy, limited to some
+     * game numbers when given. Returns how many results changed, and how many were saved
+     * without their grid and so kept their emoji points.
+     */
+    async rescoreGames(groupId, gameNumbers = null) {
+        const wanted = gameNumbers ? new Set(gameNumbers) : null;
+        const allRows = (await this.db.getGroupResults(undefined, 'wordle'))
+            .filter(row => !wanted || wanted.has(row.gameNumber));
+        const rows = allRows.filter(row => row.groupId === groupId);
+
+        const rescored = this.scoring.scoreRows(this.getScoringStrategy(groupId), rows, allRows);
+        const changed = rescored.filter((row, i) => row.totalScore !== rows[i].totalScore ||
+            row.baseScore !== rows[i].baseScore || row.emojiPoints !== rows[i].emojiPoints);
+        if (changed.length > 0) {
+            await this.db.updateResultScores(groupId, changed);
+        }
+
+        return { changed: changed.length, withoutGrid: rows.filter(row => !this.scoring.hasPattern(row)).length };
+    }
+
+    async reloadAllGroupState() {
+        for (const groupId of this.groups.keys()) {
+            await this.loadGroupState(groupId);
         }
     }
 
+    /**
+     * Convert a stored result row into the shape produced by parseWordleResult
+     */
+    toStatsResult(row) {
+        return {
+            ...row,
+            attempts: row.solved ? parseInt(row.attempts) : 6,
+            actualAttempts: row.attempts,
+            score: {
+                baseScore: row.baseScore,
+                emojiPoints: row.emojiPoints,
+                totalScore: row.totalScore
+            }
+        };
+    }
+
     async updateGroupMemberCount(groupId) {
         try {
             const groupMetadata = await this.sock.groupMetadata(groupId);
-            this.groupMemberCount = groupMetadata.participants.length;
+            const group = this.groups.get(groupId);
+            group.name = groupMetadata.subject;
+            group.memberCount = groupMetadata.participants.length;
             
-            console.log(`👥 Group "${groupMetadata.subject}" has ${this.groupMemberCount} members`);
+            console.log(`👥 Group "${groupMetadata.subject}" has ${group.memberCount} members`);
             
-            // Update in Google Sheets
-            await this.db.updateGroupMembers(groupId, groupMetadata.subject, this.groupMemberCount);
+            // Update in storage
+            await this.db.updateGroupMembers(groupId, groupMetadata.subject, group.memberCount);
             
         } catch (error) {
             console.error('Error getting group member count:', error);
@@ -133,52 +588,39 @@ class WordleWhatsAppBot {
             return;
         }
 
-        // Check if this is our target group
-        let isTargetGroup = false;
-        
-        if (isGroup) {
-            // Only process messages from the target group
-            if (this.targetGroupId && chatId !== this.targetGroupId) {
-                console.log(`   ❌ Skipped: Not the target group (${this.targetGroupName})`);
-                return; // Ignore messages from other groups
-            }
-
-            // If we haven't found the target group yet, try to find it by name
-            if (!this.targetGroupId) {
-                try {
-                    const groupMetadata = await this.sock.groupMetadata(chatId);
-                    console.log(`   📋 Group name: "${groupMetadata.subject}"`);
-                    
-                    if (groupMetadata.subject !== this.targetGroupName) {
-                        console.log(`   ❌ Skipped: Not target group (looking for "${this.targetGroupName}")`);
-                        return; // Not our target group
-                    }
-                    // Found the target group!
-                    this.targetGroupId = chatId;
-                    console.log(`   🎯 Found and set target group "${this.targetGroupName}"`);
-                    await this.updateGroupMemberCount(chatId);
-                    isTargetGroup = true;
-                } catch (error) {
-                    console.error('   ❌ Error getting group metadata:', error);
+        // Only process messages from groups the bot serves
+        if (!this.groups.has(chatId)) {
+            try {
+                const groupMetadata = await this.sock.groupMetadata(chatId);
+                console.log(`   📋 Group name: "${groupMetadata.subject}"`);
+                
+                const isRegisterCommand = this.isOwner(message) && this.isCommand(messageText) &&
+                    messageText.trim().split(/\s+/)[1]?.toLowerCase() === 'register';
+                if (this.targetGroupNames.includes(groupMetadata.subject)) {
+                    console.log(`   🎯 Found target group "${groupMetadata.subject}"`);
+                    await this.registerGroup(chatId, groupMetadata.subject);
+                } else if (!isRegisterCommand) {
+                    console.log('   ❌ Skipped: Group is not registered');
                     return;
                 }
-            } else {
-                isTargetGroup = true;
+            } catch (error) {
+                console.error('   ❌ Error getting group metadata:', error);
+                return;
             }
+        }
 
-            if (isTargetGroup) {
-                console.log(`   ✅ Message from ${this.targetGroupName}`);
-            }
+        if (this.groups.has(chatId)) {
+            console.log(`   ✅ Message from ${this.groups.get(chatId).name}`);
         }
 
-        // Skip processing if message is from the bot itself, but allow Wordle results and commands from the bot owner
+        // Skip processing if message is from the bot itself, but allow puzzle results and commands from the bot owner
+        const game = this.games.detect(messageText);
         if (isFromMe) {
-            // Check if this is a Wordle result or command from the bot owner
-            const isWordleResult = this.analyzer.isWordleResult(messageText);
-            const isCommand = messageText.startsWith('!wordle');
+            // Check if this is a puzzle result or command from the bot owner
+            const isCommand = this.isCommand(messageText);
             
-            if (isWordleResult || isCommand) {
-                console.log('   ✅ Processing message from bot owner (Wordle result or command)');
+            if (game || isCommand) {
+                console.log('   ✅ Processing message from bot owner (puzzle result or command)');
             } else {
                 console.log('   ℹ️  Skipped processing: Message from bot itself');
                 console.log('   ✅ Message logging complete\n');
@@ -186,17 +628,19 @@ class WordleWhatsAppBot {
             }
         }
 
-        // Check if message contains Wordle results
-        const isWordleResult = this.analyzer.isWordleResult(messageText);
-        console.log(`   🎯 Is Wordle result: ${isWordleResult}`);
+        // Check if message contains a puzzle result
+        console.log(`   🎯 Puzzle result: ${game ? game.name : 'none'}`);
         
-        if (isWordleResult) {
+        if (game?.id === 'wordle') {
             console.log('   🎮 Processing Wordle result...');
             await this.processWordleResult(message, messageText, chatId);
+        } else if (game) {
+            console.log(`   🎮 Processing ${game.name} result...`);
+            await this.processGameResult(game, message, messageText, chatId);
         }
 
         // Handle bot commands
-        const isCommand = messageText.startsWith('!wordle');
+        const isCommand = this.isCommand(messageText);
         console.log(`   🤖 Is bot command: ${isCommand}`);
         
         if (isCommand) {
@@ -215,34 +659,114 @@ class WordleWhatsAppBot {
                 return;
             }
 
-            const sender = message.pushName || message.key.participant?.split('@')[0] || 'Unknown';
+            // Reject grids that don't match their header (edited or made-up results)
+            const validation = this.analyzer.validateGrid(result);
+            if (!validation.valid) {
+                console.log(`   ❌ Invalid grid: ${validation.errors.map(e => e.code).join(', ')}`);
+                await this.send(chatId, {
+                    text: `🚫 That Wordle grid doesn't add up, so it wasn't counted:\n` +
+                          validation.errors.map(e => `• ${e.message}`).join('\n')
+                }, { quoted: message });
+                return;
+            }
+
+            // A forwarded result belongs to whoever played it, not the forwarder
+            if (message.message.extendedTextMessage?.contextInfo?.isForwarded) {
+                console.log('   ❌ Skipped: Forwarded Wordle result');
+                await this.send(chatId, {
+                    text: `↪️ Forwarded results aren't counted. Please share your own Wordle directly!`
+                }, { quoted: message });
+                return;
+            }
+
+            const player = await this.identifyPlayer(message);
+            const sender = this.getPlayerName(player.playerId);
+            const group = this.groups.get(chatId);
+            if (await this.rejectModeratedResult(message, chatId, player.playerId, 'wordle', result.gameNumber)) {
+                return;
+            }
+
+            // Only today's puzzle counts (yesterday's is accepted during the grace period)
+            const dateCheck = this.calendar.checkGameNumber(result.gameNumber, group.timezone, this.getGroupSetting(chatId, 'grace'));
+            let dateWarning = '';
+            if (!dateCheck.accepted) {
+                const text = dateCheck.status === 'future' ?
+                    `🔮 Wordle ${result.gameNumber} isn't out yet here — today's puzzle is Wordle ${dateCheck.expected}.` :
+                    `📅 Wordle ${result.gameNumber} is an old puzzle — today's is Wordle ${dateCheck.expected}.`;
+
+                if (this.getGroupSetting(chatId, 'datecheck') !== 'flag') {
+                    console.log(`   ❌ Skipped: Game ${result.gameNumber} is ${dateCheck.status} (expected ${dateCheck.expected})`);
+                    await this.send(chatId, { text: `${text} Only today's result counts!` }, { quoted: message });
+                    return;
+                }
+
+                console.log(`   ⚠️  Flagged: Game ${result.gameNumber} is ${dateCheck.status} (expected ${dateCheck.expected})`);
+                dateWarning = `⚠️ ${text}\n`;
+            } else if (dateCheck.status === 'late') {
+                console.log(`   ⏰ Late submission for game ${result.gameNumber} accepted during grace period`);
+            }
+
+            // Only one result per player per game counts
+            const dayResults = await this.db.getDailyResults(result.gameNumber, chatId);
+            const existing = dayResults.find(r => (r.playerId || r.player) === player.playerId);
+            if (existing && this.getGroupSetting(chatId, 'duplicates') !== 'replace') {
+                console.log(`   ❌ Skipped: ${sender} already submitted game ${result.gameNumber}`);
+                const attempts = existing.solved ? `${existing.attempts}/6` : 'X/6';
+                await this.send(chatId, {
+                    text: `👀 ${sender}, you've already shared Wordle ${result.gameNumber} (${attempts}). Only your first result counts!`
+                }, { quoted: message });
+                return;
+            }
             
+            // Score with the group's strategy, next to everyone else's result for the day
+            const strategy = this.getScoringStrategy(chatId);
+            if (strategy !== 'classic') {
+                const groupRows = [...dayResults.filter(r => r !== existing), { ...result, attempts: result.actualAttempts }];
+                const otherGroupRows = this.scoring.usesDay(strategy) ?
+                    (await this.db.getDailyResults(result.gameNumber)).filter(r => r.groupId !== chatId) : [];
+                const day = this.scoring.getDays(groupRows, [...groupRows, ...otherGroupRows]).get(result.gameNumber);
+                result.score = this.scoring.scoreResult(strategy, result, day);
+            }
+
             console.log(`   📊 Parsed Wordle result:`);
             console.log(`      Game: ${result.gameNumber}`);
             console.log(`      Attempts: ${result.actualAttempts}/6`);
             console.log(`      Solved: ${result.solved}`);
+            console.log(`      Hard mode: ${result.hardMode} (${result.colorScheme} grid)`);
             console.log(`      Score: ${result.score.totalScore} (${result.score.baseScore} + ${result.score.emojiPoints})`);
             console.log(`      Pattern lines: ${result.pattern.length}`);
             
-            // Add player name and date to result
+            // Add player name and date to result. The date is the day the puzzle was
+            // published, so late submissions still count towards the right tournament.
             const resultWithPlayer = {
                 ...result,
                 player: sender,
-                date: new Date().toLocaleDateString('en-CA'), // Uses local timezone, returns YYYY-MM-DD
+                playerId: player.playerId,
+                game: 'wordle',
+                date: this.calendar.getDateForGame(result.gameNumber),
                 timestamp: Date.now()
             };
             
-            // Save to Google Sheets
-            await this.db.saveWordleResult(resultWithPlayer, chatId);
+            // Save to storage, replacing the earlier post if the policy allows it
+            if (existing) {
+                console.log(`   ♻️  Replacing earlier result for game ${result.gameNumber}`);
+                await this.db.replaceWordleResult(resultWithPlayer, chatId);
+            } else {
+                await this.db.saveWordleResult(resultWithPlayer, chatId);
+            }
+
+            // Everyone else's score for the day moves with the new result
+            if (this.scoring.usesDay(strategy)) {
+                await this.rescoreGames(chatId, [result.gameNumber]);
+            }
             
             // Track daily submissions
-            const gameKey = `${chatId}-${result.gameNumber}`;
-            if (!this.dailySubmissions.has(gameKey)) {
-                this.dailySubmissions.set(gameKey, new Set());
+            if (!group.submissions.has(result.gameNumber)) {
+                group.submissions.set(result.gameNumber, new Set());
             }
-            this.dailySubmissions.get(gameKey).add(sender);
+            group.submissions.get(result.gameNumber).add(player.playerId);
             
-            console.log(`   📊 Daily submissions for game ${result.gameNumber}: ${this.dailySubmissions.get(gameKey).size}/${this.groupMemberCount}`);
+            console.log(`   📊 Daily submissions for game ${result.gameNumber}: ${group.submissions.get(result.gameNumber).size}/${group.memberCount}`);
 
             // Store result in local stats for quick access
             if (!this.groupStats.has(chatId)) {
@@ -250,18 +774,23 @@ class WordleWhatsAppBot {
             }
             
             const groupData = this.groupStats.get(chatId);
-            if (!groupData.has(sender)) {
-                groupData.set(sender, []);
+            if (!groupData.has(player.playerId)) {
+                groupData.set(player.playerId, []);
             }
             
-            groupData.get(sender).push(resultWithPlayer);
-            console.log(`   💾 Stored result for ${sender} (total: ${groupData.get(sender).length} games)`);
+            const playerResults = groupData.get(player.playerId);
+            const previousIndex = playerResults.findIndex(r => r.gameNumber === result.gameNumber);
+            if (previousIndex !== -1) {
+                playerResults.splice(previousIndex, 1);
+            }
+            playerResults.push(resultWithPlayer);
+            console.log(`   💾 Stored result for ${sender} (total: ${groupData.get(player.playerId).length} games)`);
 
             // React to the message
             const reactionEmoji = result.solved ? '🎉' : '😔';
             console.log(`   ${reactionEmoji} Reacting to message...`);
             
-            await this.sock.sendMessage(chatId, {
+            await this.send(chatId, {
                 react: {
                     text: reactionEmoji,
                     key: message.key
@@ -269,56 +798,211 @@ class WordleWhatsAppBot {
             });
 
             // Send analysis with score information
+            const replacedNote = dateWarning + (existing ? `♻️ Replaced your earlier result for this game\n` : '');
+            const verbosity = this.getGroupSetting(chatId, 'analysis');
+            const solveAnalysis = this.analyzer.analyzeSolve(result, playerResults.filter(r => r.gameNumber !== result.gameNumber));
             if (result.solved) {
                 const analysis = this.analyzer.analyzePattern(result.pattern, result.score);
+                const details = this.analyzer.formatSolveAnalysis(result, solveAnalysis, verbosity);
                 const responseText = `🎯 Great job ${sender}!\n` +
-                                   `📊 Wordle ${result.gameNumber} - ${result.actualAttempts}/6\n` +
-                                   `🔍 ${analysis}`;
+                                   replacedNote +
+                                   `📊 Wordle ${result.gameNumber} - ${result.actualAttempts}/6${result.hardMode ? '*' : ''}\n` +
+                                   (result.hardMode ? `💪 Hard mode solve!\n` : '') +
+                                   `🔍 ${analysis}` +
+                                   (details ? `\n${details}` : '');
                 
                 console.log(`   💬 Sending analysis message...`);
-                await this.sock.sendMessage(chatId, { text: responseText });
+                await this.send(chatId, { text: responseText });
             } else {
                 // Send encouragement for failed attempts
+                const details = this.analyzer.formatSolveAnalysis(result, solveAnalysis, verbosity);
                 const responseText = `💪 Keep trying ${sender}!\n` +
+                                   replacedNote +
                                    `📊 Wordle ${result.gameNumber} - X/6\n` +
-                                   `🏆 Score: ${result.score.totalScore} points (${result.score.emojiPoints} emoji points)`;
+                                   `🏆 Score: ${result.score.totalScore} points (${result.score.emojiPoints} emoji points)` +
+                                   (details ? `\n${details}` : '');
                 
                 console.log(`   💬 Sending encouragement message...`);
-                await this.sock.sendMessage(chatId, { text: responseText });
+                await this.send(chatId, { text: responseText });
             }
 
-            // Check if everyone has submitted for today's game
-            await this.checkForCompleteSubmissions(chatId, result.gameNumber);
+            // Check if everyone has submitted for today's game (a replacement adds no new submitter)
+            if (!existing) {
+                await this.checkForCompleteSubmissions(chatId, result.gameNumber);
+            }
 
         } catch (error) {
             console.error('   ❌ Error processing Wordle result:', error);
         }
     }
 
+    /**
+     * Record a result for any game other than Wordle. These skip Wordle's grid
+     * validation, date check and analysis but share duplicate handling and storage.
+     */
+    async processGameResult(game, message, messageText, chatId) {
+        try {
+            const result = game.parse(messageText);
+            if (!result) {
+                console.log(`   ❌ Failed to parse ${game.name} result`);
+                return;
+            }
+
+            if (message.message.extendedTextMessage?.contextInfo?.isForwarded) {
+                console.log(`   ❌ Skipped: Forwarded ${game.name} result`);
+                await this.send(chatId, {
+                    text: `↪️ Forwarded results aren't counted. Please share your own ${game.name} directly!`
+                }, { quoted: message });
+                return;
+            }
+
+            const player = await this.identifyPlayer(message);
+            const sender = this.getPlayerName(player.playerId);
+            const group = this.groups.get(chatId);
+            if (await this.rejectModeratedResult(message, chatId, player.playerId, game.id, result.gameNumber)) {
+                return;
+            }
+
+            const existing = (await this.db.getDailyResults(result.gameNumber, chatId, game.id))
+                .find(r => (r.playerId || r.player) === player.playerId);
+            if (existing && this.getGroupSetting(chatId, 'duplicates') !== 'replace') {
+                console.log(`   ❌ Skipped: ${sender} already submitted ${game.name} ${result.gameNumber}`);
+                await this.send(chatId, {
+                    text: `👀 ${sender}, you've already shared ${game.name} puzzle ${result.gameNumber}. Only your first result counts!`
+                }, { quoted: message });
+                return;
+            }
+
+            const resultWithPlayer = {
+                ...result,
+                player: sender,
+                playerId: player.playerId,
+                game: game.id,
+                date: this.calendar.getDateString(group.timezone),
+                timestamp: Date.now()
+            };
+
+            if (existing) {
+                await this.db.replaceWordleResult(resultWithPlayer, chatId);
+            } else {
+                await this.db.saveWordleResult(resultWithPlayer, chatId);
+            }
+            console.log(`   💾 Stored ${game.name} ${result.gameNumber} for ${sender}: ${result.actualAttempts}`);
+
+            await this.send(chatId, {
+                react: {
+                    text: result.solved ? '✅' : '😔',
+                    key: message.key
+                }
+            });
+
+            // Avoid "#" in the reply so the bot never detects its own message as a result
+            await this.send(chatId, {
+                text: `${game.emoji} *${game.name}* puzzle ${result.gameNumber} - ${sender}\n` +
+                      (existing ? `♻️ Replaced your earlier result for this puzzle\n` : '') +
+                      `🏆 ${game.formatSummary(result)}`
+            });
+        } catch (error) {
+            console.error(`   ❌ Error processing ${game.name} result:`, error);
+        }
+    }
+
     async checkForCompleteSubmissions(chatId, gameNumber) {
         try {
-            const gameKey = `${chatId}-${gameNumber}`;
-            const submissions = this.dailySubmissions.get(gameKey);
+            const group = this.groups.get(chatId);
+            const submissions = group?.submissions.get(gameNumber);
             
-            if (submissions && submissions.size >= this.groupMemberCount) {
-                console.log(`🎉 All ${this.groupMemberCount} members have submitted for game ${gameNumber}!`);
+            if (submissions && submissions.size >= group.memberCount && !group.leaderboardsSent.has(gameNumber)) {
+                console.log(`🎉 All ${group.memberCount} members of "${group.name}" have submitted for game ${gameNumber}!`);
+                group.leaderboardsSent.add(gameNumber);
                 
-                // Send daily leaderboard
+                // The send queue spaces them out and keeps them in this order
                 await this.sendDailyLeaderboard(chatId, gameNumber);
-                
-                // Send total leaderboard
-                setTimeout(async () => {
-                    await this.sendTotalLeaderboard(chatId);
-                }, 2000); // Wait 2 seconds between messages
+                await this.sendTotalLeaderboard(chatId);
             }
         } catch (error) {
             console.error('❌ Error checking complete submissions:', error);
         }
     }
 
-    async sendDailyLeaderboard(chatId, gameNumber) {
+    /**
+     * Average attempts for every Wordle across all groups, so small groups get a fair baseline
+     */
+    async getDayAverages() {
+        const results = await this.db.getGroupResults(undefined, 'wordle');
+        return this.analyzer.getDayAverages(results.map(row => this.toStatsResult(row)));
+    }
+
+    formatRelative(average) {
+        return `${average >= 0 ? '+' : ''}${average.toFixed(2)} attempts`;
+    }
+
+    /**
+     * Difficulty lines for a daily leaderboard, from this group's results and every group's,
+     * as [emoji, text] pairs so images can leave the emoji out
+     */
+    async getDifficultyLines(gameNumber, groupRows) {
+        const groupDifficulty = this.analyzer.getDifficultyIndex(groupRows.map(row => this.toStatsResult(row)));
+        const allRows = await this.db.getDailyResults(gameNumber);
+        const overall = this.analyzer.getDifficultyIndex(allRows.map(row => this.toStatsResult(row)));
+
+        const describe = difficulty => `${difficulty.index}/10 (${difficulty.label}), avg ${difficulty.averageAttempts.toFixed(1)} attempts` +
+            (difficulty.failRate > 0 ? `, ${difficulty.failRate.toFixed(0)}% failed` : '');
+
+        const lines = [['🌡️', `Difficulty: ${describe(groupDifficulty)}`]];
+        if (overall.players > groupDifficulty.players) {
+            lines.push(['🌍', `All groups: ${describe(overall)} (${overall.players} players)`]);
+        }
+        return lines;
+    }
+
+    async sendRelativeLeaderboard(chatId) {
+        try {
+            const dayAverages = await this.getDayAverages();
+            const players = new Map();
+            for (const row of this.withoutBanned(chatId, await this.db.getGroupResults(chatId, 'wordle'))) {
+                const playerKey = row.playerId || row.player;
+                if (!players.has(playerKey)) {
+                    players.set(playerKey, { playerId: row.playerId, player: row.player, results: [] });
+                }
+                players.get(playerKey).results.push(this.toStatsResult(row));
+            }
+
+            const minGames = this.getGroupSetting(chatId, 'relativemin');
+            const ranked = Array.from(players.values())
+                .map(entry => ({ ...entry, relative: this.analyzer.getRelativePerformance(entry.results, dayAverages) }))
+                .filter(entry => entry.relative.games >= minGames)
+                .sort((a, b) => b.relative.average - a.relative.average);
+
+            if (ranked.length === 0) {
+                await this.send(chatId, {
+                    text: `🎯 Nobody has played ${minGames} shared Wordles yet.`
+                });
+                return;
+            }
+
+            let leaderboard = `🎯 *Relative Performance Leaderboard*\n`;
+            leaderboard += `Attempts better than the day's average across all groups (fails count as 7)\n\n`;
+
+            ranked.forEach((entry, index) => {
+                const rank = index + 1;
+                const medal = rank === 1 ? '🥇' : rank === 2 ? '🥈' : rank === 3 ? '🥉' : `${rank}.`;
+                leaderboard += `${medal} *${this.getPlayerName(entry.playerId, entry.player)}*\n`;
+                leaderboard += `   📊 ${this.formatRelative(entry.relative.average)} | 🎯 ${entry.relative.games} games\n\n`;
+            });
+
+            await this.send(chatId, { text: leaderboard });
+
+        } catch (error) {
+            console.error('❌ Error sending relative leaderboard:', error);
+            await this.send(chatId, { text: '❌ Error retrieving relative leaderboard.' });
+        }
+    }
+
+    async sendDailyLeaderboard(chatId, gameNumber, gameId = 'wordle') {
         try {
-            const dailyResults = await this.db.getDailyResults(gameNumber);
+            const game = this.games.get(gameId);
+            const dailyResults = this.withoutBanned(chatId, await this.db.getDailyResults(gameNumber, chatId, gameId));
             
             if (dailyResults.length === 0) {
                 return;
@@ -333,179 +1017,1027 @@ class WordleWhatsAppBot {
                 return b.baseScore - a.baseScore;
             });
 
-            let leaderboard = `🏆 *Daily Leaderboard - Wordle ${gameNumber}*\n\n`;
+            const difficultyLines = gameId === 'wordle' ? await this.getDifficultyLines(gameNumber, dailyResults) : [];
+            let leaderboard = `🏆 *Daily Leaderboard - ${game.name} ${gameNumber}*\n`;
+            leaderboard += difficultyLines.map(([emoji, line]) => `${emoji} ${line}\n`).join('');
+            leaderboard += '\n';
+            const streaks = gameId === 'wordle' ? this.getGroupStreaks(chatId) : new Map();
+            const rows = [];
             
             sortedResults.forEach((result, index) => {
                 const rank = index + 1;
                 const medal = rank === 1 ? '🥇' : rank === 2 ? '🥈' : rank === 3 ? '🥉' : `${rank}.`;
-                const attempts = result.solved ? `${result.attempts}/6` : 'X/6';
+                const streak = streaks.get(result.playerId || result.player)?.currentPlayStreak || 0;
+                const name = this.getPlayerName(result.playerId, result.player);
                 
-                leaderboard += `${medal} *${result.player}*\n`;
-                leaderboard += `   ${attempts} - ${result.totalScore} points\n`;
-                leaderboard += `   (${result.baseScore} base + ${result.emojiPoints} emoji)\n\n`;
+                leaderboard += `${medal} *${name}*${streak > 1 ? ` 🔥${streak}` : ''}\n`;
+                leaderboard += game.formatLeaderboardEntry(result) + '\n';
+                rows.push({
+                    rank,
+                    name,
+                    value: `${result.totalScore} pts`,
+                    detail: game.formatResultLabel(result) + (streak > 1 ? ` · ${streak}-day streak` : '')
+                });
             });
 
-            await this.sock.sendMessage(chatId, { text: leaderboard });
-            console.log(`📊 Sent daily leaderboard for game ${gameNumber}`);
+            await this.sendImageOrText(chatId, leaderboard, () => this.images.renderLeaderboard([{
+                title: `${game.name} ${gameNumber}`,
+                subtitle: ['Daily leaderboard', ...difficultyLines.map(([, line]) => line)],
+                rows
+            }]));
+            console.log(`📊 Sent daily leaderboard for ${game.name} ${gameNumber}`);
             
         } catch (error) {
             console.error('❌ Error sending daily leaderboard:', error);
         }
     }
 
-    async sendTotalLeaderboard(chatId) {
+    async sendTotalLeaderboard(chatId, gameId = 'wordle') {
         try {
-            const totalLeaderboard = await this.db.getTotalLeaderboard();
+            const game = this.games.get(gameId);
+            const totalLeaderboard = this.withoutBanned(chatId, await this.db.getTotalLeaderboard(chatId, gameId));
             
             if (totalLeaderboard.length === 0) {
                 return;
             }
 
-            let leaderboard = `🏆 *Total Leaderboard - All Time*\n\n`;
+            let leaderboard = gameId === 'wordle' ?
+                `🏆 *Total Leaderboard - All Time*\n\n` :
+                `🏆 *${game.name} Leaderboard - All Time*\n\n`;
             
+            const streaks = gameId === 'wordle' ? this.getGroupStreaks(chatId) : new Map();
+            
+            const rows = [];
             totalLeaderboard.forEach((stats, index) => {
                 const rank = index + 1;
                 const medal = rank === 1 ? '🥇' : rank === 2 ? '🥈' : rank === 3 ? '🥉' : `${rank}.`;
+                const playerStreaks = streaks.get(stats.playerId || stats.player);
+                const name = this.getPlayerName(stats.playerId, stats.player);
                 
-                leaderboard += `${medal} *${stats.player}*\n`;
-                leaderboard += `   🏆 ${stats.totalScore} total points\n`;
-                leaderboard += `   📊 ${stats.solveRate}% solve rate (${stats.solvedGames}/${stats.totalGames})\n`;
-                leaderboard += `   ⚡ ${stats.avgAttempts} avg attempts\n\n`;
+                leaderboard += `${medal} *${name}*\n`;
+                leaderboard += game.formatTotalEntry(stats);
+                if (playerStreaks) {
+                    leaderboard += `   🔥 Streak: ${playerStreaks.currentPlayStreak} (best ${playerStreaks.bestPlayStreak})\n`;
+                }
+                leaderboard += '\n';
+
+                let detail = `${stats.solvedGames}/${stats.totalGames} solved`;
+                if (gameId === 'wordle') {
+                    detail += ` · ${stats.avgAttempts} avg attempts`;
+                }
+                if (playerStreaks?.currentPlayStreak > 1) {
+                    detail += ` · ${playerStreaks.currentPlayStreak}-day streak`;
+                }
+                rows.push({ rank, name, value: `${stats.totalScore} pts`, detail });
             });
 
-            await this.sock.sendMessage(chatId, { text: leaderboard });
-            console.log(`📊 Sent total leaderboard`);
+            await this.sendImageOrText(chatId, leaderboard, () => this.images.renderLeaderboard([{
+                title: gameId === 'wordle' ? 'Total Leaderboard' : `${game.name} Leaderboard`,
+                subtitle: ['All time'],
+                rows
+            }]));
+            console.log(`📊 Sent total leaderboard for ${game.name}`);
             
         } catch (error) {
             console.error('❌ Error sending total leaderboard:', error);
         }
     }
 
+    /**
+     * Check if a message starts with the command prefix (as its own word)
+     */
+    isCommand(messageText) {
+        return messageText.trim().split(/\s+/)[0].toLowerCase() === this.commandPrefix.toLowerCase();
+    }
+
+    /**
+     * Every command the bot understands (see CommandRegistry for the shape of a command).
+     * Arguments are parsed and permissions checked before a command's run is called.
+     */
+    registerCommands() {
+        const prefix = this.commandPrefix;
+        const player = { name: 'player', type: 'mention' };
+        const optionalPlayer = { ...player, optional: true };
+        const puzzle = { name: 'gameNumber', label: 'puzzle#', type: 'number' };
+        const game = { name: 'game', type: 'game', optional: true };
+
+        const commands = [
+            {
+                name: 'stats', emoji: '📊', description: 'View group statistics',
+                run: ({ chatId }) => this.sendGroupStats(chatId)
+            },
+            {
+                name: 'leaderboard', aliases: ['lb'], emoji: '🏆', description: 'View the all-time leaderboard',
+                args: [game],
+                run: ({ chatId }, args) => this.sendTotalLeaderboard(chatId, args.game || 'wordle'),
+                subcommands: [{
+                    name: 'relative', description: 'Who beats the day\'s average by the most',
+                    run: ({ chatId }) => this.sendRelativeLeaderboard(chatId)
+                }]
+            },
+            {
+                name: 'daily', emoji: '📅', description: 'View a daily leaderboard (the latest puzzle by default)',
+                args: [game, { ...puzzle, optional: true }],
+                details: [`Example: \`${prefix} daily connections 512\``],
+                run: ({ chatId }, args) => this.sendDailyLeaderboardCommand(chatId, args.gameNumber, args.game || 'wordle')
+            },
+            {
+                name: 'combined', emoji: '🧩', description: 'Combined score across all games for a day (today by default)',
+                args: [{ name: 'date', label: 'YYYY-MM-DD', type: 'date', optional: true }],
+                run: ({ chatId }, args) => this.sendCombinedDailyScores(chatId, args.date)
+            },
+            {
+                name: 'games', emoji: '🎲', description: 'List supported games',
+                run: ({ chatId }) => this.sendSupportedGames(chatId)
+            },
+            {
+                name: 'tournament', emoji: '🏆', description: 'View every running tournament, or one tournament period',
+                args: [{ name: 'id', type: 'word', optional: true }],
+                run: ({ chatId }, args) => this.sendTournamentLeaderboard(chatId, args.id),
+                subcommands: [
+                    {
+                        name: 'list', description: 'List this group\'s tournaments and their rules',
+                        run: ({ chatId }) => this.sendTournamentList(chatId)
+                    },
+                    {
+                        name: 'create', permission: 'admin', description: 'Create a tournament',
+                        args: [
+                            { name: 'format', type: 'choice', choices: this.tournamentFormats.formats },
+                            { name: 'id', type: 'word' },
+                            { name: 'dates', label: 'start end', type: 'dateRange', optional: true },
+                            { name: 'options', label: 'name scoring=... min=N strategy=...', type: 'text', optional: true }
+                        ],
+                        details: [
+                            'Formats: weekly (Monday-Sunday), half-monthly, monthly, or custom with start and end dates (YYYY-MM-DD)',
+                            'Options: scoring=total|average|bestN, min=N games to qualify, strategy=<scoring strategy>',
+                            `Example: \`${prefix} tournament create weekly sprint Weekly Sprint scoring=average min=3\``
+                        ],
+                        run: ({ message, chatId }, args) => this.createTournamentCommand(message, chatId, args)
+                    },
+                    {
+                        name: 'remove', permission: 'admin', description: 'Stop a tournament; finished periods stay archived',
+                        args: [{ name: 'id', type: 'word' }],
+                        run: ({ message, chatId }, args) => this.removeTournamentCommand(message, chatId, args.id)
+                    }
+                ]
+            },
+            {
+                name: 'tournaments', emoji: '📜', description: 'View previous tournaments',
+                run: ({ chatId }) => this.sendPreviousTournaments(chatId)
+            },
+            {
+                name: 'champions', emoji: '👑', description: 'Tournament champions and title counts',
+                run: ({ chatId }) => this.sendChampions(chatId)
+            },
+            {
+                name: 'profile', aliases: ['me'], emoji: '👤', description: 'Personal stats, distribution and recent form',
+                args: [optionalPlayer],
+                run: ({ message, chatId }, args) => this.sendPlayerProfile(chatId, args.player || this.getSenderId(message))
+            },
+            {
+                name: 'vs', emoji: '⚔️', description: 'Head-to-head record over shared games, against you or between two players',
+                args: [player, { name: 'other', type: 'mention', optional: true }],
+                run: ({ message, chatId }, args) => this.sendHeadToHead(chatId,
+                    args.other ? [args.player, args.other] : [this.getSenderId(message), args.player])
+            },
+            {
+                name: 'rating', emoji: '📈', description: 'Skill ratings from daily head-to-head results',
+                run: ({ chatId }) => this.sendRatingLeaderboard(chatId),
+                subcommands: [{
+                    name: 'history', description: 'Recent rating changes for you or a player',
+                    args: [optionalPlayer],
+                    run: ({ message, chatId }, args) => this.sendRatingHistory(chatId, args.player || this.getSenderId(message))
+                }]
+            },
+            {
+                name: 'images', emoji: '🖼️', description: 'Show or change (admins) whether leaderboards and profiles are sent as images',
+                args: [{ name: 'value', label: 'on|off', type: 'choice', choices: ['on', 'off'], optional: true }],
+                run: ({ message, chatId }, args) => this.groupSettingCommand(message, chatId, 'images', args.value)
+            },
+            {
+                name: 'scoring', emoji: '⚖️', description: 'Show the group\'s scoring strategy',
+                run: ({ chatId }) => this.sendScoringStrategy(chatId),
+                subcommands: [
+                    {
+                        name: 'set', permission: 'admin', description: 'Switch the group\'s strategy and rescore its history',
+                        args: [{ name: 'strategy', type: 'choice', choices: this.scoring.list() }],
+                        run: ({ message, chatId }, args) => this.setGroupConfig(message, chatId, 'scoring', args.strategy)
+                    },
+                    {
+                        name: 'compare', description: 'The all-time leaderboard under another strategy',
+                        args: [{ name: 'strategy', type: 'choice', choices: this.scoring.list() }],
+                        run: ({ chatId }, args) => this.sendScoringComparison(chatId, args.strategy)
+                    }
+                ]
+            },
+            {
+                name: 'analysis', emoji: '🔍', description: 'Show or change (admins) how much detail result replies include',
+                args: [{ name: 'level', label: 'minimal|normal|detailed', type: 'choice', choices: ['minimal', 'normal', 'detailed'], optional: true }],
+                run: ({ message, chatId }, args) => this.groupSettingCommand(message, chatId, 'analysis', args.level)
+            },
+            {
+                name: 'members', emoji: '👥', description: 'View group member count',
+                run: ({ chatId }) => this.sendMemberCount(chatId)
+            },
+            {
+                name: 'name', emoji: '👤', description: 'Set the name shown on leaderboards',
+                args: [{ name: 'nickname', type: 'text', optional: true }],
+                run: ({ message, chatId }, args) => this.setNicknameCommand(message, chatId, args.nickname)
+            },
+            {
+                name: 'merge', emoji: '🔗', permission: 'owner', description: 'Assign results recorded under an old name to a player',
+                args: [player, { name: 'oldName', label: 'old name', type: 'text' }],
+                run: ({ message, chatId }, args) => this.mergePlayerCommand(message, chatId, args.player, args.oldName)
+            },
+            {
+                name: 'suspicious', emoji: '🕵️', permission: 'admin', description: 'Per-player suspicion report',
+                run: ({ chatId }) => this.sendSuspicionReport(chatId)
+            },
+            {
+                name: 'config', emoji: '⚙️', description: 'Show this group\'s settings',
+                run: ({ chatId }) => this.sendGroupConfig(chatId),
+                subcommands: [
+                    {
+                        name: 'set', permission: 'admin', description: 'Override a setting for this group',
+                        args: [
+                            { name: 'setting', type: 'choice', choices: Object.keys(Config.groupSettings) },
+                            { name: 'value', type: 'text' }
+                        ],
+                        run: ({ message, chatId }, args) => this.setGroupConfig(message, chatId, args.setting, args.value)
+                    },
+                    {
+                        name: 'reset', permission: 'admin', description: 'Go back to the bot-wide default',
+                        args: [{ name: 'setting', type: 'choice', choices: Object.keys(Config.groupSettings) }],
+                        run: ({ message, chatId }, args) => this.setGroupConfig(message, chatId, args.setting)
+                    }
+                ]
+            },
+            {
+                name: 'admin', emoji: '🛡️', permission: 'admin',
+                description: 'Correct results, moderate players, adjust tournament scores and view the audit log',
+                subcommands: [
+                    {
+                        name: 'delete', description: 'Delete a result',
+                        args: [player, game, puzzle],
+                        run: ({ message, chatId }, args) => this.adminDeleteResult(message, chatId, args)
+                    },
+                    {
+                        name: 'edit', description: 'Change a Wordle result\'s attempts and rescore it',
+                        args: [player, puzzle, { name: 'attempts', label: '1-6|X', type: 'choice', choices: ['1', '2', '3', '4', '5', '6', 'x'] }],
+                        run: ({ message, chatId }, args) => this.adminEditResult(message, chatId, args)
+                    },
+                    {
+                        name: 'void', description: 'Delete a puzzle\'s results and refuse new ones',
+                        args: [game, puzzle],
+                        run: ({ message, chatId }, args) => this.adminVoidGame(message, chatId, args)
+                    },
+                    {
+                        name: 'ban', aliases: ['exclude'], description: 'Stop counting a player\'s results',
+                        args: [player, { name: 'reason', type: 'text', optional: true }],
+                        run: ({ message, chatId }, args) => this.adminBanPlayer(message, chatId, args.player, args.reason)
+                    },
+                    {
+                        name: 'unban', aliases: ['include'], description: 'Count a banned player\'s results again',
+                        args: [player],
+                        run: ({ message, chatId }, args) => this.adminUnbanPlayer(message, chatId, args.player)
+                    },
+                    {
+                        name: 'adjust', description: 'Add or remove points in a running tournament period',
+                        args: [
+                            { name: 'tournament', type: 'word' },
+                            player,
+                            { name: 'points', label: '±points', type: 'number' },
+                            { name: 'reason', type: 'text' }
+                        ],
+                        run: ({ message, chatId }, args) => this.adminAdjustScore(message, chatId, args)
+                    },
+                    {
+                        name: 'log', description: 'Show recent admin actions',
+                        args: [{ name: 'count', type: 'number', optional: true }],
+                        run: ({ chatId }, args) => this.sendAuditLog(chatId, args.count)
+                    }
+                ]
+            },
+            {
+                name: 'register', emoji: '📝', permission: 'owner', description: 'Let the bot serve this group',
+                run: ({ message, chatId }) => this.registerGroupCommand(message, chatId)
+            },
+            {
+                name: 'help', emoji: '❓', description: 'Show all commands, or details for one',
+                args: [{ name: 'command', type: 'word', optional: true }],
+                run: ({ chatId }, args) => this.sendHelp(chatId, args.command)
+            }
+        ];
+
+        commands.forEach(command => this.commands.register(command));
+    }
+
     async handleWordleCommand(message, messageText, chatId) {
-        const args = messageText.split(' ');
-        const command = args[1]?.toLowerCase();
+        const words = messageText.trim().split(/\s+/).slice(1);
         const sender = message.pushName || message.key.participant?.split('@')[0] || 'Unknown';
+        const prefix = this.commandPrefix;
 
-        console.log(`   🤖 Command "${command}" from ${sender}`);
+        console.log(`   🤖 Command "${words.join(' ')}" from ${sender}`);
 
         try {
-            switch (command) {
-                case 'stats':
-                    console.log('   📊 Sending group stats...');
-                    await this.sendGroupStats(chatId);
-                    break;
-                case 'leaderboard':
-                    console.log('   🏆 Sending total leaderboard from database...');
-                    await this.sendTotalLeaderboard(chatId);
-                    break;
-                case 'daily':
-                    console.log('   📅 Sending daily leaderboard...');
-                    await this.sendDailyLeaderboardCommand(chatId, args[2]);
-                    break;
-                case 'tournament':
-                    console.log('   🏆 Sending tournament leaderboard...');
-                    await this.sendTournamentLeaderboard(chatId, args[2]);
-                    break;
-                case 'tournaments':
-                    console.log('   📜 Sending previous tournaments...');
-                    await this.sendPreviousTournaments(chatId);
-                    break;
-                case 'members':
-                    console.log('   👥 Sending member count...');
-                    await this.sendMemberCount(chatId);
-                    break;
-                case 'help':
-                    console.log('   ❓ Sending help...');
-                    await this.sendHelp(chatId);
-                    break;
-                default:
-                    console.log('   ❓ Unknown command, sending help...');
-                    await this.sendHelp(chatId);
+            if (words.length === 0) {
+                await this.sendHelp(chatId);
+                return;
+            }
+
+            const { command, words: argWords, unknown, suggestion } = this.commands.resolve(words);
+            if (!command) {
+                console.log(`   ❓ Unknown command "${unknown}"`);
+                await this.send(chatId, {
+                    text: `❓ Unknown command "${unknown}". ` + (suggestion ?
+                        `Did you mean \`${prefix} ${suggestion.name}\`?` :
+                        `Send \`${prefix} help\` for the list of commands.`)
+                });
+                return;
+            }
+
+            // A command that only groups subcommands shows its help, or a suggestion for a typo
+            if (!command.run) {
+                const nearest = this.commands.suggest(argWords[0], command);
+                await this.send(chatId, {
+                    text: argWords.length === 0 ? this.commands.describe(prefix, command) :
+                        `❓ Unknown ${command.name} command "${argWords[0]}". ` + (nearest ?
+                            `Did you mean \`${prefix} ${nearest.path}\`?` :
+                            `Send \`${prefix} help ${command.name}\` for its commands.`)
+                });
+                return;
+            }
+
+            if (!(await this.hasPermission(message, chatId, command.permission))) {
+                const who = command.permission === 'owner' ? 'the bot owner' : 'group admins';
+                await this.send(chatId, { text: `🔒 Only ${who} can use \`${prefix} ${command.path}\`.` });
+                return;
+            }
+
+            const parsed = this.commands.parseArgs(command, argWords, this.getMentionedIds(message));
+            if (parsed.error) {
+                const root = command.path.split(' ')[0];
+                const nearest = this.commands.suggest(argWords[0], this.commands.get(root));
+                await this.send(chatId, {
+                    text: `❌ ${parsed.error}.\nUsage: \`${this.commands.formatUsage(prefix, command)}\`\n` + (nearest ?
+                        `Did you mean \`${prefix} ${nearest.path}\`?` :
+                        `Send \`${prefix} help ${root}\` for details.`)
+                });
+                return;
             }
+
+            console.log(`   ⚡ Running ${command.path}...`);
+            await command.run({ message, chatId }, parsed.args);
         } catch (error) {
             console.error('   ❌ Error handling command:', error);
         }
     }
 
-    async sendDailyLeaderboardCommand(chatId, gameNumber) {
+    async hasPermission(message, chatId, permission) {
+        switch (permission) {
+            case 'owner': return this.isOwner(message);
+            case 'admin': return this.isAdmin(message, chatId);
+            default: return true;
+        }
+    }
+
+    async sendDailyLeaderboardCommand(chatId, gameNumber, gameId = 'wordle') {
         try {
             // If no game number provided, try to get the latest game number from recent submissions
             if (!gameNumber) {
-                // Find the most recent game number from daily submissions
-                let latestGame = 0;
-                for (const key of this.dailySubmissions.keys()) {
-                    const game = parseInt(key.split('-')[1]);
-                    if (game > latestGame) {
-                        latestGame = game;
-                    }
-                }
+                // Wordle submissions are tracked in memory; other games are looked up in storage
+                const latestGame = gameId === 'wordle' ?
+                    this.getLatestGameNumber(chatId) :
+                    Math.max(0, ...(await this.db.getGroupResults(chatId, gameId)).map(r => r.gameNumber));
                 
                 if (latestGame === 0) {
-                    await this.sock.sendMessage(chatId, { 
-                        text: '📅 No daily results found yet! Submit a Wordle result first or specify a game number: `!wordle daily 1234`' 
+                    const name = this.games.get(gameId).name;
+                    await this.send(chatId, { 
+                        text: `📅 No daily results found yet! Submit a ${name} result first or specify a game number: \`${this.commandPrefix} daily ${gameId === 'wordle' ? '' : `${gameId} `}1234\`` 
                     });
                     return;
                 }
                 gameNumber = latestGame;
             }
 
-            await this.sendDailyLeaderboard(chatId, parseInt(gameNumber));
+            await this.sendDailyLeaderboard(chatId, parseInt(gameNumber), gameId);
         } catch (error) {
             console.error('❌ Error sending daily leaderboard command:', error);
-            await this.sock.sendMessage(chatId, { 
+            await this.send(chatId, { 
                 text: '❌ Error retrieving daily leaderboard. Please try again.' 
             });
         }
     }
 
+    /**
+     * Add up every game each player shared on one day into a single "daily puzzle" score
+     */
+    async sendCombinedDailyScores(chatId, date) {
+        try {
+            const group = this.groups.get(chatId);
+            const day = date || this.calendar.getDateString(group.timezone);
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+                await this.send(chatId, { text: `📅 Usage: \`${this.commandPrefix} combined [YYYY-MM-DD]\`` });
+                return;
+            }
+
+            const results = this.withoutBanned(chatId, await this.db.getGroupResults(chatId)).filter(r => r.date === day);
+            if (results.length === 0) {
+                await this.send(chatId, { text: `🧩 No puzzle results found for ${day}.` });
+                return;
+            }
+
+            const players = new Map();
+            for (const result of results) {
+                const playerKey = result.playerId || result.player;
+                if (!players.has(playerKey)) {
+                    players.set(playerKey, {
+                        name: this.getPlayerName(result.playerId, result.player),
+                        totalScore: 0,
+                        games: []
+                    });
+                }
+                const entry = players.get(playerKey);
+                entry.totalScore += result.totalScore;
+                entry.games.push(`${this.games.get(result.game)?.emoji || '🎲'} ${result.totalScore}`);
+            }
+
+            const ranked = Array.from(players.values()).sort((a, b) => b.totalScore - a.totalScore);
+            let text = `🧩 *Daily Puzzle Scores - ${day}*\n\n`;
+            ranked.forEach((entry, index) => {
+                const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : `${index + 1}.`;
+                text += `${medal} *${entry.name}* - ${entry.totalScore} points\n`;
+                text += `   ${entry.games.join(' | ')}\n\n`;
+            });
+
+            await this.send(chatId, { text });
+        } catch (error) {
+            console.error('❌ Error sending combined daily scores:', error);
+            await this.send(chatId, { text: '❌ Error retrieving daily puzzle scores.' });
+        }
+    }
+
+    async sendSupportedGames(chatId) {
+        let text = '🎲 *Supported Games*\n\n';
+        for (const game of this.games.list()) {
+            text += `${game.emoji} *${game.name}* - \`${this.commandPrefix} daily ${game.id}\`, \`${this.commandPrefix} leaderboard ${game.id}\`\n`;
+        }
+        text += '\nJust share your result in the group and I\'ll pick it up!';
+        await this.send(chatId, { text });
+    }
+
+    getLatestGameNumber(chatId) {
+        const group = this.groups.get(chatId);
+        if (!group || group.submissions.size === 0) return 0;
+        return Math.max(...group.submissions.keys());
+    }
+
+    async registerGroupCommand(message, chatId) {
+        const alreadyRegistered = this.groups.has(chatId);
+        const group = await this.registerGroup(chatId, this.groups.get(chatId)?.name || '');
+        if (!alreadyRegistered) {
+            await this.logAdminAction(message, chatId, 'register', group.name);
+        }
+        const text = alreadyRegistered ?
+            `✅ "${group.name}" is already registered.` :
+            `✅ Registered "${group.name}" (${group.memberCount} members). Share your Wordle results here!`;
+        await this.send(chatId, { text });
+    }
+
+    async setNicknameCommand(message, chatId, nickname) {
+        const player = await this.identifyPlayer(message);
+
+        if (!nickname) {
+            await this.send(chatId, {
+                text: `👤 You are shown as *${this.getPlayerName(player.playerId)}*.\nUse \`${this.commandPrefix} name <nickname>\` to change it.`
+            });
+            return;
+        }
+
+        if (nickname.length > 30) {
+            await this.send(chatId, { text: '❌ Nicknames can be at most 30 characters.' });
+            return;
+        }
+
+        player.nickname = nickname;
+        if (!player.aliases.includes(nickname)) {
+            player.aliases.push(nickname);
+        }
+        await this.db.savePlayer(player);
+
+        await this.send(chatId, { text: `✅ You'll now be shown as *${nickname}*.` });
+    }
+
+    /**
+     * Merging rewrites stored results, so only the bot owner can do it
+     */
+    async mergePlayerCommand(message, chatId, playerId, oldName) {
+        let player = this.players.get(playerId);
+        if (!player) {
+            player = { playerId, displayName: oldName, nickname: null, aliases: [] };
+            this.players.set(playerId, player);
+        }
+        if (!player.aliases.includes(oldName)) {
+            player.aliases.push(oldName);
+        }
+        await this.db.savePlayer(player);
+
+        const claimed = await this.db.assignPlayerId(playerId, oldName);
+        if (claimed > 0) {
+            await this.reloadAllGroupState();
+        }
+        await this.logAdminAction(message, chatId, 'merge', `"${oldName}" into ${this.getPlayerName(playerId)} (${claimed} results)`);
+        await this.send(chatId, {
+            text: `🔗 Merged ${claimed} result${claimed === 1 ? '' : 's'} recorded as "${oldName}" into *${this.getPlayerName(playerId)}*.`
+        });
+    }
+
+    /**
+     * Check if the sender is the bot's own account or one of the configured owners
+     */
+    isOwner(message) {
+        return message.key.fromMe || this.ownerIds.includes(this.getSenderId(message));
+    }
+
+    /**
+     * Check if the sender is the bot owner or an admin of the group
+     */
+    async isAdmin(message, chatId) {
+        if (this.isOwner(message)) return true;
+
+        try {
+            const groupMetadata = await this.sock.groupMetadata(chatId);
+            const senderId = this.getSenderId(message);
+            const participant = groupMetadata.participants.find(p => jidNormalizedUser(p.id) === senderId);
+            return participant?.admin === 'admin' || participant?.admin === 'superadmin';
+        } catch (error) {
+            console.error('❌ Error checking admin status:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Send a leaderboard or profile as an image when the group wants images, falling back to
+     * the text version if images are off or rendering fails. render returns a PNG buffer or null.
+     */
+    async sendImageOrText(chatId, text, render) {
+        if (this.getGroupSetting(chatId, 'images')) {
+            const image = await render();
+            if (image) {
+                // The first line of the text doubles as the caption; the text is sent if the image can't be
+                await this.sendQueue.enqueue(chatId, { image, caption: text.split('\n')[0] }, {}, { text });
+                return;
+            }
+        }
+
+        await this.send(chatId, { text });
+    }
+
+    /**
+     * Show one of Config.groupSettings, or change it through `config set` (admins only).
+     * Backs the commands that are shortcuts for a single setting.
+     */
+    async groupSettingCommand(message, chatId, name, value) {
+        if (value === undefined) {
+            const shown = Config.formatGroupSetting(name, this.getGroupSetting(chatId, name));
+            await this.send(chatId, {
+                text: `⚙️ ${Config.groupSettings[name].description}: *${shown}* in this group.\n` +
+                      `Admins change it with \`${this.commandPrefix} config set ${name} <value>\``
+            });
+            return;
+        }
+
+        if (!(await this.hasPermission(message, chatId, 'admin'))) {
+            await this.send(chatId, { text: `🔒 Only group admins can change \`${name}\`.` });
+            return;
+        }
+
+        await this.setGroupConfig(message, chatId, name, value);
+    }
+
+    async sendGroupConfig(chatId) {
+        const group = this.groups.get(chatId);
+        let text = `⚙️ *Group Settings*\n\n`;
+        for (const [key, definition] of Object.entries(Config.groupSettings)) {
+            const value = Config.formatGroupSetting(key, this.getGroupSetting(chatId, key));
+            text += `• \`${key}\`: *${value}*${group.settings[definition.setting] === undefined ? ' (default)' : ''}\n`;
+            text += `   ${definition.description}\n`;
+        }
+        text += `\nAdmins change them with \`${this.commandPrefix} config set <setting> <value>\` ` +
+                `and \`${this.commandPrefix} config reset <setting>\``;
+        await this.send(chatId, { text });
+    }
+
+    /**
+     * Override one of Config.groupSettings for a group, or go back to the default when value is
+     * undefined. Overrides are saved with the group's settings.
+     */
+    async setGroupConfig(message, chatId, name, value) {
+        const group = this.groups.get(chatId);
+        const { setting } = Config.groupSettings[name];
+        const before = this.getGroupSetting(chatId, name);
+
+        if (value !== undefined) {
+            const parsed = Config.parseGroupSetting(name, value);
+            if (parsed.error) {
+                await this.send(chatId, { text: `❌ ${parsed.error}.` });
+                return;
+            }
+            group.settings[setting] = parsed.value;
+        } else {
+            delete group.settings[setting];
+        }
+        await this.db.saveGroupSettings(chatId, group.settings);
+
+        const after = this.getGroupSetting(chatId, name);
+        const shown = Config.formatGroupSetting(name, after);
+        let text = value !== undefined ? `⚙️ \`${name}\` set to *${shown}*.` : `⚙️ \`${name}\` reset to the default (*${shown}*).`;
+
+        if (after !== before && setting === 'timezone') {
+            // Re-adding a job replaces it, so the group's schedule moves to the new timezone
+            group.timezone = after;
+            this.scheduleGroupJobs(chatId);
+        }
+        if (after !== before && setting === 'scoringStrategy') {
+            const { changed, withoutGrid } = await this.rescoreGames(chatId);
+            text += ` Rescored ${changed} past results.`;
+            if (withoutGrid > 0) {
+                text += ` ${withoutGrid} older results were saved without their grid, so they kept their emoji points.`;
+            }
+        }
+
+        await this.logAdminAction(message, chatId, 'config', value !== undefined ? `${name} = ${shown}` : `${name} reset (${shown})`);
+        await this.send(chatId, { text });
+    }
+
+    isBanned(groupId, playerKey) {
+        return this.groups.get(groupId)?.settings.bannedPlayers?.some(entry => entry.playerId === playerKey) || false;
+    }
+
+    /**
+     * Drop banned players' rows (results or standings keyed by playerId, or name for old rows) from a leaderboard
+     */
+    withoutBanned(groupId, rows) {
+        return rows.filter(row => !this.isBanned(groupId, row.playerId || row.player));
+    }
+
+    /**
+     * Refuse a result from a banned player or for a voided puzzle. Returns true if it was refused.
+     */
+    async rejectModeratedResult(message, chatId, playerId, gameId, gameNumber) {
+        const settings = this.groups.get(chatId).settings;
+
+        if (this.isBanned(chatId, playerId)) {
+            console.log(`   ❌ Skipped: ${playerId} is banned in this group`);
+            return true;
+        }
+
+        if (settings.voidedGames?.some(entry => entry.game === gameId && entry.gameNumber === gameNumber)) {
+            console.log(`   ❌ Skipped: ${gameId} ${gameNumber} was voided`);
+            await this.send(chatId, {
+                text: `🚫 ${this.games.get(gameId).name} ${gameNumber} was voided by an admin, so results for it aren't counted.`
+            }, { quoted: message });
+            return true;
+        }
+
+        return false;
+    }
+
+    async logAdminAction(message, chatId, action, details) {
+        const adminId = this.getSenderId(message);
+        await this.db.appendAuditLog({
+            groupId: chatId,
+            adminId,
+            admin: this.getPlayerName(adminId),
+            action,
+            details,
+            createdAt: new Date().toISOString()
+        });
+        console.log(`   🛡️ Admin ${action}: ${details}`);
+    }
+
+    /**
+     * `!wordle admin ...` commands let group admins and the configured owners correct results
+     * and moderate players. Every action is recorded in the audit log.
+     */
+    async adminDeleteResult(message, chatId, { player: playerId, game: gameId = 'wordle', gameNumber }) {
+        const game = this.games.get(gameId);
+        const name = this.getPlayerName(playerId);
+        const deleted = await this.db.deleteResults(chatId, gameNumber, playerId, game.id);
+        if (deleted === 0) {
+            await this.send(chatId, { text: `❌ ${name} has no ${game.name} ${gameNumber} result in this group.` });
+            return;
+        }
+
+        await this.loadGroupState(chatId);
+        await this.logAdminAction(message, chatId, 'delete', `${name} - ${game.name} ${gameNumber}`);
+        await this.send(chatId, { text: `🗑️ Deleted ${name}'s ${game.name} ${gameNumber} result.` });
+    }
+
+    async adminEditResult(message, chatId, { player: playerId, gameNumber, attempts: newAttempts }) {
+        const attempts = newAttempts.toUpperCase();
+        const name = this.getPlayerName(playerId);
+        const existing = (await this.db.getDailyResults(gameNumber, chatId))
+            .find(r => (r.playerId || r.player) === playerId);
+        if (!existing) {
+            await this.send(chatId, { text: `❌ ${name} has no Wordle ${gameNumber} result in this group.` });
+            return;
+        }
+
+        // The posted grid no longer matches the new attempts, so it's dropped along with its emoji points
+        const edited = {
+            date: existing.date,
+            gameNumber,
+            player: existing.player,
+            playerId: existing.playerId,
+            actualAttempts: attempts,
+            solved: attempts !== 'X',
+            hardMode: existing.hardMode,
+            pattern: [],
+            game: 'wordle',
+            score: this.analyzer.calculateScore(attempts, [], existing.hardMode)
+        };
+        await this.db.deleteResults(chatId, gameNumber, playerId);
+        await this.db.saveWordleResult(edited, chatId);
+        if (this.getScoringStrategy(chatId) !== 'classic') {
+            await this.rescoreGames(chatId, [gameNumber]);
+        }
+        await this.loadGroupState(chatId);
+
+        const before = `${existing.solved ? existing.attempts : 'X'}/6`;
+        await this.logAdminAction(message, chatId, 'edit', `${name} - Wordle ${gameNumber}: ${before} → ${attempts}/6`);
+        await this.send(chatId, {
+            text: `✏️ Changed ${name}'s Wordle ${gameNumber} from ${before} to ${attempts}/6.\n` +
+                  `The posted grid no longer matches, so it was removed along with its emoji points.`
+        });
+    }
+
+    async adminVoidGame(message, chatId, { game: gameId = 'wordle', gameNumber }) {
+        const game = this.games.get(gameId);
+        const group = this.groups.get(chatId);
+        group.settings.voidedGames = group.settings.voidedGames || [];
+        if (group.settings.voidedGames.some(entry => entry.game === game.id && entry.gameNumber === gameNumber)) {
+            await this.send(chatId, { text: `❌ ${game.name} ${gameNumber} is already void.` });
+            return;
+        }
+
+        group.settings.voidedGames.push({ game: game.id, gameNumber });
+        await this.db.saveGroupSettings(chatId, group.settings);
+        const deleted = await this.db.deleteResults(chatId, gameNumber, undefined, game.id);
+        await this.loadGroupState(chatId);
+
+        await this.logAdminAction(message, chatId, 'void', `${game.name} ${gameNumber} (${deleted} results removed)`);
+        await this.send(chatId, {
+            text: `🚫 Voided ${game.name} ${gameNumber}: removed ${deleted} result${deleted === 1 ? '' : 's'}. New results for it won't be counted.`
+        });
+    }
+
+    async adminBanPlayer(message, chatId, playerId, reason = '') {
+        const group = this.groups.get(chatId);
+        const name = this.getPlayerName(playerId);
+        group.settings.bannedPlayers = group.settings.bannedPlayers || [];
+        if (group.settings.bannedPlayers.some(entry => entry.playerId === playerId)) {
+            await this.send(chatId, { text: `❌ ${name} is already banned.` });
+            return;
+        }
+
+        group.settings.bannedPlayers.push({ playerId, reason, bannedAt: new Date().toISOString() });
+        await this.db.saveGroupSettings(chatId, group.settings);
+
+        await this.logAdminAction(message, chatId, 'ban', `${name}${reason ? `: ${reason}` : ''}`);
+        await this.send(chatId, {
+            text: `🚫 ${name} is banned: new results aren't accepted and their earlier results are left off ` +
+                  `this group's leaderboards and tournaments (finished tournaments stay as they were).`
+        });
+    }
+
+    async adminUnbanPlayer(message, chatId, playerId) {
+        const group = this.groups.get(chatId);
+        const name = this.getPlayerName(playerId);
+        const banned = group.settings.bannedPlayers || [];
+        if (!banned.some(entry => entry.playerId === playerId)) {
+            await this.send(chatId, { text: `❌ ${name} isn't banned.` });
+            return;
+        }
+
+        group.settings.bannedPlayers = banned.filter(entry => entry.playerId !== playerId);
+        await this.db.saveGroupSettings(chatId, group.settings);
+
+        await this.logAdminAction(message, chatId, 'unban', name);
+        await this.send(chatId, { text: `✅ ${name} is unbanned; their results count again.` });
+    }
+
+    /**
+     * Add points to (or remove them from) a player in a running tournament period
+     */
+    async adminAdjustScore(message, chatId, { tournament: tournamentId, player: playerId, points, reason }) {
+        if (points === 0) {
+            await this.send(chatId, { text: '❌ An adjustment needs a non-zero number of points.' });
+            return;
+        }
+
+        const period = this.tournamentFormats.findPeriodById(this.getGroupTournaments(chatId), tournamentId);
+        if (!period) {
+            await this.send(chatId, {
+                text: `❌ Unknown tournament "${tournamentId}". Use \`${this.commandPrefix} tournament list\` to see this group's tournaments.`
+            });
+            return;
+        }
+
+        const archived = await this.db.getPreviousTournaments(chatId);
+        if (archived.some(tournament => tournament.tournamentId === period.tournamentId)) {
+            await this.send(chatId, { text: `❌ ${period.tournamentId} has finished and its standings are final.` });
+            return;
+        }
+
+        const name = this.getPlayerName(playerId);
+        const adminId = this.getSenderId(message);
+        await this.db.saveScoreAdjustment({
+            groupId: chatId,
+            tournamentId: period.tournamentId,
+            playerKey: playerId,
+            player: name,
+            points,
+            reason,
+            adminId,
+            createdAt: new Date().toISOString()
+        });
+
+        const signed = `${points > 0 ? '+' : ''}${points}`;
+        await this.logAdminAction(message, chatId, 'adjust', `${name} ${signed} pts in ${period.tournamentId}: ${reason}`);
+        await this.send(chatId, {
+            text: `⚖️ ${signed} pts for ${name} in *${period.tournament.name}* (${period.tournamentId}).\nReason: ${reason}`
+        });
+    }
+
+    async sendAuditLog(chatId, count) {
+        const limit = Math.min(Math.max(count || 10, 1), 50);
+        const entries = await this.db.getAuditLog(chatId, limit);
+
+        if (entries.length === 0) {
+            await this.send(chatId, { text: '🛡️ No admin actions have been recorded in this group.' });
+            return;
+        }
+
+        let text = `🛡️ *Admin Log* (last ${entries.length})\n\n`;
+        for (const entry of entries) {
+            text += `🕒 ${new Date(entry.createdAt).toLocaleString()}\n`;
+            text += `   *${entry.admin}* ${entry.action}: ${entry.details}\n`;
+        }
+
+        await this.send(chatId, { text: text.trim() });
+    }
+
+    async sendScoringStrategy(chatId) {
+        const current = this.getScoringStrategy(chatId);
+        let text = `⚖️ Scoring in this group: *${this.scoring.getName(current)}*\n`;
+        text += this.scoring.describe(current).join('\n') + '\n\n';
+        text += `Strategies: ${this.scoring.list().map(id => `\`${id}\``).join(', ')}\n`;
+        text += `Compare with \`${this.commandPrefix} scoring compare <strategy>\`; admins switch with \`${this.commandPrefix} scoring set <strategy>\``;
+        await this.send(chatId, { text });
+    }
+
+    async sendScoringComparison(chatId, strategy) {
+        try {
+            const allRows = await this.db.getGroupResults(undefined, 'wordle');
+            const rows = allRows.filter(row => row.groupId === chatId);
+            if (rows.length === 0) {
+                await this.send(chatId, { text: '⚖️ No Wordle results in this group yet.' });
+                return;
+            }
+
+            const totals = new Map();
+            const rescored = this.scoring.scoreRows(strategy, rows, allRows);
+            rows.forEach((row, i) => {
+                const playerKey = row.playerId || row.player;
+                if (!totals.has(playerKey)) {
+                    totals.set(playerKey, { playerId: row.playerId, player: row.player, current: 0, score: 0 });
+                }
+                totals.get(playerKey).current += row.totalScore;
+                totals.get(playerKey).score += rescored[i].totalScore;
+            });
+
+            const players = Array.from(totals.values());
+            const currentRanks = new Map([...players]
+                .sort((a, b) => b.current - a.current)
+                .map((entry, index) => [entry, index + 1]));
+            players.sort((a, b) => b.score - a.score);
+
+            let text = `⚖️ *All-time Leaderboard - ${this.scoring.getName(strategy)}*\n`;
+            text += `Compared with this group's ${this.scoring.getName(this.getScoringStrategy(chatId))} scoring\n\n`;
+
+            players.forEach((entry, index) => {
+                const rank = index + 1;
+                const medal = rank === 1 ? '🥇' : rank === 2 ? '🥈' : rank === 3 ? '🥉' : `${rank}.`;
+                const move = currentRanks.get(entry) - rank;
+                const arrow = move > 0 ? ` ⬆️${move}` : move < 0 ? ` ⬇️${-move}` : '';
+                text += `${medal} *${this.getPlayerName(entry.playerId, entry.player)}*${arrow}\n`;
+                text += `   ${entry.score} pts (now ${entry.current} pts, #${currentRanks.get(entry)})\n\n`;
+            });
+
+            await this.send(chatId, { text });
+
+        } catch (error) {
+            console.error('❌ Error comparing scoring strategies:', error);
+            await this.send(chatId, { text: '❌ Error comparing scoring strategies.' });
+        }
+    }
+
+    async sendSuspicionReport(chatId) {
+        try {
+            const results = await this.db.getGroupResults(chatId, 'wordle');
+            const byPlayer = new Map();
+            for (const result of results) {
+                const playerKey = result.playerId || result.player;
+                if (!byPlayer.has(playerKey)) {
+                    byPlayer.set(playerKey, []);
+                }
+                byPlayer.get(playerKey).push(result);
+            }
+
+            const reports = Array.from(byPlayer.values())
+                .map(playerResults => ({
+                    name: this.getPlayerName(playerResults[0].playerId, playerResults[0].player),
+                    games: playerResults.length,
+                    ...this.analyzer.getSuspicionReport(playerResults)
+                }))
+                .filter(report => report.flags.length > 0)
+                .sort((a, b) => b.suspicionScore - a.suspicionScore);
+
+            if (reports.length === 0) {
+                await this.send(chatId, { text: '🕵️ *Suspicion Report*\n\n✅ Nothing suspicious found.' });
+                return;
+            }
+
+            let reportText = '🕵️ *Suspicion Report*\n\n';
+            for (const report of reports) {
+                reportText += `👤 *${report.name}* - score ${report.suspicionScore} (${report.games} games)\n`;
+                for (const flag of report.flags) {
+                    reportText += `   ⚠️ ${flag.text}\n`;
+                }
+                reportText += '\n';
+            }
+
+            await this.send(chatId, { text: reportText });
+        } catch (error) {
+            console.error('❌ Error sending suspicion report:', error);
+            await this.send(chatId, { text: '❌ Error building the suspicion report.' });
+        }
+    }
+
     async sendMemberCount(chatId) {
         try {
             const memberCount = await this.db.getGroupMemberCount(chatId);
-            const currentSubmissions = this.dailySubmissions.size > 0 ? 
-                Math.max(...Array.from(this.dailySubmissions.values()).map(set => set.size)) : 0;
+            const latestGame = this.getLatestGameNumber(chatId);
+            const currentSubmissions = latestGame > 0 ?
+                this.groups.get(chatId).submissions.get(latestGame).size : 0;
             
             const memberText = `👥 *Group Member Info*\n\n` +
                              `📊 Total members: ${memberCount}\n` +
                              `🎯 Current submissions: ${currentSubmissions}/${memberCount}\n` +
                              `📈 Participation: ${memberCount > 0 ? ((currentSubmissions/memberCount)*100).toFixed(1) : 0}%`;
 
-            await this.sock.sendMessage(chatId, { text: memberText });
+            await this.send(chatId, { text: memberText });
         } catch (error) {
             console.error('❌ Error sending member count:', error);
-            await this.sock.sendMessage(chatId, { 
+            await this.send(chatId, { 
                 text: '❌ Error retrieving member count. Please try again.' 
             });
         }
     }
 
     async sendGroupStats(chatId) {
-        const groupData = this.groupStats.get(chatId);
-        if (!groupData || groupData.size === 0) {
-            await this.sock.sendMessage(chatId, { 
+        const players = this.withoutBanned(chatId,
+            Array.from(this.groupStats.get(chatId) || [], ([playerId, results]) => ({ playerId, results })));
+        if (players.length === 0) {
+            await this.send(chatId, { 
                 text: '📊 No Wordle results found in this group yet!' 
             });
             return;
         }
 
         let statsText = '📊 *Group Wordle Statistics*\n\n';
+        const gameNumber = this.calendar.getExpectedGameNumber(this.groups.get(chatId).timezone);
         
-        for (const [player, results] of groupData) {
-            const stats = this.analyzer.getPlayerStats(results);
+        for (const { playerId, results } of players) {
+            const stats = this.analyzer.getPlayerStats(results, gameNumber);
             
-            statsText += `👤 *${player}*\n`;
+            statsText += `👤 *${this.getPlayerName(playerId)}*\n`;
             statsText += `   ✅ Solved: ${stats.solvedGames}/${stats.totalGames} (${stats.solveRate.toFixed(1)}%)\n`;
             statsText += `   📈 Avg attempts: ${stats.averageAttempts.toFixed(1)}\n`;
             statsText += `   🏆 Total score: ${stats.totalScore} points\n`;
-            statsText += `   📊 Avg score: ${stats.averageScore.toFixed(1)} points\n\n`;
+            statsText += `   📊 Avg score: ${stats.averageScore.toFixed(1)} points\n`;
+            statsText += `   🔥 Play streak: ${stats.streaks.currentPlayStreak} (best ${stats.streaks.bestPlayStreak})\n`;
+            statsText += `   🏅 Win streak: ${stats.streaks.currentWinStreak} (best ${stats.streaks.bestWinStreak})\n\n`;
         }
 
-        await this.sock.sendMessage(chatId, { text: statsText });
+        await this.send(chatId, { text: statsText });
     }
 
     async sendLeaderboard(chatId) {
         const groupData = this.groupStats.get(chatId);
         if (!groupData || groupData.size === 0) {
-            await this.sock.sendMessage(chatId, { 
+            await this.send(chatId, { 
                 text: '🏆 No Wordle results found for leaderboard!' 
             });
             return;
@@ -513,10 +2045,10 @@ class WordleWhatsAppBot {
 
         const playerStats = [];
         
-        for (const [player, results] of groupData) {
+        for (const [playerId, results] of groupData) {
             const stats = this.analyzer.getPlayerStats(results);
             playerStats.push({
-                player,
+                player: this.getPlayerName(playerId),
                 ...stats
             });
         }
@@ -538,136 +2070,667 @@ class WordleWhatsAppBot {
             leaderboardText += `   ⚡ ${stats.averageAttempts.toFixed(1)} avg attempts\n\n`;
         });
 
-        await this.sock.sendMessage(chatId, { text: leaderboardText });
+        await this.send(chatId, { text: leaderboardText });
     }
 
-    async sendHelp(chatId) {
+    /**
+     * Send the command overview, or the detailed help for one command
+     */
+    async sendHelp(chatId, commandName) {
+        const prefix = this.commandPrefix;
+        if (commandName) {
+            const command = this.commands.get(commandName);
+            const suggestion = command ? null : this.commands.suggest(commandName);
+            await this.send(chatId, {
+                text: command ? this.commands.describe(prefix, command) :
+                    `❓ No command "${commandName}".` + (suggestion ? ` Did you mean \`${prefix} help ${suggestion.name}\`?` : '')
+            });
+            return;
+        }
+
+        const strategy = this.getScoringStrategy(chatId);
         const helpText = `🤖 *Wordle Bot Commands*\n\n` +
-                        `📊 \`!wordle stats\` - View group statistics\n` +
-                        `🏆 \`!wordle leaderboard\` - View overall leaderboard\n` +
-                        `📅 \`!wordle daily [game#]\` - View daily leaderboard\n` +
-                        `🏆 \`!wordle tournament [id]\` - View current/specific tournament\n` +
-                        `📜 \`!wordle tournaments\` - View previous tournaments\n` +
-                        `👥 \`!wordle members\` - View group member count\n` +
-                        `❓ \`!wordle help\` - Show this help\n\n` +
+                        this.commands.describeAll(prefix).join('\n') + '\n\n' +
+                        `📖 \`${prefix} help <command>\` shows a command's options and subcommands\n\n` +
                         `💡 *How it works:*\n` +
                         `Just share your Wordle results in the group and I'll automatically analyze them!\n\n` +
                         `🏆 *Tournament System:*\n` +
                         `• Bi-monthly tournaments (every 15 days)\n` +
                         `• 1st-15th: Tournament 1, 16th-end: Tournament 2\n` +
-                        `• Automatic tournament tracking\n\n` +
-                        `🏆 *Scoring System:*\n` +
-                        `• 1 attempt: 600 points\n` +
-                        `• 2 attempts: 500 points\n` +
-                        `• 3 attempts: 400 points\n` +
-                        `• 4 attempts: 300 points\n` +
-                        `• 5 attempts: 200 points\n` +
-                        `• 6 attempts: 100 points\n` +
-                        `• Failed (X): 0 points\n` +
-                        `• Bonus: 🟩 = +2 pts, 🟨 = +1 pt\n\n` +
+                        `• Admins can add weekly, monthly and custom-date tournaments that run alongside\n` +
+                        `• Scoring per tournament: total points, average per game or best N days, with an optional minimum number of games\n` +
+                        `• A tournament can also score results with its own strategy (\`strategy=...\`)\n` +
+                        `• Final standings are announced and archived when a tournament ends\n\n` +
+                        `🏆 *Scoring System (${this.scoring.getName(strategy)}):*\n` +
+                        this.scoring.describe(strategy).join('\n') + '\n' +
+                        `\n` +
                         `Example Wordle result:\n` 
                         
 
-        await this.sock.sendMessage(chatId, { text: helpText });
+        await this.send(chatId, { text: helpText });
     }
 
 
-      getCurrentTournamentId() {
-        const now = new Date();
-        const year = now.getFullYear();
-        const month = now.getMonth() + 1;
-        const day = now.getDate();
-        
-        // Calculate tournament number based on 15-day periods
-        let tournamentInMonth;
-        if (day <= 15) {
-            tournamentInMonth = 1;
-        } else {
-            tournamentInMonth = 2;
+    /**
+     * Every tournament a group runs: the built-in bi-monthly one plus any created with `!wordle tournament create`
+     */
+    getGroupTournaments(groupId) {
+        return [this.defaultTournament, ...(this.groups.get(groupId)?.tournaments || [])];
+    }
+
+    async loadTournaments(groupId) {
+        const group = this.groups.get(groupId);
+        group.tournaments = await this.db.getTournaments(groupId);
+        if (group.tournaments.length > 0) {
+            console.log(`🏆 Loaded ${group.tournaments.length} custom tournaments for "${group.name}"`);
         }
-        
-        return `${year}-${month.toString().padStart(2, '0')}-T${tournamentInMonth}`;
     }
-    
-    getTournamentDateRange(tournamentId) {
-        const [year, month, tournamentPart] = tournamentId.split('-');
-        const tournamentNum = parseInt(tournamentPart.replace('T', ''));
-        const monthNum = parseInt(month);
-        
-        let startDay, endDay;
-        if (tournamentNum === 1) {
-            startDay = 1;
-            endDay = 15;
+
+    /**
+     * Today's date in a group's timezone, as a local midnight like the tournament periods
+     */
+    getGroupToday(groupId) {
+        const timezone = this.groups.get(groupId)?.timezone || this.timezone;
+        const { year, month, day } = this.calendar.getLocalTime(timezone);
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * Ranking rules for a tournament's standings in a group; players banned in the group are left out
+     */
+    getTournamentRules(tournament, groupId) {
+        const excluded = (this.groups.get(groupId)?.settings.bannedPlayers || []).map(entry => entry.playerId);
+        return { scoring: tournament.scoring, minGames: tournament.minGames, strategy: tournament.strategy || null, excluded };
+    }
+
+    formatTournamentScore(score, scoring) {
+        return scoring === 'average' ? `${Number(score).toFixed(1)} avg pts` : `${score} pts`;
+    }
+
+    /**
+     * `!wordle tournament create <format> <id> [start end] [name...] [scoring=...] [min=N] [strategy=...]`.
+     * Only custom tournaments take dates; the options after them are parsed here.
+     */
+    async createTournamentCommand(message, chatId, { format, id: rawId, dates, options = '' }) {
+        const id = rawId.toLowerCase();
+
+        // Period IDs are built as "<id>-<period>", so IDs can't contain dashes
+        if (!/^[a-z0-9_]{1,20}$/.test(id)) {
+            await this.send(chatId, { text: '❌ Tournament IDs can only use letters, numbers and _ (up to 20 characters).' });
+            return;
+        }
+
+        const archived = await this.db.getPreviousTournaments(chatId);
+        const idTaken = this.getGroupTournaments(chatId).some(tournament => tournament.id === id) ||
+            archived.some(tournament => tournament.tournamentId === id || tournament.tournamentId.startsWith(`${id}-`));
+        if (idTaken) {
+            await this.send(chatId, { text: `❌ The tournament ID "${id}" is already used in this group.` });
+            return;
+        }
+
+        if ((format === 'custom') !== Boolean(dates)) {
+            await this.send(chatId, {
+                text: format === 'custom' ?
+                    '❌ Custom tournaments need a start and end date, e.g. `2024-12-20 2024-12-31`.' :
+                    `❌ Only custom tournaments take dates; ${format} tournaments follow the calendar.`
+            });
+            return;
+        }
+        const startDate = dates?.start || null;
+        const endDate = dates?.end || null;
+        const rest = options.split(/\s+/).filter(Boolean);
+
+        let scoring = 'total';
+        let minGames = 0;
+        let strategy = null;
+        const nameWords = [];
+        for (const word of rest) {
+            const [key, value] = word.split('=');
+            if (key.toLowerCase() === 'scoring' && value !== undefined) {
+                scoring = value.toLowerCase();
+            } else if (key.toLowerCase() === 'min' && value !== undefined) {
+                minGames = Number(value);
+            } else if (key.toLowerCase() === 'strategy' && value !== undefined) {
+                strategy = value.toLowerCase();
+            } else {
+                nameWords.push(word);
+            }
+        }
+
+        if (!this.tournamentFormats.isValidScoring(scoring)) {
+            await this.send(chatId, { text: `❌ Unknown scoring rule "${scoring}". Use total, average or bestN (e.g. best5).` });
+            return;
+        }
+        if (!Number.isInteger(minGames) || minGames < 0) {
+            await this.send(chatId, { text: '❌ The minimum number of games must be a whole number.' });
+            return;
+        }
+        if (strategy !== null && !this.scoring.isValid(strategy)) {
+            await this.send(chatId, {
+                text: `❌ Unknown scoring strategy "${strategy}". Options: ${this.scoring.list().join(', ')}`
+            });
+            return;
+        }
+
+        const tournament = {
+            id,
+            groupId: chatId,
+            name: nameWords.join(' ') || id,
+            format,
+            startDate,
+            endDate,
+            scoring,
+            minGames,
+            strategy,
+            createdBy: this.getSenderId(message),
+            createdAt: new Date().toISOString()
+        };
+
+        await this.db.saveTournament(tournament);
+        this.groups.get(chatId).tournaments.push(tournament);
+        await this.logAdminAction(message, chatId, 'tournament create', `${tournament.name} (${tournament.id}, ${format})`);
+
+        const period = this.tournamentFormats.getPeriod(tournament, this.getGroupToday(chatId));
+        let reply = `🏆 Created *${tournament.name}* (${format})\n`;
+        reply += `📏 Scoring: ${this.tournamentFormats.describeScoring(scoring)}`;
+        reply += minGames > 0 ? ` | Min ${minGames} games` : '';
+        reply += strategy ? ` | ${this.scoring.getName(strategy)} points\n` : '\n';
+        if (period) {
+            reply += `📅 Current period: ${period.tournamentId} (${period.startDate.toLocaleDateString()} - ${period.endDate.toLocaleDateString()})`;
         } else {
-            startDay = 16;
-            // Get last day of month
-            endDay = new Date(parseInt(year), monthNum, 0).getDate();
+            reply += `📅 Runs ${startDate} to ${endDate}`;
         }
-        
-        const startDate = new Date(parseInt(year), monthNum - 1, startDay);
-        const endDate = new Date(parseInt(year), monthNum - 1, endDay);
-        
-        return { startDate, endDate };
+        await this.send(chatId, { text: reply });
+    }
+
+    async removeTournamentCommand(message, chatId, id) {
+        const group = this.groups.get(chatId);
+        const tournament = group.tournaments.find(t => t.id === id.toLowerCase());
+        if (!tournament) {
+            await this.send(chatId, { text: `❌ No tournament "${id}" in this group. Use \`${this.commandPrefix} tournament list\` to see them.` });
+            return;
+        }
+
+        await this.db.deleteTournament(tournament.id, chatId);
+        group.tournaments = group.tournaments.filter(t => t !== tournament);
+        await this.logAdminAction(message, chatId, 'tournament remove', `${tournament.name} (${tournament.id})`);
+        await this.send(chatId, { text: `🗑️ Removed *${tournament.name}*. Finished periods stay in the archive.` });
+    }
+
+    async sendTournamentList(chatId) {
+        const today = this.getGroupToday(chatId);
+        let message = `🏆 *Tournaments*\n\n`;
+
+        for (const tournament of this.getGroupTournaments(chatId)) {
+            const period = this.tournamentFormats.getPeriod(tournament, today);
+            message += `*${tournament.name}*${tournament.id ? ` (\`${tournament.id}\`)` : ''} - ${tournament.format}\n`;
+            message += `📏 ${this.tournamentFormats.describeScoring(tournament.scoring)}`;
+            message += tournament.minGames > 0 ? ` | Min ${tournament.minGames} games` : '';
+            message += tournament.strategy ? ` | ${this.scoring.getName(tournament.strategy)} points\n` : '\n';
+            if (period) {
+                message += `📅 Now: ${period.tournamentId} (until ${period.endDate.toLocaleDateString()})\n\n`;
+            } else {
+                message += `📅 ${tournament.startDate} to ${tournament.endDate}\n\n`;
+            }
+        }
+
+        await this.send(chatId, { text: message.trim() });
     }
     
+    /**
+     * Send the standings of one tournament period, or of every tournament running today
+     */
     async sendTournamentLeaderboard(chatId, tournamentId = null) {
         try {
-            const currentTournamentId = tournamentId || this.getCurrentTournamentId();
-            const { startDate, endDate } = this.getTournamentDateRange(currentTournamentId);
-            
-            const tournamentResults = await this.db.getTournamentResults(currentTournamentId, startDate, endDate);
+            const tournaments = this.getGroupTournaments(chatId);
+            let periods;
+            if (tournamentId) {
+                const period = this.tournamentFormats.findPeriodById(tournaments, tournamentId);
+                if (!period) {
+                    await this.send(chatId, { 
+                        text: `❌ Unknown tournament "${tournamentId}". Use \`${this.commandPrefix} tournament list\` to see this group's tournaments.` 
+                    });
+                    return;
+                }
+                periods = [period];
+            } else {
+                const today = this.getGroupToday(chatId);
+                periods = tournaments
+                    .map(tournament => this.tournamentFormats.getPeriod(tournament, today))
+                    .filter(Boolean);
+            }
             
-            if (tournamentResults.length === 0) {
-                await this.sock.sendMessage(chatId, { 
-                    text: `🏆 *Tournament ${currentTournamentId}*\n\nNo results found for this tournament period.` 
+            const sections = [];
+            const imageSections = [];
+            for (const period of periods) {
+                const { tournament } = period;
+                const tournamentResults = await this.db.getTournamentResults(
+                    period.tournamentId, period.startDate, period.endDate, chatId, this.getTournamentRules(tournament, chatId));
+                
+                let section = `🏆 *${tournament.name}*\n`;
+                section += `📅 Tournament: ${period.tournamentId}\n`;
+                section += `📆 Period: ${period.startDate.toLocaleDateString()} - ${period.endDate.toLocaleDateString()}\n`;
+                section += `📏 Scoring: ${this.tournamentFormats.describeScoring(tournament.scoring)}`;
+                section += tournament.minGames > 0 ? ` | Min ${tournament.minGames} games` : '';
+                section += tournament.strategy ? ` | ${this.scoring.getName(tournament.strategy)} points\n\n` : '\n\n';
+                
+                if (tournamentResults.length === 0) {
+                    section += `No results found for this tournament period.\n`;
+                }
+                
+                const rows = [];
+                tournamentResults.forEach((player, index) => {
+                    const medal = !player.qualified ? '•' : index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : `${index + 1}.`;
+                    const name = this.getPlayerName(player.playerId, player.player);
+                    section += `${medal} *${name}*`;
+                    section += player.qualified ? '\n' : ` _(needs ${tournament.minGames} games)_\n`;
+                    section += `   📊 ${this.formatTournamentScore(player.score, tournament.scoring)} | 🎯 ${player.gamesPlayed} games | 📈 ${player.avgScore.toFixed(1)} avg`;
+                    section += player.adjustment ? ` | ⚖️ ${player.adjustment > 0 ? '+' : ''}${player.adjustment} adj\n\n` : '\n\n';
+                    rows.push({
+                        rank: player.qualified ? index + 1 : null,
+                        name,
+                        value: this.formatTournamentScore(player.score, tournament.scoring),
+                        detail: `${player.gamesPlayed} games · ${player.avgScore.toFixed(1)} avg` +
+                            (player.adjustment ? ` · ${player.adjustment > 0 ? '+' : ''}${player.adjustment} adjusted` : '') +
+                            (player.qualified ? '' : ` · needs ${tournament.minGames} games`),
+                        faded: !player.qualified
+                    });
+                });
+                sections.push(section);
+                imageSections.push({
+                    title: tournament.name,
+                    subtitle: [
+                        `${period.tournamentId} · ${period.startDate.toLocaleDateString()} - ${period.endDate.toLocaleDateString()}`,
+                        this.tournamentFormats.describeScoring(tournament.scoring) +
+                            (tournament.minGames > 0 ? ` · Min ${tournament.minGames} games` : '') +
+                            (tournament.strategy ? ` · ${this.scoring.getName(tournament.strategy)} points` : '')
+                    ],
+                    rows,
+                    empty: 'No results yet for this period.'
                 });
-                return;
             }
             
-            let message = `🏆 *Tournament Leaderboard*\n`;
-            message += `📅 Tournament: ${currentTournamentId}\n`;
-            message += `📆 Period: ${startDate.toLocaleDateString()} - ${endDate.toLocaleDateString()}\n\n`;
-            
-            tournamentResults.forEach((player, index) => {
-                const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : `${index + 1}.`;
-                message += `${medal} *${player.player}*\n`;
-                message += `   📊 ${player.totalScore} pts | 🎯 ${player.gamesPlayed} games | 📈 ${player.avgScore.toFixed(1)} avg\n\n`;
-            });
-            
-            await this.sock.sendMessage(chatId, { text: message });
+            await this.sendImageOrText(chatId, sections.join('\n').trim(), () => this.images.renderLeaderboard(imageSections));
             
         } catch (error) {
             console.error('❌ Error sending tournament leaderboard:', error);
-            await this.sock.sendMessage(chatId, { text: '❌ Error retrieving tournament leaderboard.' });
+            await this.send(chatId, { text: '❌ Error retrieving tournament leaderboard.' });
+        }
+    }
+
+    /**
+     * Finalize every tournament period that has ended and hasn't been archived yet, then announce the latest podium.
+     * Runs on a schedule, so each period closes exactly once even across restarts.
+     */
+    async closeFinishedTournament(groupId) {
+        const group = this.groups.get(groupId);
+        const { hour, minute } = this.calendar.getLocalTime(group.timezone);
+
+        // Late results for the last day are still accepted during the grace period
+        if (hour * 60 + minute < this.getGroupSetting(groupId, 'grace') * 60) return;
+
+        const today = this.getGroupToday(groupId);
+        const archived = new Set((await this.db.getPreviousTournaments(groupId)).map(summary => summary.tournamentId));
+        const dates = (await this.db.getGroupResults(groupId, 'wordle')).map(row => String(row.date)).sort();
+        if (dates.length === 0) return;
+
+        for (const tournament of this.getGroupTournaments(groupId)) {
+            // Recurring tournaments have no periods before the one they were created in
+            const created = tournament.format !== 'custom' && tournament.createdAt
+                ? this.calendar.getDateString(group.timezone, new Date(tournament.createdAt))
+                : '';
+            const since = created > dates[0] ? created : dates[0];
+
+            // Walk back from the last finished period until an archived one (or the first result), so
+            // periods that ended while the bot was offline are closed too, oldest first
+            const periods = [];
+            let period = this.tournamentFormats.getPreviousPeriod(tournament, today);
+            while (period && !archived.has(period.tournamentId) &&
+                TournamentFormats.formatDate(period.endDate) >= since) {
+                periods.unshift(period);
+                if (tournament.format === 'custom') break;
+                period = this.tournamentFormats.getPreviousPeriod(tournament, period.startDate);
+            }
+
+            // Only the latest period is announced; older ones (after downtime, or the default
+            // tournament's history on first run) go to the archive quietly
+            for (const finished of periods) {
+                const results = await this.db.finalizeTournament(
+                    finished.tournamentId, finished.startDate, finished.endDate, groupId, this.getTournamentRules(tournament, groupId));
+                if (finished === periods[periods.length - 1] && results && results.length > 0) {
+                    await this.sendTournamentPodium(groupId, finished, results);
+                }
+            }
+        }
+    }
+
+    async sendTournamentPodium(chatId, period, results) {
+        const { tournament } = period;
+        const medals = ['🥇', '🥈', '🥉'];
+        const qualified = results.filter(player => player.qualified);
+        const totalGames = results.reduce((sum, player) => sum + player.gamesPlayed, 0);
+        const mostGames = results.reduce((best, player) => player.gamesPlayed > best.gamesPlayed ? player : best);
+        const bestAverage = results.reduce((best, player) => player.avgScore > best.avgScore ? player : best);
+
+        let message = `🏁 *${tournament.name} ${period.tournamentId} is over!*\n`;
+        message += `📆 ${period.startDate.toLocaleDateString()} - ${period.endDate.toLocaleDateString()}\n\n`;
+
+        if (qualified.length === 0) {
+            message += `Nobody played the ${tournament.minGames} games needed to qualify.\n`;
+        }
+        qualified.slice(0, 3).forEach((player, index) => {
+            message += `${medals[index]} *${this.getPlayerName(player.playerId, player.player)}*\n`;
+            message += `   📊 ${this.formatTournamentScore(player.score, tournament.scoring)} | 🎯 ${player.gamesPlayed} games | 📈 ${player.avgScore.toFixed(1)} avg\n`;
+        });
+
+        message += `\n📈 *Tournament stats:*\n`;
+        message += `👥 ${results.length} players | 🎯 ${totalGames} games\n`;
+        message += `⭐ Best average: ${this.getPlayerName(bestAverage.playerId, bestAverage.player)} (${bestAverage.avgScore.toFixed(1)})\n`;
+        message += `🔥 Most games: ${this.getPlayerName(mostGames.playerId, mostGames.player)} (${mostGames.gamesPlayed})\n`;
+
+        const champion = qualified[0];
+        if (champion) {
+            const titles = (await this.getChampionTitles(chatId)).get(champion.playerId || champion.player);
+            if (titles && titles.count > 1) {
+                message += `\n👑 That's title number ${titles.count} for ${this.getPlayerName(champion.playerId, champion.player)}!`;
+            } else {
+                message += `\n👑 Congratulations ${this.getPlayerName(champion.playerId, champion.player)} on your first title!`;
+            }
+        }
+
+        await this.send(chatId, { text: message });
+    }
+
+    /**
+     * Count tournament wins per player from the archive
+     */
+    async getChampionTitles(groupId) {
+        const titles = new Map();
+        const tournaments = await this.db.getPreviousTournaments(groupId);
+
+        for (const tournament of tournaments) {
+            if (!tournament.participants) continue;
+            const key = tournament.winnerId || tournament.winner;
+            if (!titles.has(key)) {
+                titles.set(key, { playerId: tournament.winnerId, player: tournament.winner, count: 0, tournaments: [] });
+            }
+            const entry = titles.get(key);
+            entry.count++;
+            entry.tournaments.push(tournament.tournamentId);
+        }
+
+        return titles;
+    }
+
+    async sendChampions(chatId) {
+        try {
+            const tournaments = (await this.db.getPreviousTournaments(chatId))
+                .filter(tournament => tournament.participants > 0);
+
+            if (tournaments.length === 0) {
+                await this.send(chatId, { text: '👑 No tournaments have finished yet.' });
+                return;
+            }
+
+            const titles = Array.from((await this.getChampionTitles(chatId)).values())
+                .sort((a, b) => b.count - a.count);
+
+            let message = `👑 *Hall of Champions*\n\n`;
+            titles.forEach((champion, index) => {
+                message += `${index + 1}. *${this.getPlayerName(champion.playerId, champion.player)}* - ${champion.count} title${champion.count === 1 ? '' : 's'}\n`;
+            });
+
+            message += `\n📜 *History:*\n`;
+            const definitions = this.getGroupTournaments(chatId);
+            tournaments.slice(0, 10).forEach(tournament => {
+                const scoring = this.tournamentFormats.findPeriodById(definitions, tournament.tournamentId)?.tournament.scoring;
+                message += `🏆 ${tournament.tournamentId}: ${this.getPlayerName(tournament.winnerId, tournament.winner)} (${this.formatTournamentScore(tournament.winnerScore, scoring)})\n`;
+            });
+
+            await this.send(chatId, { text: message });
+
+        } catch (error) {
+            console.error('❌ Error sending champions:', error);
+            await this.send(chatId, { text: '❌ Error retrieving champions.' });
         }
     }
     
+    /**
+     * Send one player's Wordle profile, computed from stored results in this group
+     */
+    async sendPlayerProfile(chatId, playerId) {
+        try {
+            const name = this.getPlayerName(playerId);
+            const rows = await this.db.getPlayerResults(playerId, chatId, 'wordle');
+
+            if (rows.length === 0) {
+                await this.send(chatId, { text: `👤 ${name} hasn't shared any Wordle results in this group yet.` });
+                return;
+            }
+
+            const group = this.groups.get(chatId);
+            const results = rows.map(row => this.toStatsResult(row)).sort((a, b) => a.gameNumber - b.gameNumber);
+            const stats = this.analyzer.getPlayerStats(results, this.calendar.getExpectedGameNumber(group.timezone));
+
+            let text = `👤 *Profile - ${name}*\n\n`;
+            text += `🎮 Games: ${stats.totalGames} | ✅ Solved: ${stats.solvedGames} (${stats.solveRate.toFixed(1)}%)\n`;
+            text += `📈 Avg attempts: ${stats.averageAttempts.toFixed(1)} | 📊 Avg score: ${stats.averageScore.toFixed(1)}\n`;
+            const tiles = [
+                ['Games', stats.totalGames],
+                ['Solved', `${stats.solveRate.toFixed(0)}%`],
+                ['Avg attempts', stats.averageAttempts.toFixed(1)],
+                ['Avg score', stats.averageScore.toFixed(0)]
+            ];
+
+            const leaderboard = this.withoutBanned(chatId, await this.db.getTotalLeaderboard(chatId, 'wordle'));
+            const rank = leaderboard.findIndex(entry => (entry.playerId || entry.player) === playerId);
+            if (rank !== -1) {
+                text += `🏆 Rank: #${rank + 1} of ${leaderboard.length} (${leaderboard[rank].totalScore} pts)\n`;
+                tiles.push([`Rank of ${leaderboard.length}`, `#${rank + 1}`]);
+            }
+
+            const rating = group.ratings.get(playerId);
+            if (rating) {
+                const ratingRank = Array.from(group.ratings.values()).filter(entry => entry.rating > rating.rating).length + 1;
+                text += `🎖️ Rating: ${Math.round(rating.rating)}${this.ratingSystem.isProvisional(rating.games) ? '?' : ''} (#${ratingRank})\n`;
+                tiles.push(['Rating', `${Math.round(rating.rating)}${this.ratingSystem.isProvisional(rating.games) ? '?' : ''}`]);
+            }
+
+            const relative = this.analyzer.getRelativePerformance(results, await this.getDayAverages());
+            if (relative.games > 0) {
+                text += `🎯 Relative performance: ${this.formatRelative(relative.average)} vs the day's average (${relative.games} games)\n`;
+                tiles.push(['Vs day average', `${relative.average >= 0 ? '+' : ''}${relative.average.toFixed(2)}`]);
+            }
+
+            text += `🔥 Play streak: ${stats.streaks.currentPlayStreak} (best ${stats.streaks.bestPlayStreak})\n`;
+            text += `🏅 Win streak: ${stats.streaks.currentWinStreak} (best ${stats.streaks.bestWinStreak})\n\n`;
+            tiles.push(
+                [`Play streak (best ${stats.streaks.bestPlayStreak})`, stats.streaks.currentPlayStreak],
+                [`Win streak (best ${stats.streaks.bestWinStreak})`, stats.streaks.currentWinStreak]
+            );
+
+            text += this.analyzer.generateDistributionChart(stats.distribution) + '\n';
+
+            // Ties go to the most recent game
+            const byScore = [...results].sort((a, b) => b.score.totalScore - a.score.totalScore || b.gameNumber - a.gameNumber);
+            const best = byScore[0];
+            const worst = byScore[byScore.length - 1];
+            const footer = [`Best: Wordle ${best.gameNumber} - ${best.actualAttempts}/6, ${best.score.totalScore} pts`];
+            text += `⭐ Best: Wordle ${best.gameNumber} - ${best.actualAttempts}/6, ${best.score.totalScore} pts\n`;
+            if (results.length > 1) {
+                text += `💀 Worst: Wordle ${worst.gameNumber} - ${worst.actualAttempts}/6, ${worst.score.totalScore} pts\n`;
+                footer.push(`Worst: Wordle ${worst.gameNumber} - ${worst.actualAttempts}/6, ${worst.score.totalScore} pts`);
+            }
+
+            const recent = results.slice(-10);
+            const recentAverage = recent.reduce((sum, result) => sum + result.score.totalScore, 0) / recent.length;
+            text += `\n📅 *Last ${recent.length}:* ${recent.map(result => result.actualAttempts).join(' ')}\n`;
+            text += `   Avg score ${recentAverage.toFixed(1)} (overall ${stats.averageScore.toFixed(1)}) ${recentAverage >= stats.averageScore ? '📈' : '📉'}`;
+            footer.push(`Last ${recent.length}: ${recent.map(result => result.actualAttempts).join(' ')} · avg score ${recentAverage.toFixed(1)}`);
+
+            await this.sendImageOrText(chatId, text, () => this.images.renderProfile({
+                title: name,
+                stats: tiles,
+                distribution: stats.distribution,
+                footer
+            }));
+
+        } catch (error) {
+            console.error('❌ Error sending player profile:', error);
+            await this.send(chatId, { text: '❌ Error retrieving player profile.' });
+        }
+    }
+
+    /**
+     * `!wordle vs @a @b` compares two players; with one mention the sender is the other player
+     */
+    async sendHeadToHead(chatId, playerIds) {
+        try {
+            if (playerIds[0] === playerIds[1]) {
+                await this.send(chatId, { text: '⚔️ Pick two different players to compare.' });
+                return;
+            }
+
+            const names = playerIds.map(playerId => this.getPlayerName(playerId));
+            const results = await Promise.all(playerIds.map(async playerId =>
+                (await this.db.getPlayerResults(playerId, chatId, 'wordle')).map(row => this.toStatsResult(row))));
+            const h2h = this.analyzer.compareHeadToHead(results[0], results[1]);
+
+            if (h2h.sharedGames === 0) {
+                await this.send(chatId, { text: `⚔️ ${names[0]} and ${names[1]} haven't played the same Wordle yet.` });
+                return;
+            }
+
+            let text = `⚔️ *${names[0]} vs ${names[1]}*\n`;
+            text += `🎮 ${h2h.sharedGames} shared games\n\n`;
+            text += `🏆 Record: ${h2h.wins[0]}W - ${h2h.wins[1]}L - ${h2h.draws}D\n`;
+            text += `   (${names[0]} ${h2h.wins[0]} | ${names[1]} ${h2h.wins[1]} | draws ${h2h.draws})\n\n`;
+
+            text += `📈 *Avg attempts on shared days:*\n`;
+            [0, 1].forEach(i => {
+                const fails = h2h.sharedGames - h2h.solvedGames[i];
+                text += `   ${names[i]}: ${h2h.averageAttempts[i].toFixed(2)}${fails > 0 ? ` (${fails} failed)` : ''}\n`;
+            });
+
+            text += `\n💥 *Biggest wins:*\n`;
+            [0, 1].forEach(i => {
+                const win = h2h.biggestWins[i];
+                if (!win) {
+                    text += `   ${names[i]}: none yet\n`;
+                    return;
+                }
+                const [own, other] = i === 0 ? win.results : [...win.results].reverse();
+                text += `   ${names[i]}: Wordle ${win.gameNumber} by ${win.margin} pts (${own.actualAttempts}/6 vs ${other.actualAttempts}/6)\n`;
+            });
+
+            if (h2h.streak.leader !== null) {
+                text += `\n🔥 ${names[h2h.streak.leader]} has won the last ${h2h.streak.length > 1 ? `${h2h.streak.length} meetings` : 'meeting'}`;
+            } else {
+                text += `\n🤝 Their last meeting was a draw`;
+            }
+
+            await this.send(chatId, { text });
+
+        } catch (error) {
+            console.error('❌ Error sending head-to-head:', error);
+            await this.send(chatId, { text: '❌ Error comparing players.' });
+        }
+    }
+
+    async sendRatingLeaderboard(chatId) {
+        const ratings = Array.from(this.groups.get(chatId).ratings)
+            .filter(([playerKey]) => !this.isBanned(chatId, playerKey))
+            .sort((a, b) => b[1].rating - a[1].rating);
+
+        if (ratings.length === 0) {
+            await this.send(chatId, { 
+                text: '📈 No ratings yet. Ratings update once a day\'s Wordle has closed and at least two people played it.' 
+            });
+            return;
+        }
+
+        let message = `📈 *Skill Ratings*\n\n`;
+        ratings.forEach(([playerKey, entry], index) => {
+            const rank = index + 1;
+            const medal = rank === 1 ? '🥇' : rank === 2 ? '🥈' : rank === 3 ? '🥉' : `${rank}.`;
+            const provisional = this.ratingSystem.isProvisional(entry.games) ? '?' : '';
+            const change = entry.lastDelta >= 0 ? `+${entry.lastDelta}` : `${entry.lastDelta}`;
+
+            message += `${medal} *${this.getPlayerName(playerKey, entry.player)}* - ${Math.round(entry.rating)}${provisional} (${change})\n`;
+            message += `   🎯 ${entry.games} rated games\n`;
+        });
+        message += `\n? = provisional (fewer than ${this.ratingSystem.provisionalGames} rated games)`;
+
+        await this.send(chatId, { text: message });
+    }
+
+    async sendRatingHistory(chatId, playerId) {
+        const history = await this.db.getRatingHistory(chatId, playerId);
+        const name = this.getPlayerName(playerId);
+
+        if (history.length === 0) {
+            await this.send(chatId, { text: `📉 ${name} has no rated games yet.` });
+            return;
+        }
+
+        const peak = history.reduce((best, change) => change.ratingAfter > best.ratingAfter ? change : best);
+        let text = `📉 *Rating History - ${name}*\n\n`;
+        text += `📈 Current: ${Math.round(history[history.length - 1].ratingAfter)}\n`;
+        text += `🏔️ Peak: ${Math.round(peak.ratingAfter)} (Wordle ${peak.gameNumber})\n\n`;
+
+        history.slice(-10).reverse().forEach(change => {
+            const delta = change.delta >= 0 ? `+${change.delta}` : `${change.delta}`;
+            text += `#${change.gameNumber}: ${Math.round(change.ratingBefore)} → ${Math.round(change.ratingAfter)} (${delta}) vs ${change.opponents}\n`;
+        });
+
+        await this.send(chatId, { text });
+    }
+
     async sendPreviousTournaments(chatId) {
         try {
-            const previousTournaments = await this.db.getPreviousTournaments();
+            const previousTournaments = await this.db.getPreviousTournaments(chatId);
             
             if (previousTournaments.length === 0) {
-                await this.sock.sendMessage(chatId, { text: '📜 No previous tournaments found.' });
+                await this.send(chatId, { text: '📜 No previous tournaments found.' });
                 return;
             }
             
+            const tournaments = this.getGroupTournaments(chatId);
             let message = `📜 *Previous Tournaments*\n\n`;
             
             previousTournaments.slice(0, 10).forEach((tournament, index) => {
-                message += `🏆 *${tournament.tournamentId}*\n`;
-                message += `🥇 Winner: ${tournament.winner} (${tournament.winnerScore} pts)\n`;
+                // Tournaments removed since keep their archive, shown by ID with total scoring
+                const definition = this.tournamentFormats.findPeriodById(tournaments, tournament.tournamentId)?.tournament;
+                const title = definition?.id ? `${definition.name} ${tournament.tournamentId}` : tournament.tournamentId;
+                message += `🏆 *${title}*\n`;
+                message += `🥇 Champion: ${this.getPlayerName(tournament.winnerId, tournament.winner)} (${this.formatTournamentScore(tournament.winnerScore, definition?.scoring)})\n`;
                 message += `👥 Participants: ${tournament.participants}\n\n`;
             });
             
-            await this.sock.sendMessage(chatId, { text: message });
+            await this.send(chatId, { text: message.trim() });
             
         } catch (error) {
             console.error('❌ Error sending previous tournaments:', error);
-            await this.sock.sendMessage(chatId, { text: '❌ Error retrieving previous tournaments.' });
+            await this.send(chatId, { text: '❌ Error retrieving previous tournaments.' });
         }
     }
 }
 
 // Start the bot
-const bot = new WordleWhatsAppBot();
-bot.start().catch(console.error);
\ No newline at end of file
+try {
+    const bot = new WordleWhatsAppBot();
+    bot.start().catch(console.error);
+
+    // Storage may hold back writes to batch them, so save them before exiting
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.on(signal, async () => {
+            console.log(`👋 Received ${signal}, saving pending changes...`);
+            await bot.db.flush();
+            process.exit(0);
+        });
+    }
+} catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
\ No newline at end of file
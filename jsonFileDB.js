@@ -0,0 +1,588 @@
+import fs from 'fs';
+import path from 'path';
+import { StorageBackend } from './storageBackend.js';
+import { TournamentFormats } from './tournamentFormats.js';
+import { ScoringStrategies } from './scoringStrategies.js';
+
+/**
+ * Local storage backend that keeps every table in a single JSON file.
+ * Works fully offline and needs no credentials.
+ */
+export class JsonFileDB extends StorageBackend {
+    constructor(filePath) {
+        super('JsonFileDB');
+        this.filePath = filePath;
+        this.data = null;
+        this.writeQueue = Promise.resolve();
+        this.scoring = new ScoringStrategies(); // Rescores results for tournaments with their own strategy
+    }
+
+    async initialize() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                console.log(`📂 Loaded local database: ${this.filePath}`);
+            } else {
+                this.data = {};
+                console.log(`📂 Creating new local database: ${this.filePath}`);
+            }
+
+            // Create tables if they don't exist
+            const requiredTables = ['DailyResults', 'GroupMembers', 'TournamentResults', 'Players', 'Tournaments', 'RatingHistory', 'ScoreAdjustments', 'AuditLog'];
+            for (const table of requiredTables) {
+                if (!Array.isArray(this.data[table])) {
+                    this.data[table] = [];
+                }
+            }
+
+            await this.write(this.data);
+            console.log('✅ Local JSON DB initialized successfully');
+        } catch (error) {
+            console.error('❌ Error initializing local JSON DB:', error);
+            this.data = null;
+        }
+    }
+
+    isAvailable() {
+        return this.data !== null;
+    }
+
+    /**
+     * Apply a change to a copy of the database and write the copy to disk. The change is kept in
+     * memory only once the write has succeeded, and changes are applied one at a time in order.
+     * Throws if the write fails, so callers don't report unsaved changes as saved.
+     */
+    async update(change) {
+        const run = this.writeQueue.then(async () => {
+            const draft = structuredClone(this.data);
+            const result = change(draft);
+            await this.write(draft);
+            this.data = draft;
+            return result;
+        });
+        // Later changes still run after a failed one
+        this.writeQueue = run.catch(() => {});
+
+        try {
+            return await run;
+        } catch (error) {
+            console.error(`❌ Error writing local database ${this.filePath}:`, error);
+            throw error;
+        }
+    }
+
+    // Writes go to a temp file first and are renamed into place so a crash never leaves a half-written file behind
+    async write(data) {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf8');
+        await fs.promises.rename(tempPath, this.filePath);
+    }
+
+    async flush() {
+        await this.writeQueue;
+    }
+
+    async saveWordleResult(result, groupId) {
+        if (!this.isAvailable()) {
+            console.log('⚠️  Local database not available, skipping save');
+            return;
+        }
+
+        await this.update(data => {
+            data.DailyResults.push(this.buildDailyResultRow(result, groupId));
+        });
+        console.log(`💾 Saved result to local database: ${result.player} - Game ${result.gameNumber}`);
+    }
+
+    async replaceWordleResult(result, groupId) {
+        if (!this.isAvailable()) {
+            console.log('⚠️  Local database not available, skipping save');
+            return;
+        }
+
+        const index = this.data.DailyResults.findIndex(row =>
+            row.gameNumber === result.gameNumber &&
+            row.groupId === groupId &&
+            this.getPlayerKey(row) === result.playerId &&
+            (row.game || 'wordle') === (result.game || 'wordle'));
+
+        if (index === -1) {
+            await this.saveWordleResult(result, groupId);
+            return;
+        }
+
+        await this.update(data => {
+            data.DailyResults[index] = this.buildDailyResultRow(result, groupId);
+        });
+        console.log(`♻️  Replaced result in local database: ${result.player} - Game ${result.gameNumber}`);
+    }
+
+    buildDailyResultRow(result, groupId) {
+        return {
+            date: result.date,
+            gameNumber: result.gameNumber,
+            player: result.player,
+            attempts: result.actualAttempts,
+            solved: result.solved,
+            baseScore: result.score.baseScore,
+            emojiPoints: result.score.emojiPoints,
+            totalScore: result.score.totalScore,
+            groupId,
+            playerId: result.playerId,
+            hardMode: result.hardMode || false,
+            pattern: [...result.pattern],
+            game: result.game || 'wordle'
+        };
+    }
+
+    // When a group ID is given, only rows recorded for that group match
+    matchesGroup(rowGroupId, groupId) {
+        return groupId === undefined || rowGroupId === groupId;
+    }
+
+    // Rows saved before other games were supported are Wordle results
+    matchesGame(rowGame, game) {
+        return game === undefined || (rowGame || 'wordle') === game;
+    }
+
+    // Rows recorded before player IDs existed are keyed by display name
+    getPlayerKey(row) {
+        return row.playerId || row.player;
+    }
+
+    async getPlayerResults(playerKey, groupId, game) {
+        if (!this.isAvailable()) return [];
+        return this.data.DailyResults
+            .filter(row => this.getPlayerKey(row) === playerKey &&
+                this.matchesGroup(row.groupId, groupId) &&
+                this.matchesGame(row.game, game))
+            .map(row => ({ ...row }));
+    }
+
+    async getDailyResults(gameNumber, groupId, game = 'wordle') {
+        if (!this.isAvailable()) return [];
+        return this.data.DailyResults
+            .filter(row => row.gameNumber === gameNumber &&
+                this.matchesGroup(row.groupId, groupId) &&
+                this.matchesGame(row.game, game))
+            .map(row => ({ ...row }));
+    }
+
+    async getGroupResults(groupId, game) {
+        if (!this.isAvailable()) return [];
+        return this.data.DailyResults
+            .filter(row => this.matchesGroup(row.groupId, groupId) && this.matchesGame(row.game, game))
+            .map(row => ({ ...row }));
+    }
+
+    async updateResultScores(groupId, rows) {
+        if (!this.isAvailable()) return;
+
+        const scores = new Map(rows.map(row => [`${this.getPlayerKey(row)}:${row.gameNumber}`, row]));
+        // Totals are derived from DailyResults, so there is nothing else to refresh
+        await this.update(data => {
+            for (const row of data.DailyResults) {
+                if (row.groupId !== groupId || !this.matchesGame(row.game, 'wordle')) continue;
+                const scored = scores.get(`${this.getPlayerKey(row)}:${row.gameNumber}`);
+                if (!scored) continue;
+
+                row.baseScore = scored.baseScore;
+                row.emojiPoints = scored.emojiPoints;
+                row.totalScore = scored.totalScore;
+            }
+        });
+    }
+
+    async deleteResults(groupId, gameNumber, playerKey, game = 'wordle') {
+        if (!this.isAvailable()) return 0;
+
+        const matches = row => row.groupId === groupId &&
+            row.gameNumber === gameNumber &&
+            this.matchesGame(row.game, game) &&
+            (playerKey === undefined || this.getPlayerKey(row) === playerKey);
+
+        const deleted = this.data.DailyResults.filter(matches).length;
+        if (deleted > 0) {
+            await this.update(data => {
+                data.DailyResults = data.DailyResults.filter(row => !matches(row));
+            });
+            console.log(`🗑️  Deleted ${deleted} results for game ${gameNumber} from group ${groupId}`);
+        }
+        return deleted;
+    }
+
+    async getTotalLeaderboard(groupId, game = 'wordle') {
+        if (!this.isAvailable()) return [];
+
+        // Totals are derived from DailyResults so they can never go stale
+        const players = new Map();
+        for (const row of this.data.DailyResults) {
+            if (!this.matchesGroup(row.groupId, groupId) || !this.matchesGame(row.game, game)) continue;
+            const playerKey = this.getPlayerKey(row);
+            if (!players.has(playerKey)) {
+                players.set(playerKey, []);
+            }
+            players.get(playerKey).push(row);
+        }
+
+        return Array.from(players.values())
+            .map(results => {
+                const solved = results.filter(r => r.solved);
+                const avgAttempts = solved.length > 0 ?
+                    solved.reduce((sum, r) => sum + parseInt(r.attempts), 0) / solved.length : 0;
+                return {
+                    player: results[results.length - 1].player,
+                    playerId: results[0].playerId || null,
+                    totalGames: results.length,
+                    solvedGames: solved.length,
+                    solveRate: parseFloat(((solved.length / results.length) * 100).toFixed(1)),
+                    avgAttempts: parseFloat(avgAttempts.toFixed(1)),
+                    totalScore: results.reduce((sum, r) => sum + r.totalScore, 0)
+                };
+            })
+            .sort((a, b) => b.totalScore - a.totalScore);
+    }
+
+    async updateGroupMembers(groupId, groupName, memberCount) {
+        if (!this.isAvailable()) {
+            console.log('⚠️  Local database not available, skipping group member update');
+            return;
+        }
+
+        const row = { groupId, groupName, memberCount, lastUpdated: new Date().toISOString() };
+        await this.update(data => {
+            const index = data.GroupMembers.findIndex(r => r.groupId === groupId);
+            if (index === -1) {
+                data.GroupMembers.push(row);
+            } else {
+                // Keep the group's settings
+                data.GroupMembers[index] = { ...data.GroupMembers[index], ...row };
+            }
+        });
+        console.log(`📊 Updated group members: ${groupName} (${memberCount} members)`);
+    }
+
+    async getRegisteredGroups() {
+        if (!this.isAvailable()) return [];
+        return this.data.GroupMembers.map(({ groupId, groupName, memberCount }) => ({ groupId, groupName, memberCount }));
+    }
+
+    async getGroupSettings(groupId) {
+        if (!this.isAvailable()) return {};
+        const row = this.data.GroupMembers.find(r => r.groupId === groupId);
+        return { ...(row?.settings || {}) };
+    }
+
+    async saveGroupSettings(groupId, settings) {
+        if (!this.isAvailable()) {
+            console.log('⚠️  Local database not available, skipping settings save');
+            return;
+        }
+
+        await this.update(data => {
+            const row = data.GroupMembers.find(r => r.groupId === groupId);
+            if (row) {
+                row.settings = { ...settings };
+            } else {
+                data.GroupMembers.push({ groupId, groupName: '', memberCount: 0, lastUpdated: new Date().toISOString(), settings: { ...settings } });
+            }
+        });
+        console.log(`⚙️  Saved settings for group ${groupId}`);
+    }
+
+    async assignMissingGroupIds(groupId) {
+        if (!this.isAvailable()) return;
+
+        const unassigned = data => [...data.DailyResults, ...data.TournamentResults].filter(row => !row.groupId);
+        const assigned = unassigned(this.data).length;
+
+        if (assigned > 0) {
+            await this.update(data => {
+                unassigned(data).forEach(row => { row.groupId = groupId; });
+            });
+            console.log(`🏷️  Assigned ${assigned} rows to group ${groupId}`);
+        }
+    }
+
+    async getPlayers() {
+        if (!this.isAvailable()) return [];
+        return this.data.Players.map(player => ({ ...player, aliases: [...player.aliases] }));
+    }
+
+    async savePlayer(player) {
+        if (!this.isAvailable()) {
+            console.log('⚠️  Local database not available, skipping player update');
+            return;
+        }
+
+        const row = {
+            playerId: player.playerId,
+            displayName: player.displayName,
+            nickname: player.nickname || null,
+            aliases: [...player.aliases],
+            lastUpdated: new Date().toISOString()
+        };
+        await this.update(data => {
+            const index = data.Players.findIndex(p => p.playerId === player.playerId);
+            if (index === -1) {
+                data.Players.push(row);
+            } else {
+                data.Players[index] = row;
+            }
+        });
+    }
+
+    async assignPlayerId(playerId, name) {
+        if (!this.isAvailable()) return 0;
+
+        const unclaimed = data => data.DailyResults.filter(row => !row.playerId && row.player === name);
+        const claimed = unclaimed(this.data).length;
+
+        if (claimed > 0) {
+            await this.update(data => {
+                unclaimed(data).forEach(row => { row.playerId = playerId; });
+            });
+            console.log(`🔗 Assigned ${claimed} results recorded as "${name}" to ${playerId}`);
+        }
+        return claimed;
+    }
+
+    async getGroupMemberCount(groupId) {
+        if (!this.isAvailable()) return 0;
+        const row = this.data.GroupMembers.find(r => r.groupId === groupId);
+        return row ? row.memberCount : 0;
+    }
+
+    async getTournamentResults(tournamentId, startDate, endDate, groupId, rules = {}) {
+        if (!this.isAvailable()) return [];
+
+        // Final standings are frozen and never recomputed
+        const archived = this.getArchivedStandings(tournamentId, groupId);
+        if (archived) return archived;
+
+        const adjustments = await this.getScoreAdjustments(groupId, tournamentId);
+        return TournamentFormats.rankStandings(this.computeTournamentStandings(startDate, endDate, groupId, rules.strategy), { ...rules, adjustments });
+    }
+
+    async finalizeTournament(tournamentId, startDate, endDate, groupId, rules = {}) {
+        if (!this.isAvailable()) return null;
+        if (this.getArchivedStandings(tournamentId, groupId)) return null;
+
+        const adjustments = await this.getScoreAdjustments(groupId, tournamentId);
+        const results = TournamentFormats.rankStandings(this.computeTournamentStandings(startDate, endDate, groupId, rules.strategy), { ...rules, adjustments });
+        const finalizedAt = new Date().toISOString();
+        await this.update(data => this.replaceTournamentRows(data, tournamentId, results, startDate, endDate, groupId, finalizedAt));
+        if (results.length > 0) {
+            console.log(`🏁 Finalized tournament ${tournamentId} for group ${groupId}`);
+        }
+
+        return results;
+    }
+
+    computeTournamentStandings(startDate, endDate, groupId, strategy) {
+        let rows = this.data.DailyResults.filter(row => {
+            // Tournaments are Wordle only
+            return TournamentFormats.isInPeriod(row.date, startDate, endDate) &&
+                this.matchesGroup(row.groupId, groupId) && this.matchesGame(row.game, 'wordle');
+        });
+        if (strategy) {
+            const gameNumbers = new Set(rows.map(row => row.gameNumber));
+            const allRows = this.data.DailyResults.filter(row => gameNumbers.has(row.gameNumber) && this.matchesGame(row.game, 'wordle'));
+            rows = this.scoring.scoreRows(strategy, rows, allRows);
+        }
+
+        const tournamentData = new Map();
+        for (const row of rows) {
+            const playerKey = this.getPlayerKey(row);
+            if (!tournamentData.has(playerKey)) {
+                tournamentData.set(playerKey, {
+                    player: row.player,
+                    playerId: row.playerId || null,
+                    totalScore: 0,
+                    gamesPlayed: 0,
+                    scores: []
+                });
+            }
+
+            const playerData = tournamentData.get(playerKey);
+            playerData.totalScore += row.totalScore;
+            playerData.gamesPlayed += 1;
+            playerData.scores.push(row.totalScore);
+        }
+
+        return Array.from(tournamentData.values()).map(player => ({
+            ...player,
+            avgScore: player.gamesPlayed > 0 ? player.totalScore / player.gamesPlayed : 0
+        }));
+    }
+
+    // Archived standings are the rows stamped with finalizedAt
+    getArchivedStandings(tournamentId, groupId) {
+        const rows = this.data.TournamentResults
+            .filter(r => r.tournamentId === tournamentId && r.groupId === groupId && r.finalizedAt);
+        if (rows.length === 0) return null;
+
+        return rows.map(row => this.toStanding(row)).sort(TournamentFormats.compareStandings);
+    }
+
+    // Rows saved before scoring rules existed were ranked on total score with no minimum
+    toStanding(row) {
+        return {
+            player: row.player,
+            playerId: row.playerId,
+            totalScore: row.totalScore,
+            gamesPlayed: row.gamesPlayed,
+            avgScore: row.avgScore,
+            score: row.score ?? row.totalScore,
+            qualified: row.qualified ?? true
+        };
+    }
+
+    // Replace any earlier rows of this tournament in this group (older versions saved open standings too)
+    replaceTournamentRows(data, tournamentId, results, startDate, endDate, groupId, finalizedAt) {
+        data.TournamentResults = data.TournamentResults
+            .filter(r => !(r.tournamentId === tournamentId && r.groupId === groupId));
+        for (const player of results) {
+            data.TournamentResults.push({
+                tournamentId,
+                player: player.player,
+                playerId: player.playerId,
+                totalScore: player.totalScore,
+                gamesPlayed: player.gamesPlayed,
+                avgScore: parseFloat(player.avgScore.toFixed(2)),
+                startDate: TournamentFormats.formatDate(startDate),
+                endDate: TournamentFormats.formatDate(endDate),
+                groupId,
+                finalizedAt,
+                score: player.score,
+                qualified: player.qualified
+            });
+        }
+    }
+
+    async getPreviousTournaments(groupId) {
+        if (!this.isAvailable()) return [];
+
+        const tournaments = new Map();
+        for (const row of this.data.TournamentResults) {
+            if (!this.matchesGroup(row.groupId, groupId) || !row.finalizedAt) continue;
+            if (!tournaments.has(row.tournamentId)) {
+                tournaments.set(row.tournamentId, {
+                    tournamentId: row.tournamentId,
+                    players: [],
+                    startDate: row.startDate,
+                    endDate: row.endDate
+                });
+            }
+            tournaments.get(row.tournamentId).players.push(this.toStanding(row));
+        }
+
+        return Array.from(tournaments.values())
+            .map(tournament => {
+                tournament.players.sort(TournamentFormats.compareStandings);
+                return {
+                    tournamentId: tournament.tournamentId,
+                    winner: tournament.players[0]?.player || 'No participants',
+                    winnerId: tournament.players[0]?.playerId || null,
+                    winnerScore: tournament.players[0]?.score || 0,
+                    participants: tournament.players.length,
+                    startDate: tournament.startDate,
+                    endDate: tournament.endDate
+                };
+            })
+            .sort((a, b) => b.tournamentId.localeCompare(a.tournamentId));
+    }
+
+    async getTournaments(groupId) {
+        if (!this.isAvailable()) return [];
+        return this.data.Tournaments
+            .filter(row => this.matchesGroup(row.groupId, groupId))
+            .map(row => ({ ...row }));
+    }
+
+    async saveTournament(tournament) {
+        if (!this.isAvailable()) {
+            console.log('⚠️  Local database not available, skipping tournament save');
+            return;
+        }
+
+        await this.update(data => {
+            const index = data.Tournaments.findIndex(t => t.id === tournament.id && t.groupId === tournament.groupId);
+            if (index === -1) {
+                data.Tournaments.push({ ...tournament });
+            } else {
+                data.Tournaments[index] = { ...tournament };
+            }
+        });
+        console.log(`🏆 Saved tournament ${tournament.id} for group ${tournament.groupId}`);
+    }
+
+    async deleteTournament(id, groupId) {
+        if (!this.isAvailable()) return;
+
+        await this.update(data => {
+            data.Tournaments = data.Tournaments.filter(t => !(t.id === id && t.groupId === groupId));
+        });
+        console.log(`🗑️  Removed tournament ${id} from group ${groupId}`);
+    }
+
+    async getScoreAdjustments(groupId, tournamentId) {
+        if (!this.isAvailable()) return [];
+        return this.data.ScoreAdjustments
+            .filter(row => row.groupId === groupId && row.tournamentId === tournamentId)
+            .map(row => ({ ...row }));
+    }
+
+    async saveScoreAdjustment(adjustment) {
+        if (!this.isAvailable()) {
+            console.log('⚠️  Local database not available, skipping score adjustment');
+            return;
+        }
+
+        await this.update(data => {
+            data.ScoreAdjustments.push({ ...adjustment });
+        });
+        console.log(`⚖️  Adjusted ${adjustment.player} by ${adjustment.points} in ${adjustment.tournamentId}`);
+    }
+
+    async getAuditLog(groupId, limit) {
+        if (!this.isAvailable()) return [];
+        const entries = this.data.AuditLog
+            .filter(row => row.groupId === groupId)
+            .map(row => ({ ...row }))
+            .reverse();
+        return limit ? entries.slice(0, limit) : entries;
+    }
+
+    async appendAuditLog(entry) {
+        if (!this.isAvailable()) return;
+
+        await this.update(data => {
+            data.AuditLog.push({ ...entry });
+        });
+    }
+
+    async getRatingHistory(groupId, playerKey) {
+        if (!this.isAvailable()) return [];
+        return this.data.RatingHistory
+            .filter(row => this.matchesGroup(row.groupId, groupId) && (playerKey === undefined || row.playerKey === playerKey))
+            .map(row => ({ ...row }))
+            .sort((a, b) => a.gameNumber - b.gameNumber);
+    }
+
+    async saveRatingChanges(changes, groupId) {
+        if (!this.isAvailable()) {
+            console.log('⚠️  Local database not available, skipping rating update');
+            return;
+        }
+
+        const updatedAt = new Date().toISOString();
+        await this.update(data => {
+            for (const change of changes) {
+                data.RatingHistory.push({ ...change, groupId, updatedAt });
+            }
+        });
+        console.log(`📈 Saved ${changes.length} rating changes for group ${groupId}`);
+    }
+}
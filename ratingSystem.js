@@ -0,0 +1,61 @@
+/**
+ * Elo-style skill rating where each day's puzzle is a match between everyone who played it.
+ * A match is scored as a head-to-head against every other player (higher daily score wins,
+ * equal scores draw), so the rating reflects who you beat rather than how often you play.
+ * New players move faster until their rating has settled.
+ */
+export class RatingSystem {
+    constructor(options = {}) {
+        this.initialRating = options.initialRating ?? 1500;
+        this.kFactor = options.kFactor ?? 32;
+        this.provisionalKFactor = options.provisionalKFactor ?? 64;
+        this.provisionalGames = options.provisionalGames ?? 10; // Rated games before a rating counts as settled
+    }
+
+    /**
+     * Chance that a player rated ratingA beats a player rated ratingB
+     */
+    expectedScore(ratingA, ratingB) {
+        return 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+    }
+
+    isProvisional(games) {
+        return games < this.provisionalGames;
+    }
+
+    /**
+     * Rate one match. Players are { playerKey, player, totalScore }; ratings maps a player key
+     * to { rating, games } and is left unchanged. Returns one change per player:
+     * { playerKey, player, ratingBefore, ratingAfter, delta, opponents }.
+     * Matches with fewer than two players don't change anything and return [].
+     */
+    rateMatch(players, ratings) {
+        if (players.length < 2) return [];
+
+        const current = players.map(entry => ratings.get(entry.playerKey) || { rating: this.initialRating, games: 0 });
+        const opponents = players.length - 1;
+
+        return players.map((entry, i) => {
+            let actual = 0;
+            let expected = 0;
+            players.forEach((other, j) => {
+                if (i === j) return;
+                actual += entry.totalScore > other.totalScore ? 1 : entry.totalScore === other.totalScore ? 0.5 : 0;
+                expected += this.expectedScore(current[i].rating, current[j].rating);
+            });
+
+            // Spread K over the opponents so a big group doesn't swing ratings more than a small one
+            const kFactor = this.isProvisional(current[i].games) ? this.provisionalKFactor : this.kFactor;
+            const delta = parseFloat(((kFactor / opponents) * (actual - expected)).toFixed(1));
+
+            return {
+                playerKey: entry.playerKey,
+                player: entry.player,
+                ratingBefore: current[i].rating,
+                ratingAfter: parseFloat((current[i].rating + delta).toFixed(1)),
+                delta,
+                opponents
+            };
+        });
+    }
+}
@@ -0,0 +1,110 @@
+/**
+ * Runs jobs on cron-style schedules ("minute hour day-of-month month day-of-week"),
+ * each evaluated in its own timezone. Supports *, numbers, lists (1,15), ranges (1-5)
+ * and steps (*\/10).
+ */
+export class Scheduler {
+    constructor(calendar) {
+        this.calendar = calendar;
+        this.jobs = new Map();
+        this.timer = null;
+        this.fieldRanges = [
+            [0, 59], // minute
+            [0, 23], // hour
+            [1, 31], // day of month
+            [1, 12], // month
+            [0, 6]   // day of week (0 = Sunday)
+        ];
+    }
+
+    /**
+     * Add or replace a job. Throws if the cron expression is invalid.
+     */
+    addJob(id, cron, timezone, task) {
+        this.jobs.set(id, {
+            id,
+            cron,
+            timezone,
+            task,
+            fields: this.parseCron(cron),
+            lastRun: null
+        });
+        console.log(`⏰ Scheduled "${id}" at "${cron}" (${timezone})`);
+    }
+
+    removeJob(id) {
+        this.jobs.delete(id);
+    }
+
+    start() {
+        if (this.timer) return;
+
+        // Check twice a minute; lastRun makes sure a job runs at most once per matching minute
+        this.timer = setInterval(() => this.tick(), 30 * 1000);
+        console.log('⏰ Scheduler started');
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async tick(now = new Date()) {
+        for (const job of this.jobs.values()) {
+            const local = this.calendar.getLocalTime(job.timezone, now);
+            const minuteKey = `${local.year}-${local.month}-${local.day} ${local.hour}:${local.minute}`;
+            if (job.lastRun === minuteKey || !this.matches(job.fields, local)) continue;
+
+            job.lastRun = minuteKey;
+            try {
+                console.log(`⏰ Running scheduled job "${job.id}"`);
+                await job.task();
+            } catch (error) {
+                console.error(`❌ Error in scheduled job "${job.id}":`, error);
+            }
+        }
+    }
+
+    matches(fields, local) {
+        const weekday = new Date(Date.UTC(local.year, local.month - 1, local.day)).getUTCDay();
+        const values = [local.minute, local.hour, local.day, local.month, weekday];
+        return fields.every((allowed, i) => allowed.has(values[i]));
+    }
+
+    parseCron(expression) {
+        const parts = expression.trim().split(/\s+/);
+        if (parts.length !== 5) {
+            throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+        }
+
+        return parts.map((part, i) => {
+            const [min, max] = this.fieldRanges[i];
+            const allowed = new Set();
+
+            for (const item of part.split(',')) {
+                const [range, stepStr] = item.split('/');
+                const step = stepStr === undefined ? 1 : parseInt(stepStr);
+                let start, end;
+
+                if (range === '*') {
+                    [start, end] = [min, max];
+                } else if (range.includes('-')) {
+                    [start, end] = range.split('-').map(Number);
+                } else {
+                    start = Number(range);
+                    end = stepStr === undefined ? start : max;
+                }
+
+                if (![start, end, step].every(Number.isInteger) || start < min || end > max || start > end || step < 1) {
+                    throw new Error(`Invalid cron expression "${expression}": bad field "${part}"`);
+                }
+
+                for (let value = start; value <= end; value += step) {
+                    allowed.add(value);
+                }
+            }
+
+            return allowed;
+        });
+    }
+}
@@ -0,0 +1,176 @@
+/**
+ * Named ways of turning a Wordle result into points. A group's stored scores always follow its
+ * current strategy (switching rescores them), and a tournament can rank its players under another.
+ * Some strategies depend on everyone's results for the same puzzle, so a day's scores can
+ * change until the puzzle closes.
+ */
+export class ScoringStrategies {
+    constructor() {
+        this.baseScores = {
+            1: 600,
+            2: 500,
+            3: 400,
+            4: 300,
+            5: 200,
+            6: 100,
+            'X': 0
+        };
+
+        this.emojiPoints = {
+            '🟩': 2,  // Green
+            '🟨': 1,  // Yellow
+            '⬛': 0   // Black
+        };
+
+        this.hardModeBonus = 100;
+        this.typicalAverage = 4; // Average attempts (fails as 7) on an ordinary day
+        this.participationStep = 0.1; // Extra share of the attempt points per other player that day
+        this.maxParticipationBonus = 1;
+
+        this.strategies = {
+            classic: { name: 'Classic', usesDay: false },
+            'attempts-only': { name: 'Attempts only', usesDay: false },
+            difficulty: { name: 'Difficulty-normalised', usesDay: true },
+            'hard-mode': { name: 'Hard mode bonus', usesDay: false },
+            participation: { name: 'Participation-weighted', usesDay: true }
+        };
+    }
+
+    isValid(strategyId) {
+        return Object.hasOwn(this.strategies, strategyId);
+    }
+
+    getName(strategyId) {
+        return this.strategies[strategyId]?.name || strategyId;
+    }
+
+    /**
+     * Whether scores under a strategy depend on the other results for the same puzzle
+     */
+    usesDay(strategyId) {
+        return this.strategies[strategyId]?.usesDay || false;
+    }
+
+    list() {
+        return Object.keys(this.strategies);
+    }
+
+    /**
+     * Score one result ({ actualAttempts or attempts, solved, pattern, hardMode }).
+     * day is { average, players } for the puzzle; strategies that don't need it ignore it.
+     * Stored results saved without their grid keep the emojiPoints they were saved with,
+     * since there is nothing to recount them from.
+     */
+    scoreResult(strategyId, result, day = {}) {
+        const attemptsStr = result.solved ? String(result.actualAttempts ?? result.attempts) : 'X';
+        let baseScore = this.baseScores[attemptsStr] || 0;
+        let emojiPoints = 0;
+        let hardModeBonus = 0;
+
+        if (!this.hasPattern(result)) {
+            emojiPoints = Number(result.emojiPoints) || 0;
+        }
+        for (const line of result.pattern || []) {
+            // Split the line properly to handle Unicode
+            for (const emoji of [...line]) {
+                emojiPoints += this.emojiPoints[emoji] || 0;
+            }
+        }
+
+        switch (strategyId) {
+            case 'attempts-only':
+                if (this.hasPattern(result)) emojiPoints = 0;
+                break;
+            case 'difficulty':
+                baseScore = Math.round(baseScore * (day.average ?? this.typicalAverage) / this.typicalAverage);
+                break;
+            case 'hard-mode':
+                hardModeBonus = result.hardMode && result.solved ? this.hardModeBonus : 0;
+                break;
+            case 'participation': {
+                const others = Math.max(0, (day.players ?? 1) - 1);
+                baseScore = Math.round(baseScore * (1 + Math.min(this.maxParticipationBonus, others * this.participationStep)));
+                break;
+            }
+        }
+
+        return {
+            baseScore,
+            emojiPoints,
+            hardModeBonus,
+            totalScore: baseScore + emojiPoints + hardModeBonus
+        };
+    }
+
+    hasPattern(result) {
+        return (result.pattern || []).length > 0;
+    }
+
+    /**
+     * Each puzzle's { average, players } from result rows: players counts the rows (from one
+     * group) and the average comes from allRows (from every group), which default to the rows
+     */
+    getDays(rows, allRows = rows) {
+        const days = new Map();
+        const getDay = gameNumber => {
+            if (!days.has(gameNumber)) {
+                days.set(gameNumber, { total: 0, count: 0, players: 0 });
+            }
+            return days.get(gameNumber);
+        };
+
+        allRows.forEach(row => {
+            const day = getDay(row.gameNumber);
+            day.total += row.solved ? parseInt(row.attempts) : 7;
+            day.count++;
+        });
+        rows.forEach(row => getDay(row.gameNumber).players++);
+
+        return new Map(Array.from(days, ([gameNumber, day]) => [gameNumber, {
+            average: day.count > 0 ? day.total / day.count : undefined,
+            players: day.players
+        }]));
+    }
+
+    /**
+     * Rescore stored result rows from one group (see getDays for allRows).
+     * Returns copies of the rows with baseScore, emojiPoints and totalScore replaced.
+     */
+    scoreRows(strategyId, rows, allRows = rows) {
+        const days = this.getDays(rows, allRows);
+
+        return rows.map(row => {
+            const score = this.scoreResult(strategyId, row, days.get(row.gameNumber));
+            return { ...row, baseScore: score.baseScore, emojiPoints: score.emojiPoints, totalScore: score.totalScore };
+        });
+    }
+
+    /**
+     * Help text lines explaining a strategy
+     */
+    describe(strategyId) {
+        const lines = Object.entries(this.baseScores).map(([attempts, points]) => attempts === 'X' ?
+            `• Failed (X): ${points} points` :
+            `• ${attempts} attempt${attempts === '1' ? '' : 's'}: ${points} points`);
+        const bonus = `• Bonus: 🟩/🟧 = +${this.emojiPoints['🟩']} pts, 🟨/🟦 = +${this.emojiPoints['🟨']} pt`;
+
+        switch (strategyId) {
+            case 'attempts-only':
+                lines.push('• No bonus points, so equal attempts tie');
+                break;
+            case 'difficulty':
+                lines.push(`• Attempt points × the day's average attempts ÷ ${this.typicalAverage} (fails count as 7), so hard days are worth more`, bonus);
+                break;
+            case 'hard-mode':
+                lines.push(bonus, `• Hard mode (*) solve: +${this.hardModeBonus} pts`);
+                break;
+            case 'participation':
+                lines.push(`• Attempt points +${this.participationStep * 100}% for every other player that day (up to +${this.maxParticipationBonus * 100}%)`, bonus);
+                break;
+            default:
+                lines.push(bonus);
+        }
+
+        return lines;
+    }
+}
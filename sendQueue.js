@@ -0,0 +1,220 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Outbound message queue. Every message the bot sends goes through here so that:
+ * - messages to the same chat go out one at a time, in the order they were queued
+ * - each chat is rate limited (a minimum gap between messages and a per-minute cap)
+ * - transient failures are retried with exponential backoff, without letting later messages overtake
+ * - nothing is sent while disconnected, and the queue is saved to disk so messages survive
+ *   a reconnect or restart
+ */
+export class SendQueue {
+    /**
+     * send(chatId, content, options) delivers one message (the socket's sendMessage).
+     * Settings are Config.defaults.sendQueue: { path, minIntervalMs, maxPerMinute, maxAttempts, retryDelayMs }.
+     */
+    constructor(send, settings) {
+        this.send = send;
+        this.filePath = settings.path;
+        this.minIntervalMs = settings.minIntervalMs;
+        this.maxPerMinute = settings.maxPerMinute;
+        this.maxAttempts = settings.maxAttempts;
+        this.retryDelayMs = settings.retryDelayMs;
+        this.chats = new Map(); // chatId -> { items: [queued messages, oldest first], sending, sentAt: [attempt times in the last minute] }
+        this.connected = false;
+        this.loaded = false;
+        this.timer = null;
+        this.nextId = 1;
+        this.writeQueue = Promise.resolve();
+        this.networkErrorCodes = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH'];
+    }
+
+    /**
+     * Restore messages that were still queued when the bot last stopped. Only reads the file once.
+     */
+    load() {
+        if (this.loaded) return;
+        this.loaded = true;
+
+        try {
+            if (!fs.existsSync(this.filePath)) return;
+            const items = JSON.parse(fs.readFileSync(this.filePath, 'utf8'), (key, value) =>
+                value?.$bytes !== undefined ? Buffer.from(value.$bytes, 'base64') : value);
+            for (const item of items) {
+                this.getChat(item.chatId).items.push(item);
+                this.nextId = Math.max(this.nextId, item.id + 1);
+            }
+            if (items.length > 0) {
+                console.log(`📮 Restored ${items.length} queued messages from ${this.filePath}`);
+            }
+        } catch (error) {
+            console.error(`❌ Error reading send queue ${this.filePath}:`, error);
+        }
+    }
+
+    getChat(chatId) {
+        if (!this.chats.has(chatId)) {
+            this.chats.set(chatId, { items: [], sending: false, sentAt: [] });
+        }
+        return this.chats.get(chatId);
+    }
+
+    /**
+     * Queue a message. Resolves once it is saved, not when it is delivered.
+     * fallback is sent instead if the message keeps failing (e.g. the text version of an image).
+     */
+    async enqueue(chatId, content, options = {}, fallback = null) {
+        // Only the key and content of a quoted message are needed, and they keep the saved queue small
+        const { quoted, ...rest } = options;
+        const item = {
+            id: this.nextId++,
+            chatId,
+            content,
+            options: quoted ? { ...rest, quoted: { key: quoted.key, message: quoted.message } } : rest,
+            fallback,
+            attempts: 0,
+            notBefore: 0,
+            queuedAt: Date.now()
+        };
+
+        this.getChat(chatId).items.push(item);
+        await this.persist();
+        this.pump();
+    }
+
+    /**
+     * Start sending again after connecting. Backoff from failures while disconnected is dropped.
+     */
+    resume() {
+        this.connected = true;
+        for (const chat of this.chats.values()) {
+            if (chat.items[0]) chat.items[0].notBefore = 0;
+        }
+        const pending = this.size();
+        if (pending > 0) {
+            console.log(`📮 Connected, sending ${pending} queued messages`);
+        }
+        this.pump();
+    }
+
+    pause() {
+        this.connected = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    size() {
+        return Array.from(this.chats.values()).reduce((total, chat) => total + chat.items.length, 0);
+    }
+
+    /**
+     * Send the next message of every chat that is ready, then wake up when the next one will be
+     */
+    pump() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.connected) return;
+
+        const now = Date.now();
+        let wakeAt = Infinity;
+
+        for (const [chatId, chat] of this.chats) {
+            if (chat.sending) continue;
+            chat.sentAt = chat.sentAt.filter(time => now - time < 60000);
+            if (chat.items.length === 0) {
+                if (chat.sentAt.length === 0) this.chats.delete(chatId);
+                continue;
+            }
+
+            const readyAt = this.getReadyTime(chat);
+            if (readyAt <= now) {
+                this.sendNext(chat);
+            } else {
+                wakeAt = Math.min(wakeAt, readyAt);
+            }
+        }
+
+        if (wakeAt !== Infinity) {
+            this.timer = setTimeout(() => this.pump(), wakeAt - now);
+        }
+    }
+
+    /**
+     * When a chat's next message may be sent: after its retry backoff, the minimum gap since
+     * the last message, and a minute after the oldest message once the per-minute cap is reached
+     */
+    getReadyTime(chat) {
+        let readyAt = chat.items[0].notBefore;
+        if (chat.sentAt.length > 0) {
+            readyAt = Math.max(readyAt, chat.sentAt[chat.sentAt.length - 1] + this.minIntervalMs);
+        }
+        if (chat.sentAt.length >= this.maxPerMinute) {
+            readyAt = Math.max(readyAt, chat.sentAt[chat.sentAt.length - this.maxPerMinute] + 60000);
+        }
+        return readyAt;
+    }
+
+    async sendNext(chat) {
+        const item = chat.items[0];
+        chat.sending = true;
+        chat.sentAt.push(Date.now());
+
+        try {
+            await this.send(item.chatId, item.content, item.options);
+            chat.items.shift();
+        } catch (error) {
+            item.attempts++;
+            if (this.isTransient(error) && item.attempts < this.maxAttempts) {
+                const delay = this.retryDelayMs * 2 ** (item.attempts - 1);
+                item.notBefore = Date.now() + delay;
+                console.log(`⚠️  Sending to ${item.chatId} failed (${error.message}), retry ${item.attempts} in ${Math.round(delay / 1000)}s`);
+            } else if (item.fallback) {
+                console.log(`⚠️  Sending to ${item.chatId} failed (${error.message}), sending the fallback instead`);
+                Object.assign(item, { content: item.fallback, fallback: null, attempts: 0, notBefore: 0 });
+            } else {
+                console.error(`❌ Dropped a message to ${item.chatId} after ${item.attempts} attempts:`, error);
+                chat.items.shift();
+            }
+        }
+
+        chat.sending = false;
+        await this.persist();
+        this.pump();
+    }
+
+    /**
+     * Failures worth retrying: dropped connections (428), timeouts (408), rate limits (429),
+     * server errors and low-level network errors. Anything else, such as a TypeError from a
+     * bad payload, would fail the same way every time.
+     */
+    isTransient(error) {
+        const status = error?.output?.statusCode ?? error?.data?.statusCode;
+        if (status !== undefined) {
+            return status >= 500 || [408, 428, 429].includes(status);
+        }
+        return this.networkErrorCodes.includes(error?.code);
+    }
+
+    /**
+     * Save every queued message, oldest first. Buffers (images) are stored as base64.
+     * Writes go to a temp file that is renamed into place, like JsonFileDB.
+     */
+    async persist() {
+        const items = Array.from(this.chats.values()).flatMap(chat => chat.items).sort((a, b) => a.id - b.id);
+        const snapshot = JSON.stringify(items, function (key, value) {
+            const raw = this[key];
+            return raw instanceof Uint8Array ? { $bytes: Buffer.from(raw).toString('base64') } : value;
+        });
+
+        this.writeQueue = this.writeQueue.then(async () => {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.promises.writeFile(tempPath, snapshot, 'utf8');
+            await fs.promises.rename(tempPath, this.filePath);
+        }).catch(error => {
+            console.error(`❌ Error writing send queue ${this.filePath}:`, error);
+        });
+        return this.writeQueue;
+    }
+}
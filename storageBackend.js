@@ -0,0 +1,249 @@
+/**
+ * Base class for every storage backend used by the bot.
+ * Backends extend this class and override all of the methods below,
+ * so the bot can switch between Google Sheets and local storage without
+ * any changes to the message handling code.
+ * Methods that change data throw when the change can't be saved, so callers
+ * never report an unsaved change as saved.
+ */
+export class StorageBackend {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Connect to the underlying storage and create any missing tables
+     */
+    async initialize() {
+        throw new Error(`${this.name}: initialize() not implemented`);
+    }
+
+    /**
+     * Check if the backend is ready to read and write
+     */
+    isAvailable() {
+        return false;
+    }
+
+    /**
+     * Wait until every change made so far is written to the underlying storage
+     */
+    async flush() {
+        throw new Error(`${this.name}: flush() not implemented`);
+    }
+
+    /**
+     * Save a parsed puzzle result for a group and refresh the player's totals.
+     * The result's game field says which puzzle it is for ('wordle' when missing).
+     */
+    async saveWordleResult(result, groupId) {
+        throw new Error(`${this.name}: saveWordleResult() not implemented`);
+    }
+
+    /**
+     * Overwrite a player's existing result for the same game in a group, saving it as new if there is none
+     */
+    async replaceWordleResult(result, groupId) {
+        throw new Error(`${this.name}: replaceWordleResult() not implemented`);
+    }
+
+    /**
+     * Get every stored result for a player, optionally limited to one group and game.
+     * Players are identified by their ID, or by name for results recorded before IDs existed.
+     */
+    async getPlayerResults(playerKey, groupId, game) {
+        throw new Error(`${this.name}: getPlayerResults() not implemented`);
+    }
+
+    /**
+     * Get every stored result for a puzzle number of a game, optionally limited to one group
+     */
+    async getDailyResults(gameNumber, groupId, game = 'wordle') {
+        throw new Error(`${this.name}: getDailyResults() not implemented`);
+    }
+
+    /**
+     * Get every stored result for a group, optionally limited to one game
+     */
+    async getGroupResults(groupId, game) {
+        throw new Error(`${this.name}: getGroupResults() not implemented`);
+    }
+
+    /**
+     * Overwrite the scores of a group's stored Wordle results, matched by player and game number,
+     * and refresh the players' totals. Rows are results with new baseScore, emojiPoints and totalScore.
+     */
+    async updateResultScores(groupId, rows) {
+        throw new Error(`${this.name}: updateResultScores() not implemented`);
+    }
+
+    /**
+     * Delete a group's results for a puzzle number of a game, optionally only one player's,
+     * and refresh the affected players' totals. Returns how many results were deleted.
+     */
+    async deleteResults(groupId, gameNumber, playerKey, game = 'wordle') {
+        throw new Error(`${this.name}: deleteResults() not implemented`);
+    }
+
+    /**
+     * Get the all-time leaderboard of a game, sorted by total score, optionally limited to one group
+     */
+    async getTotalLeaderboard(groupId, game = 'wordle') {
+        throw new Error(`${this.name}: getTotalLeaderboard() not implemented`);
+    }
+
+    /**
+     * Store the member count of a group
+     */
+    async updateGroupMembers(groupId, groupName, memberCount) {
+        throw new Error(`${this.name}: updateGroupMembers() not implemented`);
+    }
+
+    /**
+     * Get every group the bot has served, with its last known member count
+     */
+    async getRegisteredGroups() {
+        throw new Error(`${this.name}: getRegisteredGroups() not implemented`);
+    }
+
+    /**
+     * Get a group's saved settings, or an empty object if none were saved
+     */
+    async getGroupSettings(groupId) {
+        throw new Error(`${this.name}: getGroupSettings() not implemented`);
+    }
+
+    /**
+     * Save a group's settings, replacing any saved before
+     */
+    async saveGroupSettings(groupId, settings) {
+        throw new Error(`${this.name}: saveGroupSettings() not implemented`);
+    }
+
+    /**
+     * Attribute results saved before multi-group support to a group
+     */
+    async assignMissingGroupIds(groupId) {
+        throw new Error(`${this.name}: assignMissingGroupIds() not implemented`);
+    }
+
+    /**
+     * Get every known player with their display name, nickname and aliases
+     */
+    async getPlayers() {
+        throw new Error(`${this.name}: getPlayers() not implemented`);
+    }
+
+    /**
+     * Create or update a player record
+     */
+    async savePlayer(player) {
+        throw new Error(`${this.name}: savePlayer() not implemented`);
+    }
+
+    /**
+     * Attach a player ID to results recorded under a name without one, returning how many were claimed
+     */
+    async assignPlayerId(playerId, name) {
+        throw new Error(`${this.name}: assignPlayerId() not implemented`);
+    }
+
+    /**
+     * Get the stored member count of a group
+     */
+    async getGroupMemberCount(groupId) {
+        throw new Error(`${this.name}: getGroupMemberCount() not implemented`);
+    }
+
+    /**
+     * Compute and rank the live standings for a tournament period in a group, without saving them. Rules are the
+     * tournament's { scoring, minGames, excluded } (see TournamentFormats.rankStandings), plus an optional
+     * strategy to rescore the period's results with (see ScoringStrategies).
+     * Score adjustments saved for the period are added to the ranked scores.
+     * Once a tournament is finalized its archived standings are returned instead.
+     */
+    async getTournamentResults(tournamentId, startDate, endDate, groupId, rules = {}) {
+        throw new Error(`${this.name}: getTournamentResults() not implemented`);
+    }
+
+    /**
+     * Freeze the final standings of a tournament in the archive. Returns the standings
+     * the first time, and null if the tournament was already finalized.
+     */
+    async finalizeTournament(tournamentId, startDate, endDate, groupId, rules = {}) {
+        throw new Error(`${this.name}: finalizeTournament() not implemented`);
+    }
+
+    /**
+     * Get summaries of all finalized tournaments in a group, most recent first
+     */
+    async getPreviousTournaments(groupId) {
+        throw new Error(`${this.name}: getPreviousTournaments() not implemented`);
+    }
+
+    /**
+     * Get the tournament definitions created in a group
+     */
+    async getTournaments(groupId) {
+        throw new Error(`${this.name}: getTournaments() not implemented`);
+    }
+
+    /**
+     * Create or update a tournament definition
+     * ({ id, groupId, name, format, startDate, endDate, scoring, minGames, strategy, createdBy, createdAt })
+     */
+    async saveTournament(tournament) {
+        throw new Error(`${this.name}: saveTournament() not implemented`);
+    }
+
+    /**
+     * Delete a tournament definition. Its archived standings are kept.
+     */
+    async deleteTournament(id, groupId) {
+        throw new Error(`${this.name}: deleteTournament() not implemented`);
+    }
+
+    /**
+     * Get the manual score adjustments made to a tournament period in a group
+     */
+    async getScoreAdjustments(groupId, tournamentId) {
+        throw new Error(`${this.name}: getScoreAdjustments() not implemented`);
+    }
+
+    /**
+     * Save a manual score adjustment
+     * ({ groupId, tournamentId, playerKey, player, points, reason, adminId, createdAt })
+     */
+    async saveScoreAdjustment(adjustment) {
+        throw new Error(`${this.name}: saveScoreAdjustment() not implemented`);
+    }
+
+    /**
+     * Get a group's recorded admin actions, most recent first, optionally only the last few
+     */
+    async getAuditLog(groupId, limit) {
+        throw new Error(`${this.name}: getAuditLog() not implemented`);
+    }
+
+    /**
+     * Record an admin action ({ groupId, adminId, admin, action, details, createdAt })
+     */
+    async appendAuditLog(entry) {
+        throw new Error(`${this.name}: appendAuditLog() not implemented`);
+    }
+
+    /**
+     * Get stored rating changes in a group, oldest game first, optionally limited to one player
+     */
+    async getRatingHistory(groupId, playerKey) {
+        throw new Error(`${this.name}: getRatingHistory() not implemented`);
+    }
+
+    /**
+     * Append the rating changes from rated games
+     * ({ gameNumber, playerKey, player, ratingBefore, ratingAfter, delta, opponents })
+     */
+    async saveRatingChanges(changes, groupId) {
+        throw new Error(`${this.name}: saveRatingChanges() not implemented`);
+    }
+}
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CommandRegistry } from '../commandRegistry.js';
+import { GameRegistry } from '../gameRegistry.js';
+import { WordleAnalyzer } from '../wordleAnalyzer.js';
+
+const registry = new CommandRegistry(new GameRegistry(new WordleAnalyzer()));
+registry.register({
+    name: 'leaderboard',
+    aliases: ['lb'],
+    description: 'Show the leaderboard',
+    emoji: '🏆',
+    args: [{ name: 'game', type: 'game', optional: true }, { name: 'gameNumber', type: 'number', label: 'puzzle#', optional: true }],
+    run: () => {}
+});
+registry.register({
+    name: 'admin',
+    description: 'Admin tools',
+    emoji: '🛡️',
+    permission: 'admin',
+    subcommands: [
+        { name: 'ban', description: 'Ban a player', args: [{ name: 'player', type: 'mention' }, { name: 'reason', type: 'text', optional: true }], run: () => {} },
+        { name: 'period', description: 'Set dates', args: [{ name: 'range', type: 'dateRange' }], run: () => {} },
+        { name: 'mode', description: 'Set mode', permission: 'owner', args: [{ name: 'mode', type: 'choice', choices: ['on', 'off'] }], run: () => {} }
+    ]
+});
+
+test('commands resolve by name or alias, with subcommands', () => {
+    assert.equal(registry.resolve(['LB', '1234']).command.name, 'leaderboard');
+    assert.deepEqual(registry.resolve(['lb', '1234']).words, ['1234']);
+
+    const { command, words } = registry.resolve(['admin', 'ban', '@ann']);
+    assert.equal(command.path, 'admin ban');
+    assert.equal(command.permission, 'admin');
+    assert.deepEqual(words, ['@ann']);
+    assert.equal(registry.resolve(['admin', 'mode', 'on']).command.permission, 'owner');
+});
+
+test('unknown commands suggest the closest one', () => {
+    const { unknown, suggestion } = registry.resolve(['leaderbord']);
+    assert.equal(unknown, 'leaderbord');
+    assert.equal(suggestion.name, 'leaderboard');
+    assert.equal(registry.suggest('xyz'), null);
+    assert.equal(registry.suggest('bann', registry.get('admin')).name, 'ban');
+});
+
+test('optional arguments are skipped when the word is not of their type', () => {
+    const leaderboard = registry.get('leaderboard');
+    assert.deepEqual(registry.parseArgs(leaderboard, ['1234']), { args: { gameNumber: 1234 } });
+    assert.deepEqual(registry.parseArgs(leaderboard, ['connections', '500']), { args: { game: 'connections', gameNumber: 500 } });
+    assert.deepEqual(registry.parseArgs(leaderboard, []), { args: {} });
+    assert.deepEqual(registry.parseArgs(leaderboard, ['1234', 'extra']), { error: 'Unexpected "extra"' });
+});
+
+test('mentions, text and choices are parsed', () => {
+    const [ban, period, mode] = registry.get('admin').subcommands;
+    assert.deepEqual(registry.parseArgs(ban, ['@ann', 'posting', 'fake', 'grids'], ['ann@s.whatsapp.net']),
+        { args: { player: 'ann@s.whatsapp.net', reason: 'posting fake grids' } });
+    assert.match(registry.parseArgs(ban, ['ann']).error, /Tag a player/);
+    assert.deepEqual(registry.parseArgs(mode, ['ON']), { args: { mode: 'on' } });
+    assert.match(registry.parseArgs(mode, ['maybe']).error, /options: on, off/);
+    assert.deepEqual(registry.parseArgs(period, ['2024-02-01', '2024-02-29']), { args: { range: { start: '2024-02-01', end: '2024-02-29' } } });
+});
+
+test('dates must exist and ranges must be in order', () => {
+    const period = registry.get('admin').subcommands[1];
+    assert.match(registry.parseArgs(period, ['2023-02-01', '2023-02-29']).error, /two dates/);
+    assert.match(registry.parseArgs(period, ['2024-03-01', '2024-02-01']).error, /after the end date/);
+});
+
+test('usage lines show optional and required arguments', () => {
+    assert.equal(registry.formatUsage('!wordle', registry.get('leaderboard')), '!wordle leaderboard [game] [puzzle#]');
+    assert.match(registry.describe('!wordle', registry.get('admin')), /`!wordle admin mode <mode>` - Set mode \(owner only\)/);
+});
@@ -0,0 +1,74 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Config, ConfigError } from '../config.js';
+import { quietConsole } from './helpers.js';
+
+let dir;
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+    quietConsole();
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Load settings from a config file with these contents (an object is written as JSON)
+function load(contents, env = {}) {
+    const filePath = path.join(dir, 'config.json');
+    fs.writeFileSync(filePath, typeof contents === 'string' ? contents : JSON.stringify(contents));
+    return Config.load({ WORDLE_CONFIG: filePath, ...env });
+}
+
+test('the config file overrides defaults and the environment overrides the file', () => {
+    const config = load({ commandPrefix: '/w', schedule: { reminder: null }, sendQueue: { maxAttempts: 2 } }, {
+        WORDLE_PREFIX: '!wb',
+        WORDLE_GROUPS: 'Family, Work ,',
+        WORDLE_STORAGE: 'json'
+    });
+
+    assert.equal(config.commandPrefix, '!wb');
+    assert.deepEqual(config.targetGroupNames, ['Family', 'Work']);
+    assert.equal(config.storage, 'json');
+    assert.equal(config.schedule.reminder, null);
+    assert.equal(config.schedule.dailyLeaderboard, Config.defaults.schedule.dailyLeaderboard);
+    assert.equal(config.sendQueue.maxAttempts, 2);
+    assert.equal(config.sendQueue.minIntervalMs, Config.defaults.sendQueue.minIntervalMs);
+    assert.equal(Config.defaults.schedule.reminder, '0 20 * * *');
+});
+
+test('every invalid setting is listed in one error', () => {
+    assert.throws(() => load({
+        storage: 'mongo',
+        commandPrefix: 'two words',
+        timezone: 'Mars/Olympus',
+        lateSubmissionGraceHours: 30,
+        schedule: { reminder: '0 25 * * *', lunch: '0 12 * * *' },
+        sendQueue: { maxPerMinute: 0 }
+    }), error => {
+        assert.ok(error instanceof ConfigError);
+        assert.equal(error.problems.length, 7);
+        assert.match(error.message, /storage must be one of sheets, json/);
+        assert.match(error.message, /schedule\.lunch is not a known job/);
+        return true;
+    });
+});
+
+test('unreadable files, unknown keys and a missing WORDLE_CONFIG file are errors', () => {
+    assert.throws(() => load('{ not json'), /could not be read as JSON/);
+    assert.throws(() => load([]), /must contain a JSON object/);
+    assert.throws(() => load({ prefix: '!w' }), /unknown setting "prefix"/);
+    assert.throws(() => Config.load({ WORDLE_CONFIG: path.join(dir, 'missing.json') }), /file not found/);
+    assert.throws(() => load({}, { WORDLE_OWNERS: 'not-an-id' }), /ownerIds must be a list of WhatsApp IDs/);
+});
+
+test('group settings typed in the config command are parsed and checked', () => {
+    assert.deepEqual(Config.parseGroupSetting('images', 'ON'), { value: true });
+    assert.deepEqual(Config.parseGroupSetting('analysis', 'Detailed'), { value: 'detailed' });
+    assert.deepEqual(Config.parseGroupSetting('grace', '3'), { value: 3 });
+    assert.deepEqual(Config.parseGroupSetting('timezone', 'Asia/Kolkata'), { value: 'Asia/Kolkata' });
+    assert.deepEqual(Config.parseGroupSetting('images', 'yes'), { error: 'images must be on or off' });
+    assert.deepEqual(Config.parseGroupSetting('grace', '24'), { error: 'grace must be a whole number from 0 to 23' });
+    assert.match(Config.parseGroupSetting('analysis', 'loud').error, /analysis must be one of minimal, normal, detailed/);
+    assert.equal(Config.formatGroupSetting('images', false), 'off');
+});
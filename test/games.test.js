@@ -0,0 +1,69 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameRegistry } from '../gameRegistry.js';
+import { WordleAnalyzer } from '../wordleAnalyzer.js';
+import { quietConsole } from './helpers.js';
+
+const games = new GameRegistry(new WordleAnalyzer());
+before(quietConsole);
+
+const connections = 'Connections\nPuzzle #512\n🟨🟨🟨🟨\n🟩🟦🟩🟩\n🟩🟩🟩🟩\n🟦🟦🟦🟦\n🟪🟪🟪🟪';
+const strands = 'Strands #123\n“Hit the books”\n🔵🔵🟡🔵\n💡🔵🔵';
+const quordle = 'Daily Quordle 1012\n6️⃣4️⃣\n5️⃣🟥\nm-w.com/games/quordle/';
+const nerdle = 'nerdlegame 728 3/6\n⬛🟪⬛🟪🟪⬛⬛🟪\n🟩🟩⬛🟪🟩⬛🟪🟩\n🟩🟩🟩🟩🟩🟩🟩🟩';
+
+test('each shared result is detected as its own game', () => {
+    assert.equal(games.detect('Wordle 1,234 2/6\n\n⬛🟨⬛⬛⬛\n🟩🟩🟩🟩🟩').id, 'wordle');
+    assert.equal(games.detect(connections).id, 'connections');
+    assert.equal(games.detect(strands).id, 'strands');
+    assert.equal(games.detect(quordle).id, 'quordle');
+    assert.equal(games.detect(nerdle).id, 'nerdle');
+    assert.equal(games.detect('Strands #123 was hard today'), null);
+    assert.equal(games.detect('good morning'), null);
+});
+
+test('games are found by id, name or alias', () => {
+    assert.equal(games.findByName('CONN').id, 'connections');
+    assert.equal(games.findByName('Quordle').id, 'quordle');
+    assert.equal(games.findByName('chess'), null);
+    assert.equal(games.findByName(undefined), null);
+});
+
+test('Connections counts mistakes, or groups found in a failed game', () => {
+    const solved = games.get('connections').parse(connections);
+    assert.deepEqual({ ...solved, pattern: solved.pattern.length }, {
+        gameNumber: 512,
+        actualAttempts: '1 mistake',
+        solved: true,
+        pattern: 5,
+        score: { baseScore: 500, emojiPoints: 0, totalScore: 500 }
+    });
+
+    const failed = games.get('connections').parse('Connections\nPuzzle #1,001\n🟨🟩🟨🟨\n🟨🟨🟨🟨\n🟩🟦🟩🟩\n🟩🟦🟩🟩\n🟪🟦🟩🟩');
+    assert.equal(failed.gameNumber, 1001);
+    assert.equal(failed.actualAttempts, '1/4 groups');
+    assert.equal(failed.score.totalScore, 50);
+});
+
+test('Strands loses points per hint', () => {
+    const result = games.get('strands').parse(strands);
+    assert.equal(result.actualAttempts, '1 hint');
+    assert.equal(result.score.totalScore, 500);
+    assert.equal(games.get('strands').parse('Strands #9\n💡💡💡💡💡💡🔵🟡').score.totalScore, 100);
+});
+
+test('Quordle scores each board and ignores the puzzle number', () => {
+    const result = games.get('quordle').parse(quordle);
+    assert.equal(result.gameNumber, 1012);
+    assert.equal(result.actualAttempts, '6-4-5-X');
+    assert.equal(result.solved, false);
+    assert.equal(result.score.totalScore, (4 + 6 + 5) * 20);
+});
+
+test('Nerdle is scored like Wordle attempts', () => {
+    const result = games.get('nerdle').parse(nerdle);
+    assert.equal(result.actualAttempts, '3/6');
+    assert.equal(result.pattern.length, 3);
+    assert.equal(result.score.totalScore, 400);
+    assert.equal(games.get('nerdle').parse('nerdlegame 728 X/6').solved, false);
+});
@@ -0,0 +1,172 @@
+import { test, beforeEach, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { GoogleSheetsDB } from '../googleSheetsDB.js';
+import { wordleResult as result, quietConsole } from './helpers.js';
+
+/**
+ * An in-memory spreadsheet with the parts of the Sheets API the database uses.
+ * Cells are stored as the formatted strings the API returns.
+ */
+class FakeSheets {
+    constructor() {
+        this.sheets = new Map();
+        this.calls = { get: 0, batchGet: 0, batchUpdate: 0 };
+        this.failures = []; // Errors thrown by the next values.batchUpdate calls
+        this.spreadsheets = {
+            get: async () => ({
+                data: { properties: { title: 'Wordle' }, sheets: Array.from(this.sheets.keys(), title => ({ properties: { title } })) }
+            }),
+            batchUpdate: async ({ requestBody }) => {
+                requestBody.requests.forEach(request => this.sheets.set(request.addSheet.properties.title, []));
+            },
+            values: {
+                get: async ({ range }) => {
+                    this.calls.get++;
+                    return { data: { values: this.read(range) } };
+                },
+                batchGet: async ({ ranges }) => {
+                    this.calls.batchGet++;
+                    return { data: { valueRanges: ranges.map(range => ({ values: this.read(range) })) } };
+                },
+                batchUpdate: async ({ requestBody }) => {
+                    if (this.failures.length > 0) throw this.failures.shift();
+                    this.calls.batchUpdate++;
+                    requestBody.data.forEach(({ range, values }) => this.write(range, values));
+                }
+            }
+        };
+    }
+
+    read(range) {
+        const rows = (this.sheets.get(range.split('!')[0]) || []).map(row => {
+            const cells = [...row];
+            while (cells.length > 0 && cells[cells.length - 1] === '') cells.pop();
+            return cells;
+        });
+        while (rows.length > 0 && rows[rows.length - 1].length === 0) rows.pop();
+        return rows;
+    }
+
+    write(range, values) {
+        const [, sheetName, row] = /^(\w+)!A(\d+):/.exec(range);
+        const rows = this.sheets.get(sheetName);
+        values.forEach((cells, i) => {
+            rows[parseInt(row) - 1 + i] = cells.map(cell => typeof cell === 'boolean' ? (cell ? 'TRUE' : 'FALSE') : String(cell));
+        });
+    }
+}
+
+let remote;
+let db;
+
+before(quietConsole);
+
+// A database connected to a fresh fake spreadsheet, without the credentials initialize needs
+beforeEach(async () => {
+    remote = new FakeSheets();
+    db = new GoogleSheetsDB('unused.json');
+    db.sheets = remote;
+    db.auth = {};
+    db.spreadsheetId = 'test';
+    db.retryDelayMs = 1;
+    await db.createSheetsIfNeeded();
+    await db.flush();
+    remote.calls = { get: 0, batchGet: 0, batchUpdate: 0 };
+});
+
+test('the whole spreadsheet is read in one request and headers are written once', async () => {
+    const fresh = new GoogleSheetsDB('unused.json');
+    Object.assign(fresh, { sheets: remote, auth: {}, spreadsheetId: 'test' });
+    await fresh.createSheetsIfNeeded();
+    await fresh.flush();
+
+    assert.deepEqual(remote.calls, { get: 0, batchGet: 1, batchUpdate: 0 });
+    assert.equal(remote.read('DailyResults!A:Z')[0][0], 'Date');
+});
+
+test('reads come from the cache and writes wait for the next flush', async () => {
+    await db.saveWordleResult(result('ann', 970, '3'), 'g1');
+    await db.saveWordleResult(result('ben', 970, '4'), 'g1');
+    await db.saveWordleResult(result('ann', 971, '2'), 'g1');
+
+    assert.deepEqual((await db.getDailyResults(970, 'g1')).map(row => [row.playerId, row.totalScore]), [['ann', 410], ['ben', 310]]);
+    assert.deepEqual((await db.getTotalLeaderboard('g1')).map(row => [row.playerId, row.totalScore]), [['ann', 920], ['ben', 310]]);
+    assert.deepEqual(remote.calls, { get: 0, batchGet: 0, batchUpdate: 0 });
+    assert.equal(remote.read('DailyResults!A:Z').length, 1);
+
+    await db.flush();
+    assert.equal(remote.calls.batchUpdate, 1);
+    assert.deepEqual(remote.read('DailyResults!A:Z').slice(1).map(row => [row[1], row[9], row[7]]),
+        [['970', 'ann', '410'], ['970', 'ben', '310'], ['971', 'ann', '510']]);
+
+    await db.flush();
+    assert.equal(remote.calls.batchUpdate, 1);
+});
+
+test('deleted rows are blanked in the spreadsheet', async () => {
+    await db.saveWordleResult(result('ann', 970, '3'), 'g1');
+    await db.saveWordleResult(result('ben', 970, '4'), 'g1');
+    await db.flush();
+
+    assert.equal(await db.deleteResults('g1', 970, 'ann'), 1);
+    await db.flush();
+    assert.deepEqual(remote.read('DailyResults!A:Z').slice(1).map(row => row[9]), ['ben']);
+    assert.deepEqual(remote.read('TotalScores!A:Z').slice(1).map(row => row[7]), ['ben']);
+});
+
+test('a flush hitting the quota is retried', async () => {
+    remote.failures.push(Object.assign(new Error('Quota exceeded'), { code: 429 }), Object.assign(new Error('Unavailable'), { code: 503 }));
+    await db.saveWordleResult(result('ann', 970, '3'), 'g1');
+    await db.flush();
+
+    assert.equal(remote.failures.length, 0);
+    assert.equal(remote.calls.batchUpdate, 1);
+    assert.equal(remote.read('DailyResults!A:Z').length, 2);
+});
+
+test('rows that fail to write stay dirty until the next flush', async () => {
+    remote.failures.push(Object.assign(new Error('Forbidden'), { code: 403 }));
+    await db.saveWordleResult(result('ann', 970, '3'), 'g1');
+    await db.flush();
+    assert.equal(remote.read('DailyResults!A:Z').length, 1);
+
+    await db.flush();
+    assert.equal(remote.read('DailyResults!A:Z').length, 2);
+});
+
+test('initializing again keeps the cache and unflushed writes', async () => {
+    await db.saveWordleResult(result('ann', 970, '3'), 'g1');
+    await db.initialize('test');
+
+    assert.equal(db.sheets, remote);
+    assert.equal((await db.getDailyResults(970, 'g1')).length, 1);
+    await db.flush();
+    assert.equal(remote.read('DailyResults!A:Z').length, 2);
+});
+
+test('running tournament standings are not saved until the tournament is finalized', async () => {
+    await db.saveWordleResult(result('ann', 970, '3'), 'g1');
+    await db.flush();
+    remote.calls.batchUpdate = 0;
+
+    const period = ['2024-W07', new Date(2024, 1, 12), new Date(2024, 1, 18), 'g1'];
+    assert.deepEqual((await db.getTournamentResults(...period)).map(player => player.playerId), ['ann']);
+    await db.flush();
+    assert.equal(remote.calls.batchUpdate, 0);
+    assert.deepEqual(await db.getPreviousTournaments('g1'), []);
+
+    await db.finalizeTournament(...period);
+    await db.flush();
+    assert.deepEqual((await db.getPreviousTournaments('g1')).map(summary => [summary.tournamentId, summary.winnerId]), [['2024-W07', 'ann']]);
+    assert.equal(remote.read('TournamentResults!A:Z').length, 2);
+});
+
+test('a result that cannot be saved is reported to the caller and changes nothing', async () => {
+    db.cache.delete('TotalScores');
+    remote.spreadsheets.values.get = async () => { throw Object.assign(new Error('Forbidden'), { code: 403 }); };
+
+    await assert.rejects(db.saveWordleResult(result('ann', 970, '3'), 'g1'), /Forbidden/);
+    assert.deepEqual(await db.getDailyResults(970, 'g1'), []);
+    await db.flush();
+    assert.equal(remote.read('DailyResults!A:Z').length, 1);
+});
@@ -0,0 +1,32 @@
+import { mock } from 'node:test';
+import { WordleAnalyzer } from '../wordleAnalyzer.js';
+
+const analyzer = new WordleAnalyzer();
+
+/**
+ * A parsed Wordle result as processWordleResult saves it. The player's name is their ID in
+ * capitals and every result has the same winning row, so attempts decide the score.
+ */
+export function wordleResult(playerId, gameNumber, attempts, date = '2024-02-14') {
+    return {
+        date,
+        gameNumber,
+        player: playerId.toUpperCase(),
+        playerId,
+        actualAttempts: attempts,
+        solved: attempts !== 'X',
+        hardMode: false,
+        pattern: ['🟩🟩🟩🟩🟩'],
+        game: 'wordle',
+        score: analyzer.calculateScore(attempts, ['🟩🟩🟩🟩🟩'])
+    };
+}
+
+/**
+ * Silence the modules' console output for the rest of a test file. Besides keeping the output
+ * readable, the Node 20 test runner can fail a file whose logs contain some emoji.
+ */
+export function quietConsole() {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+}
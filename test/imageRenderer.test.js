@@ -0,0 +1,55 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { ImageRenderer } from '../imageRenderer.js';
+import { quietConsole } from './helpers.js';
+
+before(quietConsole);
+
+const sections = [{
+    title: 'Wordle 1,234',
+    subtitle: ['3 players'],
+    rows: [
+        { rank: 1, name: 'Ann <3', value: 410, detail: '3/6' },
+        { rank: null, name: 'Ben & co', value: 0, faded: true }
+    ]
+}];
+
+test('without sharp every render returns null so the text version is sent', async () => {
+    const renderer = new ImageRenderer();
+    renderer.sharp = null;
+
+    assert.equal(await renderer.renderLeaderboard(sections), null);
+    assert.equal(await renderer.renderProfile({ title: 'Ann', stats: [], distribution: {} }), null);
+});
+
+test('a failed conversion also falls back to text', async () => {
+    const renderer = new ImageRenderer();
+    renderer.sharp = () => ({ png: () => ({ toBuffer: async () => { throw new Error('bad svg'); } }) });
+    assert.equal(await renderer.renderLeaderboard(sections), null);
+});
+
+test('the SVG is handed to sharp and its PNG returned', async () => {
+    const renderer = new ImageRenderer();
+    let input;
+    renderer.sharp = buffer => {
+        input = buffer.toString();
+        return { png: () => ({ toBuffer: async () => Buffer.from('png') }) };
+    };
+
+    assert.equal((await renderer.renderLeaderboard(sections)).toString(), 'png');
+    assert.match(input, /^<svg /);
+});
+
+test('leaderboard text is escaped and unranked rows are faded', () => {
+    const svg = new ImageRenderer().buildLeaderboardSvg(sections);
+    assert.match(svg, />Ann &lt;3</);
+    assert.match(svg, />Ben &amp; co</);
+    assert.match(svg, /<g opacity="0.5">.*>–</);
+    assert.doesNotMatch(svg, /<g opacity="0.5">.*Ann/);
+});
+
+test('the distribution chart shows failures only when there are some', () => {
+    const renderer = new ImageRenderer();
+    assert.equal(renderer.buildDistributionChart({ 3: 2, 4: 1 }, 0, 0, 400).height, 6 * 38);
+    assert.equal(renderer.buildDistributionChart({ 3: 2, X: 1 }, 0, 0, 400).height, 7 * 38);
+});
@@ -0,0 +1,101 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { JsonFileDB } from '../jsonFileDB.js';
+import { wordleResult as result, quietConsole } from './helpers.js';
+
+let dir;
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsonfiledb-'));
+    quietConsole();
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+async function open(name) {
+    const db = new JsonFileDB(path.join(dir, name, 'wordle.json'));
+    await db.initialize();
+    return db;
+}
+
+test('results are saved to disk and kept apart per group', async () => {
+    const db = await open('groups');
+    await db.saveWordleResult(result('ann', 970, '3'), 'g1');
+    await db.saveWordleResult(result('ben', 970, '5'), 'g1');
+    await db.saveWordleResult(result('ann', 970, '2'), 'g2');
+    await db.flush();
+
+    const reopened = await open('groups');
+    assert.deepEqual((await reopened.getDailyResults(970, 'g1')).map(row => [row.playerId, row.totalScore]), [['ann', 410], ['ben', 210]]);
+    assert.deepEqual((await reopened.getTotalLeaderboard('g2')).map(row => [row.playerId, row.totalScore]), [['ann', 510]]);
+    assert.equal((await reopened.getGroupResults('g1', 'connections')).length, 0);
+});
+
+test('replacing and deleting results', async () => {
+    const db = await open('edits');
+    await db.saveWordleResult(result('ann', 970, '4'), 'g1');
+    await db.replaceWordleResult(result('ann', 970, '2'), 'g1');
+    assert.deepEqual((await db.getPlayerResults('ann', 'g1')).map(row => row.attempts), ['2']);
+
+    await db.updateResultScores('g1', [{ playerId: 'ann', gameNumber: 970, baseScore: 1, emojiPoints: 2, totalScore: 3 }]);
+    assert.equal((await db.getTotalLeaderboard('g1'))[0].totalScore, 3);
+
+    assert.equal(await db.deleteResults('g1', 970, 'ben'), 0);
+    assert.equal(await db.deleteResults('g1', 970, 'ann'), 1);
+    assert.deepEqual(await db.getTotalLeaderboard('g1'), []);
+});
+
+test('tournament standings count results by their local date and freeze once finalized', async () => {
+    const db = await open('tournament');
+    await db.saveWordleResult(result('ann', 968, '3', '2024-02-12'), 'g1');
+    await db.saveWordleResult(result('ben', 974, '2', '2024-02-18'), 'g1');
+    await db.saveWordleResult(result('ann', 975, '1', '2024-02-19'), 'g1');
+    await db.saveWordleResult(result('cat', 970, '6', '2024-02-14'), 'g1');
+
+    const start = new Date(2024, 1, 12);
+    const end = new Date(2024, 1, 18);
+    const standings = await db.getTournamentResults('2024-W07', start, end, 'g1', { excluded: ['cat'] });
+    assert.deepEqual(standings.map(player => [player.playerId, player.score]), [['ben', 510], ['ann', 410]]);
+    assert.deepEqual(await db.getPreviousTournaments('g1'), []);
+
+    await db.finalizeTournament('2024-W07', start, end, 'g1', { excluded: ['cat'] });
+    await db.saveWordleResult(result('dan', 971, '1', '2024-02-15'), 'g1');
+    assert.equal((await db.getTournamentResults('2024-W07', start, end, 'g1')).length, 2);
+    assert.equal(await db.finalizeTournament('2024-W07', start, end, 'g1'), null);
+
+    const [archived] = await db.getPreviousTournaments('g1');
+    assert.deepEqual(archived, {
+        tournamentId: '2024-W07',
+        winner: 'BEN',
+        winnerId: 'ben',
+        winnerScore: 510,
+        participants: 2,
+        startDate: '2024-02-12',
+        endDate: '2024-02-18'
+    });
+});
+
+test('tournaments with their own strategy rescore results', async () => {
+    const db = await open('strategy');
+    await db.saveWordleResult({ ...result('ann', 970, '3'), hardMode: true }, 'g1');
+
+    const period = [new Date(2024, 1, 12), new Date(2024, 1, 18), 'g1'];
+    assert.equal((await db.getTournamentResults('t1', ...period))[0].score, 410);
+    assert.equal((await db.getTournamentResults('t2', ...period, { strategy: 'hard-mode' }))[0].score, 510);
+});
+
+test('a failed write is reported to the caller, leaves no change behind and later writes still run', async () => {
+    const db = await open('failing');
+    const goodPath = db.filePath;
+    fs.writeFileSync(path.join(dir, 'not-a-directory'), '');
+    db.filePath = path.join(dir, 'not-a-directory', 'wordle.json');
+
+    await assert.rejects(db.saveWordleResult(result('ann', 970, '3'), 'g1'));
+    assert.deepEqual(await db.getDailyResults(970, 'g1'), []);
+
+    db.filePath = goodPath;
+    await db.saveWordleResult(result('ben', 970, '4'), 'g1');
+    const reopened = await open('failing');
+    assert.deepEqual((await reopened.getDailyResults(970, 'g1')).map(row => row.playerId), ['ben']);
+});
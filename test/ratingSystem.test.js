@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RatingSystem } from '../ratingSystem.js';
+
+const ratingSystem = new RatingSystem();
+
+test('a win between new players moves both by the provisional K factor', () => {
+    const ratings = new Map();
+    const changes = ratingSystem.rateMatch([
+        { playerKey: 'a', player: 'A', totalScore: 410 },
+        { playerKey: 'b', player: 'B', totalScore: 300 }
+    ], ratings);
+
+    assert.deepEqual(changes.map(change => [change.playerKey, change.ratingAfter, change.delta]), [['a', 1532, 32], ['b', 1468, -32]]);
+    assert.equal(ratings.size, 0);
+});
+
+test('equal scores draw and a lone player is not rated', () => {
+    const players = [{ playerKey: 'a', totalScore: 300 }, { playerKey: 'b', totalScore: 300 }];
+    assert.deepEqual(ratingSystem.rateMatch(players, new Map()).map(change => change.delta), [0, 0]);
+    assert.deepEqual(ratingSystem.rateMatch(players.slice(0, 1), new Map()), []);
+});
+
+test('settled players move less, and K is shared between opponents', () => {
+    const ratings = new Map([
+        ['a', { rating: 1500, games: 20 }],
+        ['b', { rating: 1500, games: 20 }],
+        ['c', { rating: 1500, games: 20 }]
+    ]);
+    const changes = ratingSystem.rateMatch([
+        { playerKey: 'a', totalScore: 500 },
+        { playerKey: 'b', totalScore: 400 },
+        { playerKey: 'c', totalScore: 300 }
+    ], ratings);
+
+    assert.deepEqual(changes.map(change => change.delta), [16, 0, -16]);
+    assert.equal(changes[0].opponents, 2);
+});
+
+test('beating a stronger player is worth more', () => {
+    const ratings = new Map([['a', { rating: 1400, games: 20 }], ['b', { rating: 1600, games: 20 }]]);
+    const [upset] = ratingSystem.rateMatch([{ playerKey: 'a', totalScore: 500 }, { playerKey: 'b', totalScore: 400 }], ratings);
+    assert.ok(upset.delta > 16);
+    assert.ok(ratingSystem.expectedScore(1400, 1600) < 0.5);
+});
@@ -0,0 +1,57 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { Scheduler } from '../scheduler.js';
+import { WordleCalendar } from '../wordleCalendar.js';
+import { quietConsole } from './helpers.js';
+
+before(quietConsole);
+
+test('cron fields accept lists, ranges and steps', () => {
+    const scheduler = new Scheduler(new WordleCalendar());
+    const [minutes, hours, days, months, weekdays] = scheduler.parseCron('*/15 9-11,20 1 * 1-5');
+
+    assert.deepEqual([...minutes], [0, 15, 30, 45]);
+    assert.deepEqual([...hours], [9, 10, 11, 20]);
+    assert.deepEqual([...days], [1]);
+    assert.equal(months.size, 12);
+    assert.deepEqual([...weekdays], [1, 2, 3, 4, 5]);
+    assert.deepEqual([...scheduler.parseCron('5/20 * * * *')[0]], [5, 25, 45]);
+});
+
+test('invalid cron expressions are rejected', () => {
+    const scheduler = new Scheduler(new WordleCalendar());
+    assert.throws(() => scheduler.parseCron('0 20 * *'), /expected 5 fields/);
+    assert.throws(() => scheduler.parseCron('60 * * * *'), /bad field "60"/);
+    assert.throws(() => scheduler.parseCron('0 5-2 * * *'), /bad field/);
+    assert.throws(() => scheduler.parseCron('*/0 * * * *'), /bad field/);
+});
+
+test('jobs run once in a matching minute of their own timezone', async () => {
+    const scheduler = new Scheduler(new WordleCalendar());
+    const runs = [];
+    scheduler.addJob('london', '0 20 * * *', 'Europe/London', () => runs.push('london'));
+    scheduler.addJob('kolkata', '0 20 * * *', 'Asia/Kolkata', () => runs.push('kolkata'));
+
+    // 20:00 in London on a winter evening is 01:30 the next day in Kolkata
+    await scheduler.tick(new Date('2024-01-10T20:00:10Z'));
+    await scheduler.tick(new Date('2024-01-10T20:00:40Z'));
+    await scheduler.tick(new Date('2024-01-10T14:30:00Z'));
+    await scheduler.tick(new Date('2024-01-10T20:01:00Z'));
+
+    assert.deepEqual(runs, ['london', 'kolkata']);
+});
+
+test('day of week is matched in the job timezone, and a failing job does not stop the others', async () => {
+    const scheduler = new Scheduler(new WordleCalendar());
+    const runs = [];
+    scheduler.addJob('broken', '* * * * *', 'UTC', () => { throw new Error('boom'); });
+    scheduler.addJob('sunday', '30 23 * * 0', 'America/New_York', () => runs.push('sunday'));
+
+    // Monday 04:30 UTC is still Sunday evening in New York
+    await scheduler.tick(new Date('2024-01-15T04:30:00Z'));
+    assert.deepEqual(runs, ['sunday']);
+
+    scheduler.removeJob('sunday');
+    await scheduler.tick(new Date('2024-01-22T04:30:00Z'));
+    assert.deepEqual(runs, ['sunday']);
+});
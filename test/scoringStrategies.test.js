@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ScoringStrategies } from '../scoringStrategies.js';
+
+const scoring = new ScoringStrategies();
+const result = (attempts, pattern = ['⬛🟨⬛⬛⬛', '🟩🟩🟩🟩🟩'], extra = {}) =>
+    ({ actualAttempts: attempts, solved: attempts !== 'X', pattern, hardMode: false, ...extra });
+
+test('classic scores attempts plus emoji points', () => {
+    assert.deepEqual(scoring.scoreResult('classic', result('2')), {
+        baseScore: 500,
+        emojiPoints: 11,
+        hardModeBonus: 0,
+        totalScore: 511
+    });
+    assert.equal(scoring.scoreResult('classic', result('X', ['⬛⬛⬛⬛⬛'])).totalScore, 0);
+});
+
+test('attempts-only drops emoji points so equal attempts tie', () => {
+    const score = scoring.scoreResult('attempts-only', result('3'));
+    assert.equal(score.emojiPoints, 0);
+    assert.equal(score.totalScore, 400);
+});
+
+test('hard-mode adds the bonus only to solved hard mode games', () => {
+    assert.equal(scoring.scoreResult('hard-mode', result('4', [], { hardMode: true })).hardModeBonus, 100);
+    assert.equal(scoring.scoreResult('hard-mode', result('X', [], { hardMode: true })).hardModeBonus, 0);
+    assert.equal(scoring.scoreResult('classic', result('4', [], { hardMode: true })).hardModeBonus, 0);
+});
+
+test('difficulty and participation use the day', () => {
+    assert.equal(scoring.scoreResult('difficulty', result('3', []), { average: 6 }).baseScore, 600);
+    assert.equal(scoring.scoreResult('difficulty', result('3', [])).baseScore, 400);
+    assert.equal(scoring.scoreResult('participation', result('3', []), { players: 3 }).baseScore, 480);
+    assert.equal(scoring.scoreResult('participation', result('3', []), { players: 30 }).baseScore, 800);
+});
+
+test('results saved without their grid keep their stored emoji points', () => {
+    const legacy = { attempts: '3', solved: true, pattern: [], emojiPoints: 12 };
+    assert.equal(scoring.scoreResult('classic', legacy).emojiPoints, 12);
+    assert.equal(scoring.scoreResult('attempts-only', legacy).emojiPoints, 12);
+    assert.equal(scoring.scoreResult('classic', { ...legacy, pattern: undefined }).totalScore, 412);
+});
+
+test('scoreRows rescores rows using the day average from every group', () => {
+    const rows = [
+        { gameNumber: 10, attempts: '2', solved: true, pattern: [] },
+        { gameNumber: 10, attempts: '4', solved: true, pattern: [] }
+    ];
+    const allRows = [...rows, { gameNumber: 10, attempts: '6', solved: false, pattern: [] }];
+
+    const days = scoring.getDays(rows, allRows);
+    assert.deepEqual(days.get(10), { average: (2 + 4 + 7) / 3, players: 2 });
+
+    const scored = scoring.scoreRows('difficulty', rows, allRows);
+    assert.equal(scored[0].baseScore, Math.round(500 * (13 / 3) / 4));
+    assert.equal(scored[0].totalScore, scored[0].baseScore);
+    assert.equal(rows[0].baseScore, undefined);
+});
+
+test('isValid only knows the listed strategies', () => {
+    assert.equal(scoring.isValid('classic'), true);
+    assert.equal(scoring.isValid('toString'), false);
+    assert.equal(scoring.usesDay('participation'), true);
+    assert.equal(scoring.usesDay('classic'), false);
+});
@@ -0,0 +1,119 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SendQueue } from '../sendQueue.js';
+import { quietConsole } from './helpers.js';
+
+let dir;
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sendqueue-'));
+    quietConsole();
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const settings = name => ({ path: path.join(dir, `${name}.json`), minIntervalMs: 0, maxPerMinute: 100, maxAttempts: 3, retryDelayMs: 5 });
+
+// Wait until every queued message has been sent or dropped and the queue file is written
+async function drain(queue) {
+    for (let i = 0; i < 200 && (queue.size() > 0 || Array.from(queue.chats.values()).some(chat => chat.sending)); i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    await queue.writeQueue;
+    assert.equal(queue.size(), 0);
+}
+
+const networkError = () => Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+
+test('retries a transient failure without letting later messages overtake it', async () => {
+    const sent = [];
+    let failures = 1;
+    const queue = new SendQueue(async (chatId, content) => {
+        if (content.text === 'first' && failures-- > 0) throw networkError();
+        sent.push(`${chatId}:${content.text}`);
+    }, settings('order'));
+
+    queue.resume();
+    await queue.enqueue('a', { text: 'first' });
+    await queue.enqueue('a', { text: 'second' });
+    await queue.enqueue('b', { text: 'other chat' });
+    await drain(queue);
+
+    assert.deepEqual(sent.filter(entry => entry.startsWith('a:')), ['a:first', 'a:second']);
+    assert.ok(sent.includes('b:other chat'));
+});
+
+test('drops messages that fail the same way every time, or sends their fallback', async () => {
+    const attempts = [];
+    const queue = new SendQueue(async (chatId, content) => {
+        attempts.push(content.text ?? 'image');
+        if (content.image) throw new TypeError('bad image');
+        if (content.text === 'forbidden') throw Object.assign(new Error('forbidden'), { output: { statusCode: 403 } });
+    }, settings('drop'));
+
+    queue.resume();
+    await queue.enqueue('a', { image: Buffer.from('png') }, {}, { text: 'text version' });
+    await queue.enqueue('a', { text: 'forbidden' });
+    await queue.enqueue('a', { text: 'after' });
+    await drain(queue);
+
+    assert.deepEqual(attempts, ['image', 'text version', 'forbidden', 'after']);
+});
+
+test('gives up on a transient failure after maxAttempts', async () => {
+    let attempts = 0;
+    const queue = new SendQueue(async () => {
+        attempts++;
+        throw Object.assign(new Error('rate limited'), { data: { statusCode: 429 } });
+    }, settings('give-up'));
+
+    queue.resume();
+    await queue.enqueue('a', { text: 'never' });
+    await drain(queue);
+    assert.equal(attempts, 3);
+});
+
+test('only network errors, timeouts, rate limits and server errors are transient', () => {
+    const queue = new SendQueue(async () => {}, settings('transient'));
+    const status = statusCode => ({ output: { statusCode } });
+
+    assert.equal(queue.isTransient(networkError()), true);
+    assert.equal(queue.isTransient({ code: 'ETIMEDOUT' }), true);
+    for (const code of [408, 428, 429, 500, 503]) assert.equal(queue.isTransient(status(code)), true);
+    for (const code of [400, 401, 403, 404]) assert.equal(queue.isTransient(status(code)), false);
+    assert.equal(queue.isTransient(new TypeError('bad payload')), false);
+    assert.equal(queue.isTransient(undefined), false);
+});
+
+test('keeps each chat to the minimum gap between messages', async () => {
+    const times = [];
+    const queue = new SendQueue(async () => { times.push(Date.now()); }, { ...settings('gap'), minIntervalMs: 40 });
+
+    queue.resume();
+    for (const text of ['1', '2', '3']) await queue.enqueue('a', { text });
+    await drain(queue);
+
+    assert.equal(times.length, 3);
+    assert.ok(times[1] - times[0] >= 35 && times[2] - times[1] >= 35);
+});
+
+test('messages queued while disconnected are saved and restored on restart', async () => {
+    const options = settings('restore');
+    const offline = new SendQueue(async () => assert.fail('sent while disconnected'), options);
+    await offline.enqueue('a', { text: 'hello' }, { quoted: { key: { id: 'm1' }, message: { conversation: 'hi' }, pushName: 'Ann' } });
+    await offline.enqueue('a', { image: Buffer.from([1, 2, 3]), caption: 'chart' });
+    assert.equal(offline.size(), 2);
+
+    const sent = [];
+    const restarted = new SendQueue(async (chatId, content, sendOptions) => sent.push({ content, sendOptions }), options);
+    restarted.load();
+    assert.equal(restarted.size(), 2);
+
+    restarted.resume();
+    await drain(restarted);
+    assert.deepEqual(sent[0].sendOptions, { quoted: { key: { id: 'm1' }, message: { conversation: 'hi' } } });
+    assert.ok(Buffer.isBuffer(sent[1].content.image));
+    assert.deepEqual([...sent[1].content.image], [1, 2, 3]);
+    assert.deepEqual(JSON.parse(fs.readFileSync(options.path, 'utf8')), []);
+});
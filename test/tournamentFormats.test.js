@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TournamentFormats } from '../tournamentFormats.js';
+
+const formats = new TournamentFormats();
+const format = date => TournamentFormats.formatDate(date);
+
+test('weekly periods run Monday to Sunday with ISO week IDs', () => {
+    const period = formats.getPeriod({ id: 'sprint', format: 'weekly' }, new Date(2024, 1, 14));
+    assert.equal(period.tournamentId, 'sprint-2024-W07');
+    assert.equal(format(period.startDate), '2024-02-12');
+    assert.equal(format(period.endDate), '2024-02-18');
+
+    // 30 December 2024 is in week 1 of 2025
+    assert.equal(formats.getPeriod({ id: '', format: 'weekly' }, new Date(2024, 11, 31)).tournamentId, '2025-W01');
+});
+
+test('half-monthly and monthly periods', () => {
+    const second = formats.getPeriod({ id: '', format: 'half-monthly' }, new Date(2024, 1, 20));
+    assert.equal(second.tournamentId, '2024-02-T2');
+    assert.equal(format(second.startDate), '2024-02-16');
+    assert.equal(format(second.endDate), '2024-02-29');
+
+    const monthly = formats.getPeriod({ id: 'league', format: 'monthly' }, new Date(2024, 3, 30));
+    assert.equal(monthly.tournamentId, 'league-2024-04');
+    assert.equal(format(monthly.endDate), '2024-04-30');
+});
+
+test('custom tournaments run only between their dates', () => {
+    const tournament = { id: 'cup', format: 'custom', startDate: '2024-05-01', endDate: '2024-05-10' };
+    assert.equal(formats.getPeriod(tournament, new Date(2024, 4, 10, 23)).tournamentId, 'cup');
+    assert.equal(formats.getPeriod(tournament, new Date(2024, 4, 11)), null);
+    assert.equal(formats.getPreviousPeriod(tournament, new Date(2024, 4, 5)), null);
+    assert.equal(formats.getPreviousPeriod(tournament, new Date(2024, 4, 11)).tournamentId, 'cup');
+});
+
+test('getPreviousPeriod walks back one period at a time', () => {
+    const tournament = { id: '', format: 'half-monthly' };
+    const previous = formats.getPreviousPeriod(tournament, new Date(2024, 2, 3));
+    assert.equal(previous.tournamentId, '2024-02-T2');
+    assert.equal(formats.getPreviousPeriod(tournament, previous.startDate).tournamentId, '2024-02-T1');
+});
+
+test('findPeriodById prefers the longest matching tournament ID', () => {
+    const tournaments = [{ id: 'league', format: 'monthly' }, { id: 'league2', format: 'monthly' }];
+    assert.equal(formats.findPeriodById(tournaments, 'league2-2024-03').tournament.id, 'league2');
+    assert.equal(formats.findPeriodById(tournaments, 'LEAGUE-2024-03').tournamentId, 'league-2024-03');
+    assert.equal(formats.findPeriodById(tournaments, 'league-2024-13'), null);
+    assert.equal(format(formats.findPeriodById([{ id: 'w', format: 'weekly' }], 'w-2025-W01').startDate), '2024-12-30');
+});
+
+test('parseDate rejects days that do not exist', () => {
+    assert.equal(formats.parseDate('2023-02-29'), null);
+    assert.equal(formats.parseDate('2024-2-1'), null);
+    assert.equal(format(formats.parseDate('2024-02-29')), '2024-02-29');
+});
+
+test('isInPeriod compares calendar dates, not UTC instants', () => {
+    const start = new Date(2024, 1, 12);
+    const end = new Date(2024, 1, 18);
+    assert.equal(TournamentFormats.isInPeriod('2024-02-12', start, end), true);
+    assert.equal(TournamentFormats.isInPeriod('2024-02-18', start, end), true);
+    assert.equal(TournamentFormats.isInPeriod('2024-02-19', start, end), false);
+    assert.equal(TournamentFormats.isInPeriod('2024-02-11', start, end), false);
+});
+
+test('rankStandings applies scoring, minimum games, adjustments and exclusions', () => {
+    const standings = [
+        { player: 'Ann', playerId: 'ann', totalScore: 900, gamesPlayed: 3, avgScore: 300, scores: [500, 300, 100] },
+        { player: 'Ben', playerId: 'ben', totalScore: 1000, gamesPlayed: 2, avgScore: 500, scores: [600, 400] },
+        { player: 'Cat', playerId: null, totalScore: 1200, gamesPlayed: 3, avgScore: 400, scores: [400, 400, 400] }
+    ];
+
+    const total = TournamentFormats.rankStandings(standings, { minGames: 3 });
+    assert.deepEqual(total.map(player => [player.player, player.qualified]), [['Cat', true], ['Ann', true], ['Ben', false]]);
+
+    // Equal scores are split by total score
+    const best2 = TournamentFormats.rankStandings(standings, { scoring: 'best2' });
+    assert.deepEqual(best2.map(player => [player.player, player.score]), [['Ben', 1000], ['Cat', 800], ['Ann', 800]]);
+
+    const adjusted = TournamentFormats.rankStandings(standings, {
+        scoring: 'average',
+        adjustments: [{ playerKey: 'ann', points: 250 }, { playerKey: 'Cat', points: -50 }],
+        excluded: ['ben']
+    });
+    assert.deepEqual(adjusted.map(player => [player.player, player.score, player.adjustment]), [['Ann', 550, 250], ['Cat', 350, -50]]);
+});
@@ -0,0 +1,88 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { WordleAnalyzer } from '../wordleAnalyzer.js';
+import { quietConsole } from './helpers.js';
+
+const analyzer = new WordleAnalyzer();
+before(quietConsole);
+
+test('hard mode and high contrast grids are parsed and normalised', () => {
+    const result = analyzer.parseWordleResult('Wordle 1,234 3/6*\n\n🟧⬜🟦⬜⬜\n🟧🟧⬜🟧🟦\n🟧🟧🟧🟧🟧');
+    assert.equal(result.gameNumber, 1234);
+    assert.equal(result.hardMode, true);
+    assert.equal(result.colorScheme, 'high-contrast');
+    assert.deepEqual(result.pattern, ['🟩⬛🟨⬛⬛', '🟩🟩⬛🟩🟨', '🟩🟩🟩🟩🟩']);
+    assert.equal(result.score.totalScore, 400 + 3 + 7 + 10);
+});
+
+test('light mode failures are parsed as X/6', () => {
+    const result = analyzer.parseWordleResult('Wordle 999 X/6\n\n' + '⬜⬜⬜⬜⬜\n'.repeat(5) + '⬜🟨⬜⬜⬜');
+    assert.equal(result.solved, false);
+    assert.equal(result.hardMode, false);
+    assert.equal(result.colorScheme, 'light');
+    assert.equal(result.pattern.length, 6);
+    assert.deepEqual(result.score, { baseScore: 0, emojiPoints: 1, hardModeBonus: 0, totalScore: 1 });
+});
+
+test('only messages with a Wordle header are results', () => {
+    assert.equal(analyzer.isWordleResult('Wordle 1,234 4/6\n\n🟩🟩🟩🟩🟩'), true);
+    assert.equal(analyzer.isWordleResult('Did anyone get today\'s wordle?'), false);
+});
+
+test('grids must match their header', () => {
+    const check = text => analyzer.validateGrid(analyzer.parseWordleResult(text)).errors.map(error => error.code);
+
+    assert.deepEqual(check('Wordle 999 2/6\n\n⬛🟨⬛⬛⬛\n🟩🟩🟩🟩🟩'), []);
+    assert.deepEqual(check('Wordle 999 3/6\n\n⬛🟨⬛⬛⬛\n🟩🟩🟩🟩🟩'), ['row-count']);
+    assert.deepEqual(check('Wordle 999 2/6\n\n⬛🟨⬛⬛⬛\n🟩🟩🟩🟩⬛'), ['unsolved-last-row']);
+    assert.deepEqual(check('Wordle 999 3/6\n\n🟩🟩🟩🟩🟩\n⬛⬛⬛⬛⬛\n🟩🟩🟩🟩🟩'), ['early-solve']);
+    assert.deepEqual(check('Wordle 999 X/6\n\n' + '⬛⬛⬛⬛⬛\n'.repeat(5) + '🟩🟩🟩🟩🟩'), ['failed-but-solved']);
+});
+
+test('hard mode grids cannot drop a green', () => {
+    const result = analyzer.parseWordleResult('Wordle 999 3/6*\n\n🟩⬛⬛⬛⬛\n⬛🟩⬛⬛⬛\n🟩🟩🟩🟩🟩');
+    assert.deepEqual(analyzer.validateGrid(result).errors.map(error => error.code), ['hard-mode-transition']);
+    assert.deepEqual(analyzer.findHardModeViolations(result.pattern), [2]);
+    assert.equal(analyzer.validateGrid({ ...result, hardMode: false }).valid, true);
+});
+
+test('suspicion report flags unlikely results', () => {
+    const game = (attempts, pattern = []) => ({ attempts: String(attempts), solved: true, pattern, hardMode: false });
+
+    assert.deepEqual(analyzer.getSuspicionReport([game(4), game(5), game(3)]), { suspicionScore: 0, flags: [] });
+
+    const report = analyzer.getSuspicionReport([game(1), game(1), ...Array.from({ length: 8 }, () => game(2))]);
+    assert.equal(report.suspicionScore, 3 * 2 + 2);
+    assert.deepEqual(report.flags.map(flag => flag.text), ['2 solves in 1/6', '80% of games solved in 2/6']);
+});
+
+const played = (...games) => games.map(([gameNumber, solved]) => ({ gameNumber, solved }));
+
+test('streaks count consecutive games played and solved', () => {
+    const streaks = analyzer.getStreaks(played([1, true], [2, true], [3, false], [4, true], [5, true], [7, true]));
+    assert.deepEqual(streaks, {
+        currentPlayStreak: 1,
+        bestPlayStreak: 5,
+        currentWinStreak: 1,
+        bestWinStreak: 2,
+        atRisk: false
+    });
+});
+
+test('a streak is at risk when yesterday was played but today has not been', () => {
+    const results = played([10, true], [11, true], [12, true]);
+    assert.equal(analyzer.getStreaks(results, 12).atRisk, false);
+    assert.equal(analyzer.getStreaks(results, 13).atRisk, true);
+    assert.equal(analyzer.getStreaks(results, 13).currentWinStreak, 3);
+
+    const broken = analyzer.getStreaks(results, 14);
+    assert.equal(broken.currentPlayStreak, 0);
+    assert.equal(broken.bestPlayStreak, 3);
+});
+
+test('a failed game ends the win streak but not the play streak', () => {
+    const streaks = analyzer.getStreaks(played([1, true], [2, true], [3, false]), 3);
+    assert.equal(streaks.currentPlayStreak, 3);
+    assert.equal(streaks.currentWinStreak, 0);
+    assert.equal(streaks.bestWinStreak, 2);
+});
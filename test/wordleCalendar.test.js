@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WordleCalendar } from '../wordleCalendar.js';
+
+const calendar = new WordleCalendar();
+
+test('game numbers count days since Wordle 0 on 2021-06-19', () => {
+    assert.equal(calendar.getGameNumberForDate('2021-06-19'), 0);
+    assert.equal(calendar.getGameNumberForDate('2024-02-29'), 985);
+    assert.equal(calendar.getDateForGame(985), '2024-02-29');
+});
+
+test('the live game number depends on the timezone', () => {
+    const now = new Date('2024-03-10T03:00:00Z');
+    assert.equal(calendar.getDateString('UTC', now), '2024-03-10');
+    assert.equal(calendar.getDateString('America/New_York', now), '2024-03-09');
+    assert.equal(calendar.getExpectedGameNumber('America/New_York', now), calendar.getExpectedGameNumber('UTC', now) - 1);
+});
+
+test('checkGameNumber accepts yesterday only within the grace period', () => {
+    const now = new Date('2024-03-10T00:30:00Z');
+    const today = calendar.getExpectedGameNumber('UTC', now);
+
+    assert.deepEqual(calendar.checkGameNumber(today, 'UTC', 1, now), { accepted: true, status: 'current', expected: today });
+    assert.equal(calendar.checkGameNumber(today - 1, 'UTC', 1, now).status, 'late');
+    assert.equal(calendar.checkGameNumber(today - 1, 'UTC', 0, now).status, 'past');
+    assert.equal(calendar.checkGameNumber(today - 2, 'UTC', 1, now).accepted, false);
+    assert.equal(calendar.checkGameNumber(today + 1, 'UTC', 1, now).status, 'future');
+});
@@ -0,0 +1,213 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = value => String(value).padStart(2, '0');
+
+/**
+ * Turns tournament definitions into concrete periods. Recurring formats ('weekly',
+ * 'half-monthly', 'monthly') start a new period automatically, each with its own ID
+ * such as "sprint-2024-W07"; 'custom' tournaments run once between fixed dates.
+ * All dates are local midnights, like the rest of the tournament code.
+ */
+export class TournamentFormats {
+    constructor() {
+        this.formats = ['weekly', 'half-monthly', 'monthly', 'custom'];
+        this.periodKeyPatterns = {
+            weekly: /^(\d{4})-W(\d{2})$/,
+            'half-monthly': /^(\d{4})-(\d{2})-T([12])$/,
+            monthly: /^(\d{4})-(\d{2})$/
+        };
+    }
+
+    isValidFormat(format) {
+        return this.formats.includes(format);
+    }
+
+    /**
+     * Scoring rules: 'total' points, 'average' points per game, or 'bestN' (sum of the best N days)
+     */
+    isValidScoring(scoring) {
+        return scoring === 'total' || scoring === 'average' || /^best[1-9]\d*$/.test(scoring);
+    }
+
+    describeScoring(scoring) {
+        if (scoring === 'average') return 'Average points per game';
+        const best = /^best(\d+)$/.exec(scoring);
+        if (best) return `Best ${best[1]} days`;
+        return 'Total points';
+    }
+
+    /**
+     * Parse a YYYY-MM-DD string into a local date, or null if it isn't a real date
+     */
+    parseDate(dateStr) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateStr || '');
+        if (!match) return null;
+
+        const [year, month, day] = match.slice(1).map(Number);
+        const date = new Date(year, month - 1, day);
+        return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+    }
+
+    formatDate(date) {
+        return TournamentFormats.formatDate(date);
+    }
+
+    static formatDate(date) {
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Whether a result's YYYY-MM-DD date falls in a period. Compared as strings, because
+     * new Date('YYYY-MM-DD') is UTC midnight while period bounds are local midnights.
+     */
+    static isInPeriod(dateStr, startDate, endDate) {
+        const day = String(dateStr).slice(0, 10);
+        return day >= TournamentFormats.formatDate(startDate) && day <= TournamentFormats.formatDate(endDate);
+    }
+
+    /**
+     * Get the period of a tournament that contains a date, or null if it isn't running then.
+     * Returns { tournamentId, startDate, endDate, tournament }.
+     */
+    getPeriod(tournament, date) {
+        const year = date.getFullYear();
+        const month = date.getMonth();
+        const day = date.getDate();
+
+        switch (tournament.format) {
+            case 'weekly': {
+                // Weeks run Monday to Sunday and are numbered like ISO weeks
+                const startDate = new Date(year, month, day - (date.getDay() + 6) % 7);
+                const endDate = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() + 6);
+                const week = this.getIsoWeek(startDate);
+                return this.buildPeriod(tournament, `${week.year}-W${pad(week.week)}`, startDate, endDate);
+            }
+            case 'half-monthly': {
+                const half = day <= 15 ? 1 : 2;
+                const startDate = new Date(year, month, half === 1 ? 1 : 16);
+                const endDate = half === 1 ? new Date(year, month, 15) : new Date(year, month + 1, 0);
+                return this.buildPeriod(tournament, `${year}-${pad(month + 1)}-T${half}`, startDate, endDate);
+            }
+            case 'monthly':
+                return this.buildPeriod(tournament, `${year}-${pad(month + 1)}`, new Date(year, month, 1), new Date(year, month + 1, 0));
+            case 'custom': {
+                const period = this.getCustomPeriod(tournament);
+                const today = new Date(year, month, day);
+                return today >= period.startDate && today <= period.endDate ? period : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Get the most recent period of a tournament that ended before a date, or null if none has
+     */
+    getPreviousPeriod(tournament, date) {
+        if (tournament.format === 'custom') {
+            const period = this.getCustomPeriod(tournament);
+            return period.endDate < date ? period : null;
+        }
+
+        const current = this.getPeriod(tournament, date);
+        return this.getPeriod(tournament, new Date(current.startDate.getTime() - DAY_MS / 2));
+    }
+
+    /**
+     * Find the period a tournament ID refers to among a group's tournament definitions
+     */
+    findPeriodById(tournaments, tournamentId) {
+        const id = tournamentId.toLowerCase();
+
+        // Longest IDs first so "league" doesn't swallow "league2-2024-03"
+        const sorted = [...tournaments].sort((a, b) => b.id.length - a.id.length);
+        for (const tournament of sorted) {
+            if (tournament.format === 'custom') {
+                if (tournament.id === id) return this.getCustomPeriod(tournament);
+                continue;
+            }
+
+            const prefix = tournament.id ? `${tournament.id}-` : '';
+            if (!id.startsWith(prefix)) continue;
+
+            const match = this.periodKeyPatterns[tournament.format].exec(id.slice(prefix.length).toUpperCase());
+            if (!match) continue;
+
+            const [year, second, third] = match.slice(1).map(Number);
+            let date;
+            if (tournament.format === 'weekly') {
+                // The Monday of ISO week 1 is the Monday on or before 4 January
+                const jan4 = new Date(year, 0, 4);
+                date = new Date(year, 0, 4 - (jan4.getDay() + 6) % 7 + (second - 1) * 7);
+            } else {
+                date = new Date(year, second - 1, third === 2 ? 16 : 1);
+            }
+
+            const period = this.getPeriod(tournament, date);
+            if (period.tournamentId.toLowerCase() === id) return period;
+        }
+
+        return null;
+    }
+
+    getCustomPeriod(tournament) {
+        return {
+            tournamentId: tournament.id,
+            startDate: this.parseDate(tournament.startDate),
+            endDate: this.parseDate(tournament.endDate),
+            tournament
+        };
+    }
+
+    buildPeriod(tournament, key, startDate, endDate) {
+        return {
+            tournamentId: tournament.id ? `${tournament.id}-${key}` : key,
+            startDate,
+            endDate,
+            tournament
+        };
+    }
+
+    getIsoWeek(date) {
+        // The ISO week belongs to the year that contains its Thursday
+        const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 3 - (date.getDay() + 6) % 7);
+        const jan1 = new Date(thursday.getFullYear(), 0, 1);
+        return {
+            year: thursday.getFullYear(),
+            week: 1 + Math.floor(Math.round((thursday - jan1) / DAY_MS) / 7)
+        };
+    }
+
+    /**
+     * Rank computed standings under a tournament's rules. Each player gets a score from the
+     * scoring rule plus any manual adjustments ({ playerKey, points }), and is qualified once
+     * they've played minGames; qualified players rank first. Players whose key is in excluded
+     * (e.g. banned players) are left out.
+     */
+    static rankStandings(results, { scoring = 'total', minGames = 0, adjustments = [], excluded = [] } = {}) {
+        const best = /^best(\d+)$/.exec(scoring);
+
+        return results
+            .filter(player => !excluded.includes(player.playerId || player.player))
+            .map(player => {
+                let score = player.totalScore;
+                if (scoring === 'average') {
+                    score = parseFloat(player.avgScore.toFixed(1));
+                } else if (best) {
+                    score = [...player.scores]
+                        .sort((a, b) => b - a)
+                        .slice(0, parseInt(best[1]))
+                        .reduce((sum, value) => sum + value, 0);
+                }
+                const adjustment = adjustments
+                    .filter(entry => entry.playerKey === (player.playerId || player.player))
+                    .reduce((sum, entry) => sum + entry.points, 0);
+                return { ...player, score: score + adjustment, adjustment, qualified: player.gamesPlayed >= minGames };
+            })
+            .sort(TournamentFormats.compareStandings);
+    }
+
+    static compareStandings(a, b) {
+        return (b.qualified - a.qualified) || (b.score - a.score) || (b.totalScore - a.totalScore);
+    }
+}
@@ -1,40 +1,55 @@
+import { ScoringStrategies } from './scoringStrategies.js';
+
 export class WordleAnalyzer {
-    constructor() {
-        this.wordlePattern = /Wordle\s+(\d{1,4}(?:,\d{3})*)\s+([1-6X])\/6/i;
+    constructor(options = {}) {
+        // A trailing * after the attempts (e.g. 4/6*) means the game was played in hard mode
+        this.wordlePattern = /Wordle\s+(\d{1,4}(?:,\d{3})*)\s+([1-6X])\/6(\*)?/i;
         
         // Better emoji pattern that handles Unicode properly
-        this.emojiPattern = /(\u2B1B|\u2B1C|\uD83D\uDFE8|\uD83D\uDFE9|\uD83D\uDFE6)/g;
+        this.emojiPattern = /(\u2B1B|\u2B1C|\uD83D\uDFE8|\uD83D\uDFE9|\uD83D\uDFE6|\uD83D\uDFE7)/g;
         
         // Alternative: Use a more comprehensive pattern
-        this.wordleEmojiPattern = /(⬛|⬜|🟨|🟩|🟦)/gu;
+        this.wordleEmojiPattern = /(⬛|⬜|🟨|🟩|🟦|🟧)/gu;
         
-        // Scoring system
-        this.baseScores = {
-            1: 600,
-            2: 500,
-            3: 400,
-            4: 300,
-            5: 200,
-            6: 100,
-            'X': 0
+        // Every colour scheme is normalised to the dark-mode squares
+        this.canonicalSquares = {
+            '🟩': '🟩', // Green (correct)
+            '🟨': '🟨', // Yellow (present)
+            '⬛': '⬛', // Black (absent, dark mode)
+            '⬜': '⬛', // White (absent, light mode)
+            '🟧': '🟩', // Orange (correct, high contrast)
+            '🟦': '🟨'  // Blue (present, high contrast)
         };
         
-        this.emojiPoints = {
-            '🟩': 2,  // Green
-            '🟨': 1,  // Yellow
-            '⬛': 0,  // Black
-            '⬜': 0,  // White
-            '🟦': 0   // Blue (sometimes used)
-        };
+        // Results are scored with the classic strategy when parsed; groups can rescore them with another
+        this.scoring = options.scoring || new ScoringStrategies();
     }
 
     /**
      * Check if a message contains a Wordle result
      */
     isWordleResult(text) {
+        this.wordleEmojiPattern.lastIndex = 0; // Reset regex
         return this.wordlePattern.test(text) && this.wordleEmojiPattern.test(text);
     }
 
+    /**
+     * Detect the colour scheme a grid was shared in
+     */
+    detectColorScheme(lines) {
+        const squares = lines.join('');
+        if (/🟧|🟦/u.test(squares)) return 'high-contrast';
+        if (squares.includes('⬜')) return 'light';
+        return 'dark';
+    }
+
+    /**
+     * Convert a row of squares from any colour scheme to the canonical 🟩🟨⬛ squares
+     */
+    normalizeLine(emojis) {
+        return emojis.map(emoji => this.canonicalSquares[emoji] || emoji).join('');
+    }
+
     /**
      * Extract emojis from a line using proper Unicode handling
      */
@@ -44,9 +59,9 @@ export class WordleAnalyzer {
         console.log('     🔍 Line chars:', [...line].map(c => `${c} (${c.codePointAt(0)})`));
         
         // Test different patterns
-        const pattern1 = /(⬛|⬜|🟨|🟩|🟦)/gu;
-        const pattern2 = /[\u2B1B\u2B1C\uD83D\uDFE8\uD83D\uDFE9\uD83D\uDFE6]/g;
-        const pattern3 = /(\u2B1B|\u2B1C|\uD83D\uDFE8|\uD83D\uDFE9|\uD83D\uDFE6)/g;
+        const pattern1 = /(⬛|⬜|🟨|🟩|🟦|🟧)/gu;
+        const pattern2 = /[\u2B1B\u2B1C\uD83D\uDFE8\uD83D\uDFE9\uD83D\uDFE6\uD83D\uDFE7]/g;
+        const pattern3 = /(\u2B1B|\u2B1C|\uD83D\uDFE8|\uD83D\uDFE9|\uD83D\uDFE6|\uD83D\uDFE7)/g;
         
         console.log('     🔍 Pattern1 test:', pattern1.test(line));
         pattern2.lastIndex = 0; // Reset regex
@@ -81,13 +96,15 @@ export class WordleAnalyzer {
         const attemptsStr = match[2];
         const attempts = attemptsStr === 'X' ? 7 : parseInt(attemptsStr); // X means failed (7 for sorting)
         const solved = attemptsStr !== 'X';
+        const hardMode = match[3] === '*';
 
-        console.log('   📊 Parsed header - Game:', gameNumber, 'Attempts:', attemptsStr, 'Solved:', solved);
+        console.log('   📊 Parsed header - Game:', gameNumber, 'Attempts:', attemptsStr, 'Solved:', solved, 'Hard mode:', hardMode);
 
         // Extract emoji pattern
         const lines = text.split('\n');
         console.log('   📝 Split into lines:', lines.length);
         
+        const rawLines = [];
         const patternLines = [];
         
         for (const line of lines) {
@@ -95,8 +112,9 @@ export class WordleAnalyzer {
             console.log('   🔍 Line:', JSON.stringify(line), '-> Emojis:', emojis);
             
             if (emojis && emojis.length === 5) {
-                patternLines.push(emojis.join(''));
-                console.log('   ✅ Added pattern line:', emojis.join(''));
+                rawLines.push(emojis.join(''));
+                patternLines.push(this.normalizeLine(emojis));
+                console.log('   ✅ Added pattern line:', patternLines[patternLines.length - 1]);
             }
         }
 
@@ -107,8 +125,10 @@ export class WordleAnalyzer {
             return null;
         }
 
+        const colorScheme = this.detectColorScheme(rawLines);
+
         // Calculate score
-        const score = this.calculateScore(attemptsStr, patternLines);
+        const score = this.calculateScore(attemptsStr, patternLines, hardMode);
         console.log('   🏆 Calculated score:', score);
 
         const result = {
@@ -116,6 +136,8 @@ export class WordleAnalyzer {
             attempts: solved ? attempts : 6, // For stats, treat failed as 6 attempts
             actualAttempts: attemptsStr, // Keep original for scoring
             solved,
+            hardMode,
+            colorScheme,
             pattern: patternLines,
             score: score,
             rawText: text
@@ -126,29 +148,118 @@ export class WordleAnalyzer {
     }
 
     /**
-     * Calculate Wordle score based on attempts and emoji pattern
+     * Check that a parsed grid is consistent with its header.
+     * Returns { valid, errors } where each error has a code and a message for the player.
      */
-    calculateScore(attemptsStr, pattern) {
-        // Base score from number of attempts
-        const baseScore = this.baseScores[attemptsStr] || 0;
-        
-        // Emoji points (used as tie-breaker)
-        let emojiPoints = 0;
-        for (const line of pattern) {
-            // Split the line properly to handle Unicode
-            const emojis = [...line];
-            for (const emoji of emojis) {
-                emojiPoints += this.emojiPoints[emoji] || 0;
+    validateGrid(result) {
+        const errors = [];
+        const rows = result.pattern;
+        const solvedRow = '🟩🟩🟩🟩🟩';
+        const expectedRows = result.solved ? result.attempts : 6;
+        const firstSolvedRow = rows.indexOf(solvedRow);
+
+        if (rows.length !== expectedRows) {
+            errors.push({
+                code: 'row-count',
+                message: result.solved ?
+                    `The grid has ${rows.length} rows but the header says ${result.attempts}/6.` :
+                    `A failed game (X/6) must have 6 rows, but the grid has ${rows.length}.`
+            });
+        }
+
+        if (result.solved && rows[rows.length - 1] !== solvedRow) {
+            errors.push({ code: 'unsolved-last-row', message: 'The last row of a solved game must be all green.' });
+        } else if (firstSolvedRow !== -1 && firstSolvedRow < rows.length - 1) {
+            errors.push({
+                code: 'early-solve',
+                message: `Row ${firstSolvedRow + 1} is all green, so the game should have ended there.`
+            });
+        } else if (!result.solved && firstSolvedRow !== -1) {
+            errors.push({ code: 'failed-but-solved', message: 'A failed game (X/6) cannot contain an all-green row.' });
+        }
+
+        if (result.hardMode) {
+            const violations = this.findHardModeViolations(rows);
+            if (violations.length > 0) {
+                errors.push({
+                    code: 'hard-mode-transition',
+                    message: `Hard mode keeps greens in place, but row ${violations[0]} drops a green from the row before.`
+                });
             }
         }
-        
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Find rows (1-based) where a green square from the previous row is no longer green,
+     * which can't happen in hard mode
+     */
+    findHardModeViolations(rows) {
+        const violations = [];
+        for (let i = 1; i < rows.length; i++) {
+            const prev = [...rows[i - 1]];
+            const curr = [...rows[i]];
+            if (prev.some((square, position) => square === '🟩' && curr[position] !== '🟩')) {
+                violations.push(i + 1);
+            }
+        }
+        return violations;
+    }
+
+    /**
+     * Score how suspicious a player's stored results look.
+     * Returns { suspicionScore, flags } where each flag describes one heuristic that fired.
+     */
+    getSuspicionReport(results) {
+        const flags = [];
+        const games = results.length;
+        const solved = results.filter(r => r.solved);
+        const attemptsOf = r => parseInt(r.attempts);
+
+        // Around 1 in 2,300 first guesses is the answer, so any 1/6 deserves a look
+        const oneGuessSolves = solved.filter(r => attemptsOf(r) === 1).length;
+        if (oneGuessSolves > 0) {
+            flags.push({ weight: 3 * oneGuessSolves, text: `${oneGuessSolves} solve${oneGuessSolves === 1 ? '' : 's'} in 1/6` });
+        }
+
+        // 2/6 solves are usually well under 10% of games
+        const twoGuessSolves = solved.filter(r => attemptsOf(r) === 2).length;
+        const twoGuessRate = games > 0 ? twoGuessSolves / games : 0;
+        if (games >= 10 && twoGuessRate > 0.2) {
+            flags.push({ weight: 2, text: `${(twoGuessRate * 100).toFixed(0)}% of games solved in 2/6` });
+        }
+
+        // Solving straight after a row that found almost nothing is occasionally lucky, rarely routine
+        const withPattern = solved.filter(r => r.pattern && r.pattern.length >= 2);
+        const blindSolves = withPattern.filter(r => {
+            const hits = this.countHits(r.pattern[r.pattern.length - 2]);
+            return hits.green === 0 && hits.yellow <= 1;
+        }).length;
+        if (withPattern.length >= 5 && blindSolves / withPattern.length > 0.25) {
+            flags.push({ weight: 2, text: `${blindSolves}/${withPattern.length} solves came right after a row with almost no hits` });
+        }
+
+        // Greens that disappear in a hard-mode game are impossible
+        const impossibleGames = results.filter(r => r.hardMode && r.pattern &&
+            this.findHardModeViolations(r.pattern).length > 0).length;
+        if (impossibleGames > 0) {
+            flags.push({ weight: 3 * impossibleGames, text: `${impossibleGames} hard-mode grid${impossibleGames === 1 ? '' : 's'} with impossible colour changes` });
+        }
+
         return {
-            baseScore,
-            emojiPoints,
-            totalScore: baseScore + emojiPoints
+            suspicionScore: flags.reduce((sum, flag) => sum + flag.weight, 0),
+            flags
         };
     }
 
+    /**
+     * Calculate Wordle score based on attempts and a normalised emoji pattern
+     */
+    calculateScore(attemptsStr, pattern, hardMode = false) {
+        return this.scoring.scoreResult('classic', { actualAttempts: attemptsStr, solved: attemptsStr !== 'X', pattern, hardMode });
+    }
+
     /**
      * Analyze the Wordle pattern and provide insights
      */
@@ -159,7 +270,8 @@ export class WordleAnalyzer {
         
         // Add score information only
         if (score) {
-            insights.push(`🏆 Score: ${score.totalScore} points (${score.baseScore} base + ${score.emojiPoints} emoji)`);
+            const hardModeBonus = score.hardModeBonus > 0 ? ` + ${score.hardModeBonus} hard mode` : '';
+            insights.push(`🏆 Score: ${score.totalScore} points (${score.baseScore} base + ${score.emojiPoints} emoji${hardModeBonus})`);
         }
         
         return insights.join(' ');
@@ -220,10 +332,145 @@ export class WordleAnalyzer {
         return '🎯 Nice solve!';
     }
 
+    /**
+     * Break a result down row by row: how good the first guess was, how many letters each
+     * row found, where the player stalled, and how it compares to their earlier results
+     */
+    analyzeSolve(result, previousResults = []) {
+        const rows = result.pattern.map((line, i) => {
+            const hits = this.countHits(line);
+            const previous = i > 0 ? this.countHits(result.pattern[i - 1]) : { green: 0, yellow: 0 };
+            return {
+                row: i + 1,
+                ...hits,
+                gain: (hits.green + hits.yellow) - (previous.green + previous.yellow),
+                greenGain: hits.green - previous.green
+            };
+        });
+
+        const first = rows[0];
+        const firstGuessValue = first.green * 2 + first.yellow;
+        const quality = firstGuessValue >= 5 ? 'excellent' : firstGuessValue >= 3 ? 'good' : firstGuessValue >= 1 ? 'fair' : 'blank';
+
+        // A row stalled if it repeated the previous pattern or found nothing new, short of the solving row
+        const stalledRows = rows
+            .filter((row, i) => i > 0 && row.green < 5 &&
+                (result.pattern[i] === result.pattern[i - 1] || (row.gain <= 0 && row.greenGain <= 0)))
+            .map(row => row.row);
+
+        const solvedBefore = previousResults.filter(r => r.solved);
+        const averageAttempts = solvedBefore.length > 0 ?
+            solvedBefore.reduce((sum, r) => sum + r.attempts, 0) / solvedBefore.length : null;
+
+        return {
+            firstGuess: { green: first.green, yellow: first.yellow, quality },
+            rows,
+            stalledRows,
+            improvement: this.analyzeImprovement(result.pattern),
+            verdict: result.solved ? this.assessDifficulty(result.pattern) : '💀 This one got away!',
+            averageAttempts
+        };
+    }
+
+    /**
+     * Format analyzeSolve output for a reply. 'minimal' adds nothing to the score line, 'normal'
+     * gives the verdict, first guess and comparison to the player's average, 'detailed' adds every row.
+     */
+    formatSolveAnalysis(result, analysis, verbosity = 'normal') {
+        if (verbosity === 'minimal') return '';
+
+        const lines = [analysis.verdict];
+        lines.push(`🥇 First guess: ${analysis.firstGuess.green}🟩 ${analysis.firstGuess.yellow}🟨 (${analysis.firstGuess.quality})`);
+
+        if (analysis.averageAttempts === null) {
+            lines.push('🆕 Your first recorded game!');
+        } else if (!result.solved) {
+            lines.push(`📊 Your average is ${analysis.averageAttempts.toFixed(1)} attempts`);
+        } else {
+            const difference = analysis.averageAttempts - result.attempts;
+            if (Math.abs(difference) < 0.05) {
+                lines.push(`➖ Right on your average (${analysis.averageAttempts.toFixed(1)})`);
+            } else if (difference > 0) {
+                lines.push(`📈 ${difference.toFixed(1)} better than your average (${analysis.averageAttempts.toFixed(1)})`);
+            } else {
+                lines.push(`📉 ${Math.abs(difference).toFixed(1)} worse than your average (${analysis.averageAttempts.toFixed(1)})`);
+            }
+        }
+
+        if (verbosity !== 'detailed') return lines.join('\n');
+
+        lines.push(`📶 Letters found per row: ${analysis.rows.map(row => row.green + row.yellow).join(' → ')}`);
+        if (analysis.stalledRows.length > 0) {
+            lines.push(`🐌 No new letters on row${analysis.stalledRows.length > 1 ? 's' : ''} ${analysis.stalledRows.join(', ')}`);
+        }
+        if (analysis.improvement) {
+            lines.push(analysis.improvement);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Attempts used on a result, counting a failed game as 7
+     */
+    getAttemptValue(result) {
+        return result.solved ? result.attempts : 7;
+    }
+
+    /**
+     * Rate how hard a puzzle was from everyone's results for it. The index runs from 0 to 10:
+     * an average of 3 attempts scores 2.5, 4 scores 5 and 6 or more (or lots of fails) scores 10.
+     */
+    getDifficultyIndex(results) {
+        if (!results || results.length === 0) return null;
+
+        const averageAttempts = results.reduce((sum, r) => sum + this.getAttemptValue(r), 0) / results.length;
+        const index = Math.min(10, Math.max(0, (averageAttempts - 2) * 2.5));
+        const label = index < 3 ? 'Easy' : index < 5 ? 'Medium' : index < 7 ? 'Hard' : 'Brutal';
+
+        return {
+            index: parseFloat(index.toFixed(1)),
+            label,
+            averageAttempts,
+            failRate: (results.filter(r => !r.solved).length / results.length) * 100,
+            players: results.length
+        };
+    }
+
+    /**
+     * Average attempts per game number, as a Map of gameNumber -> { average, count }
+     */
+    getDayAverages(results) {
+        const days = new Map();
+        results.forEach(result => {
+            const day = days.get(result.gameNumber) || { total: 0, count: 0 };
+            day.total += this.getAttemptValue(result);
+            day.count++;
+            days.set(result.gameNumber, day);
+        });
+
+        return new Map(Array.from(days, ([gameNumber, day]) => [gameNumber, { average: day.total / day.count, count: day.count }]));
+    }
+
+    /**
+     * How many attempts better than the day's average a player does, on average. Positive is better.
+     * Days that only the player played don't count.
+     */
+    getRelativePerformance(results, dayAverages) {
+        const differences = results
+            .filter(result => (dayAverages.get(result.gameNumber)?.count || 0) >= 2)
+            .map(result => dayAverages.get(result.gameNumber).average - this.getAttemptValue(result));
+
+        return {
+            games: differences.length,
+            average: differences.length > 0 ? differences.reduce((sum, d) => sum + d, 0) / differences.length : 0
+        };
+    }
+
     /**
      * Get statistics for a player's results
      */
-    getPlayerStats(results) {
+    getPlayerStats(results, currentGameNumber) {
         if (!results || results.length === 0) {
             return {
                 totalGames: 0,
@@ -232,7 +479,8 @@ export class WordleAnalyzer {
                 averageAttempts: 0,
                 averageScore: 0,
                 totalScore: 0,
-                distribution: {}
+                distribution: {},
+                streaks: this.getStreaks([], currentGameNumber)
             };
         }
 
@@ -260,7 +508,46 @@ export class WordleAnalyzer {
                 solved.reduce((sum, r) => sum + r.attempts, 0) / solved.length : 0,
             averageScore: results.length > 0 ? totalScore / results.length : 0,
             totalScore,
-            distribution
+            distribution,
+            streaks: this.getStreaks(results, currentGameNumber)
+        };
+    }
+
+    /**
+     * Work out play streaks (consecutive game numbers played) and win streaks (consecutive
+     * game numbers solved). Given today's game number, a current streak survives until a
+     * day is missed, and is at risk when yesterday was played but today hasn't been yet.
+     */
+    getStreaks(results, currentGameNumber) {
+        const solvedByGame = new Map();
+        results.forEach(result => {
+            solvedByGame.set(result.gameNumber, result.solved);
+        });
+
+        const games = Array.from(solvedByGame.keys()).sort((a, b) => a - b);
+        let playStreak = 0;
+        let winStreak = 0;
+        let bestPlayStreak = 0;
+        let bestWinStreak = 0;
+
+        games.forEach((gameNumber, index) => {
+            const consecutive = index > 0 && gameNumber === games[index - 1] + 1;
+            playStreak = consecutive ? playStreak + 1 : 1;
+            winStreak = solvedByGame.get(gameNumber) ? (consecutive ? winStreak + 1 : 1) : 0;
+            bestPlayStreak = Math.max(bestPlayStreak, playStreak);
+            bestWinStreak = Math.max(bestWinStreak, winStreak);
+        });
+
+        const lastGame = games[games.length - 1];
+        const alive = lastGame !== undefined &&
+            (currentGameNumber === undefined || lastGame >= currentGameNumber - 1);
+
+        return {
+            currentPlayStreak: alive ? playStreak : 0,
+            bestPlayStreak,
+            currentWinStreak: alive ? winStreak : 0,
+            bestWinStreak,
+            atRisk: alive && currentGameNumber !== undefined && lastGame === currentGameNumber - 1
         };
     }
 
@@ -296,6 +583,57 @@ export class WordleAnalyzer {
         return leaderboard;
     }
 
+    /**
+     * Compare two players over the game numbers both of them played. Each shared game is
+     * won by the higher daily score. Results for each side are indexed [0] and [1].
+     */
+    compareHeadToHead(resultsA, resultsB) {
+        const byGame = results => new Map(results.map(result => [result.gameNumber, result]));
+        const gamesA = byGame(resultsA);
+        const gamesB = byGame(resultsB);
+        const shared = Array.from(gamesA.keys()).filter(gameNumber => gamesB.has(gameNumber)).sort((a, b) => a - b);
+
+        const wins = [0, 0];
+        let draws = 0;
+        const biggestWins = [null, null];
+        const solvedAttempts = [[], []];
+        let streak = { leader: null, length: 0 };
+
+        shared.forEach(gameNumber => {
+            const pair = [gamesA.get(gameNumber), gamesB.get(gameNumber)];
+            const margin = pair[0].score.totalScore - pair[1].score.totalScore;
+            const winner = margin > 0 ? 0 : margin < 0 ? 1 : null;
+
+            pair.forEach((result, i) => {
+                if (result.solved) solvedAttempts[i].push(result.attempts);
+            });
+
+            if (winner === null) {
+                draws++;
+                streak = { leader: null, length: 0 };
+                return;
+            }
+
+            wins[winner]++;
+            if (!biggestWins[winner] || Math.abs(margin) > biggestWins[winner].margin) {
+                biggestWins[winner] = { gameNumber, margin: Math.abs(margin), results: pair };
+            }
+            streak = streak.leader === winner ? { leader: winner, length: streak.length + 1 } : { leader: winner, length: 1 };
+        });
+
+        const average = values => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+
+        return {
+            sharedGames: shared.length,
+            wins,
+            draws,
+            averageAttempts: solvedAttempts.map(average),
+            solvedGames: solvedAttempts.map(values => values.length),
+            biggestWins,
+            streak
+        };
+    }
+
     /**
      * Generate a visual distribution chart
      */
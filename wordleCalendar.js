@@ -0,0 +1,81 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class WordleCalendar {
+    constructor() {
+        // Wordle 0 was published on 19 June 2021
+        this.launchDate = Date.UTC(2021, 5, 19);
+    }
+
+    /**
+     * Get the calendar date and time of day in a timezone
+     */
+    getLocalTime(timezone, now = new Date()) {
+        const parts = new Intl.DateTimeFormat('en-CA', {
+            timeZone: timezone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(now);
+
+        const get = type => parseInt(parts.find(part => part.type === type).value);
+        return {
+            year: get('year'),
+            month: get('month'),
+            day: get('day'),
+            hour: get('hour'),
+            minute: get('minute')
+        };
+    }
+
+    /**
+     * Get today's date as YYYY-MM-DD in a timezone
+     */
+    getDateString(timezone, now = new Date()) {
+        const { year, month, day } = this.getLocalTime(timezone, now);
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    /**
+     * Get the game number published on a YYYY-MM-DD date
+     */
+    getGameNumberForDate(dateStr) {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        return Math.round((Date.UTC(year, month - 1, day) - this.launchDate) / DAY_MS);
+    }
+
+    /**
+     * Get the YYYY-MM-DD date a game number was published
+     */
+    getDateForGame(gameNumber) {
+        return new Date(this.launchDate + gameNumber * DAY_MS).toISOString().split('T')[0];
+    }
+
+    /**
+     * Get the game number that is live right now in a timezone
+     */
+    getExpectedGameNumber(timezone, now = new Date()) {
+        return this.getGameNumberForDate(this.getDateString(timezone, now));
+    }
+
+    /**
+     * Check whether a game number can be submitted right now. Yesterday's puzzle
+     * is still accepted during the first graceHours of the day.
+     * Returns { accepted, status, expected } where status is 'current', 'late', 'past' or 'future'.
+     */
+    checkGameNumber(gameNumber, timezone, graceHours = 0, now = new Date()) {
+        const expected = this.getExpectedGameNumber(timezone, now);
+        const { hour, minute } = this.getLocalTime(timezone, now);
+        const withinGrace = hour * 60 + minute < graceHours * 60;
+
+        if (gameNumber === expected) {
+            return { accepted: true, status: 'current', expected };
+        }
+        if (gameNumber === expected - 1 && withinGrace) {
+            return { accepted: true, status: 'late', expected };
+        }
+        return { accepted: false, status: gameNumber > expected ? 'future' : 'past', expected };
+    }
+}